@@ -7,8 +7,11 @@ import { AircraftState, AircraftConfig } from "./aircraft-types.js";
  * Service for fetching aircraft data from OpenSky Network API
  */
 export class AircraftAPIService {
+  static CREDENTIALS_KEY = "aircraftAPI_credentials";
+
   constructor() {
     this.baseUrl = AircraftConfig.openSky.baseUrl;
+    this.tokenUrl = AircraftConfig.openSky.tokenUrl;
     this.rateLimit = AircraftConfig.openSky.rateLimit;
     this.timeout = AircraftConfig.openSky.timeout;
     this.retryAttempts = AircraftConfig.openSky.retryAttempts;
@@ -25,9 +28,21 @@ export class AircraftAPIService {
     this.lastError = null;
     this.isOnline = true;
 
+    // OAuth2 client credentials (OpenSky API client); anonymous when null
+    this.credentials = null;
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this.tokenRequest = null; // pending token request, shared by callers
+    this.authError = null;
+
     // Load saved request count from localStorage
     this.loadRequestCount();
 
+    // Credentials from the Vite env win over ones entered in the sidebar
+    this.setCredentials(
+      AircraftAPIService.getEnvCredentials() || this.loadCredentials()
+    );
+
     console.log("Aircraft API Service initialized");
   }
 
@@ -71,6 +86,171 @@ export class AircraftAPIService {
     }
   }
 
+  /**
+   * Client credentials from VITE_OPENSKY_CLIENT_ID / VITE_OPENSKY_CLIENT_SECRET
+   */
+  static getEnvCredentials() {
+    const env = import.meta.env || {};
+    if (env.VITE_OPENSKY_CLIENT_ID && env.VITE_OPENSKY_CLIENT_SECRET) {
+      return {
+        clientId: env.VITE_OPENSKY_CLIENT_ID,
+        clientSecret: env.VITE_OPENSKY_CLIENT_SECRET,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Use an OpenSky API client for authenticated requests
+   * @param {Object|null} credentials - { clientId, clientSecret }; null for
+   *   anonymous access
+   * @param {boolean} remember - Keep them for this browser session
+   */
+  setCredentials(credentials, remember = false) {
+    const valid = credentials?.clientId && credentials?.clientSecret;
+    this.credentials = valid
+      ? { clientId: credentials.clientId, clientSecret: credentials.clientSecret }
+      : null;
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this.tokenRequest = null;
+    this.authError = null;
+    this.rateLimit = this.credentials
+      ? AircraftConfig.openSky.authenticatedRateLimit
+      : AircraftConfig.openSky.rateLimit;
+    this.dailyLimitReached = false;
+
+    if (remember || !this.credentials) {
+      this.saveCredentials();
+    }
+  }
+
+  clearCredentials() {
+    this.setCredentials(null);
+  }
+
+  /**
+   * Credentials entered in the sidebar, kept in sessionStorage only so the
+   * secret does not outlive the browser session
+   */
+  loadCredentials() {
+    try {
+      const saved = sessionStorage.getItem(AircraftAPIService.CREDENTIALS_KEY);
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.warn("Failed to load API credentials:", error);
+      return null;
+    }
+  }
+
+  saveCredentials() {
+    try {
+      if (this.credentials) {
+        sessionStorage.setItem(
+          AircraftAPIService.CREDENTIALS_KEY,
+          JSON.stringify(this.credentials)
+        );
+      } else {
+        sessionStorage.removeItem(AircraftAPIService.CREDENTIALS_KEY);
+      }
+    } catch (error) {
+      console.warn("Failed to save API credentials:", error);
+    }
+  }
+
+  isAuthenticated() {
+    return Boolean(this.accessToken);
+  }
+
+  /**
+   * Bearer token for the configured client, fetched or refreshed as needed
+   * @param {boolean} forceRefresh - Ignore the cached token (e.g. after a 401)
+   * @returns {Promise<string|null>} Token, or null for anonymous access
+   */
+  async getAccessToken(forceRefresh = false) {
+    if (!this.credentials) {
+      return null;
+    }
+
+    const margin = AircraftConfig.openSky.tokenRefreshMargin;
+    if (!forceRefresh && this.accessToken && Date.now() < this.tokenExpiresAt - margin) {
+      return this.accessToken;
+    }
+
+    if (!this.tokenRequest) {
+      const request = this.requestToken().finally(() => {
+        if (this.tokenRequest === request) {
+          this.tokenRequest = null;
+        }
+      });
+      this.tokenRequest = request;
+    }
+    return this.tokenRequest;
+  }
+
+  /**
+   * OAuth2 client-credentials grant against the OpenSky auth server
+   */
+  async requestToken() {
+    const credentials = this.credentials;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(this.tokenUrl, {
+        method: "POST",
+        signal: controller.signal,
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+          grant_type: "client_credentials",
+          client_id: credentials.clientId,
+          client_secret: credentials.clientSecret,
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(
+          response.status === 400 || response.status === 401
+            ? "OpenSky rejected the client credentials"
+            : `Token request failed: HTTP ${response.status}`
+        );
+      }
+
+      const data = await response.json();
+      if (!data.access_token) {
+        throw new Error("Token response without access_token");
+      }
+
+      // Credentials changed while the request was in flight
+      if (this.credentials !== credentials) {
+        return this.getAccessToken();
+      }
+
+      this.accessToken = data.access_token;
+      this.tokenExpiresAt = Date.now() + (data.expires_in || 1800) * 1000;
+      this.authError = null;
+      this.rateLimit = AircraftConfig.openSky.authenticatedRateLimit;
+      this.dailyLimitReached = this.requestCount >= this.rateLimit;
+      console.log("OpenSky access token acquired");
+      return this.accessToken;
+    } catch (error) {
+      const message =
+        error.name === "AbortError"
+          ? `Token request timeout after ${this.timeout}ms`
+          : error.message;
+      // Requests go out anonymously until the credentials work
+      if (this.credentials === credentials) {
+        this.accessToken = null;
+        this.tokenExpiresAt = 0;
+        this.authError = message;
+        this.rateLimit = AircraftConfig.openSky.rateLimit;
+      }
+      throw new Error(`OpenSky authentication failed: ${message}`);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
   /**
    * Check if we can make a request without exceeding rate limits
    */
@@ -121,6 +301,10 @@ export class AircraftAPIService {
       consecutiveErrors: this.consecutiveErrors,
       lastError: this.lastError,
       isOnline: this.isOnline,
+      hasCredentials: Boolean(this.credentials),
+      authenticated: this.isAuthenticated(),
+      clientId: this.credentials?.clientId || null,
+      authError: this.authError,
     };
   }
 
@@ -215,8 +399,18 @@ export class AircraftAPIService {
 
   /**
    * Make HTTP request with timeout and error handling
+   * @param {string} url - API URL
+   * @param {boolean} forceTokenRefresh - Fetch a new token first (401 retry)
    */
-  async makeRequest(url) {
+  async makeRequest(url, forceTokenRefresh = false) {
+    // Fall back to anonymous access when no token can be had
+    let token = null;
+    try {
+      token = await this.getAccessToken(forceTokenRefresh);
+    } catch (error) {
+      console.warn(`${error.message}; continuing anonymously`);
+    }
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
@@ -226,22 +420,35 @@ export class AircraftAPIService {
       this.lastRequestTime = Date.now();
       this.saveRequestCount();
 
+      const headers = {
+        Accept: "application/json",
+        "User-Agent": "Airspace-Roads-App/1.0",
+      };
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+
       const response = await fetch(url, {
         signal: controller.signal,
-        headers: {
-          Accept: "application/json",
-          "User-Agent": "Airspace-Roads-App/1.0",
-        },
+        headers,
       });
 
       clearTimeout(timeoutId);
 
       if (!response.ok) {
+        // Token expired or revoked: refresh it once and repeat the request
+        if (response.status === 401 && token && !forceTokenRefresh) {
+          console.warn("OpenSky rejected the access token, refreshing it");
+          this.accessToken = null;
+          return this.makeRequest(url, true);
+        }
         if (response.status === 429) {
           throw new Error("Rate limit exceeded by OpenSky API");
         }
         if (response.status === 401 || response.status === 403) {
-          throw new Error("Authentication failed or access denied");
+          throw new Error(
+            `Authentication failed or access denied (HTTP ${response.status})`
+          );
         }
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -10,6 +10,12 @@ import { Color } from 'cesium';
  */
 export class AircraftClassifier {
 
+    // Label colours; replaced by the active style theme
+    static LABEL_COLORS = {
+        fillColor: Color.WHITE,
+        outlineColor: Color.BLACK
+    };
+
     /**
      * Classify aircraft based on ICAO type code and callsign patterns
      * @param {AircraftState} aircraftState - Raw aircraft state data
@@ -19,6 +25,12 @@ export class AircraftClassifier {
         const callsign = aircraftState.callsign?.trim().toUpperCase() || '';
         const icao24 = aircraftState.icao24?.toUpperCase() || '';
 
+        // The transmitted emitter category beats any name pattern
+        const emitterCategory = this.classifyEmitterCategory(aircraftState.category);
+        if (emitterCategory) {
+            return emitterCategory;
+        }
+
         // Check each category's patterns
         for (const category of Object.values(AircraftCategories)) {
             if (category.id === 'unknown') continue;
@@ -51,6 +63,24 @@ export class AircraftClassifier {
         return AircraftCategories.UNKNOWN;
     }
 
+    /**
+     * Category for ADS-B emitter categories that identify the aircraft kind
+     * @param {number|null} category - OpenSky category number
+     * @returns {Object|null} Aircraft category object
+     */
+    static classifyEmitterCategory(category) {
+        switch (category) {
+            case 8: // rotorcraft
+                return AircraftCategories.HELICOPTER;
+            case 9: // glider / sailplane
+            case 10: // lighter-than-air
+            case 12: // ultralight / hang-glider / paraglider
+                return AircraftCategories.LIGHT_AIRCRAFT;
+            default:
+                return null;
+        }
+    }
+
     /**
      * Check if callsign matches any of the given patterns
      */
@@ -215,8 +245,8 @@ export class AircraftClassifier {
             show: true,
             text: labelText,
             font: highlighted || selected ? '12pt sans-serif' : '10pt sans-serif',
-            fillColor: Color.WHITE,
-            outlineColor: Color.BLACK,
+            fillColor: this.LABEL_COLORS.fillColor,
+            outlineColor: this.LABEL_COLORS.outlineColor,
             outlineWidth: 2,
             style: 'FILL_AND_OUTLINE',
             pixelOffset: { x: 0, y: -30 }, // Offset above aircraft
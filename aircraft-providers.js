@@ -0,0 +1,730 @@
+// aircraft-providers.js
+// Pluggable aircraft data sources and a registry that merges them by icao24
+
+import { AircraftState } from "./aircraft-types.js";
+import { dummyAircraftGenerator } from "./dummy-aircraft-data.js";
+
+/**
+ * Base class for aircraft data sources. Subclasses implement fetch(bbox)
+ * and describe themselves through `capabilities`.
+ */
+export class AircraftProvider {
+  /**
+   * @param {string} id - Unique provider id
+   * @param {string} name - Display name
+   * @param {Object} options - { priority, enabled }
+   */
+  constructor(id, name, options = {}) {
+    this.id = id;
+    this.name = name;
+    this.priority = options.priority ?? 0; // higher wins when merging
+    this.enabled = options.enabled ?? false;
+
+    // What the source offers; the tracker and sidebar read these
+    this.capabilities = {
+      live: true, // real traffic (false for simulated data)
+      bbox: false, // filters by bounding box at the source
+      global: false, // can cover the whole world
+      push: false, // delivers data continuously instead of on request
+      minInterval: 0, // ms between fetches the source tolerates
+      updateInterval: null, // preferred ms between fetches (null = tracker default)
+    };
+
+    // Health reporting
+    this.lastSuccess = null;
+    this.lastError = null;
+    this.consecutiveErrors = 0;
+    this.lastCount = 0;
+
+    // Push sources call this when new data arrived
+    this.updateHandler = null;
+  }
+
+  /**
+   * Fetch current aircraft states
+   * @param {Array|null} bbox - [lamin, lomin, lamax, lomax], null = everything
+   * @returns {Promise<AircraftState[]>}
+   */
+  async fetch(bbox) {
+    throw new Error(`${this.name} does not implement fetch()`);
+  }
+
+  /**
+   * Time until the source accepts the next fetch (e.g. API rate limits)
+   * @returns {number} ms
+   */
+  getTimeUntilNextFetch() {
+    return 0;
+  }
+
+  canFetch() {
+    return this.getTimeUntilNextFetch() === 0;
+  }
+
+  recordSuccess(count) {
+    this.lastSuccess = new Date();
+    this.lastError = null;
+    this.consecutiveErrors = 0;
+    this.lastCount = count;
+  }
+
+  recordError(error) {
+    this.lastError = error;
+    this.consecutiveErrors++;
+  }
+
+  /**
+   * @returns {Object} { id, name, enabled, priority, status, message,
+   *   lastSuccess, lastCount, consecutiveErrors, capabilities }
+   */
+  getHealth() {
+    let status = "idle";
+    if (this.lastError) {
+      status = this.consecutiveErrors >= 3 ? "down" : "degraded";
+    } else if (this.lastSuccess) {
+      status = "ok";
+    }
+
+    return {
+      id: this.id,
+      name: this.name,
+      enabled: this.enabled,
+      priority: this.priority,
+      status,
+      message: this.lastError?.message || null,
+      lastSuccess: this.lastSuccess,
+      lastCount: this.lastCount,
+      consecutiveErrors: this.consecutiveErrors,
+      capabilities: { ...this.capabilities },
+    };
+  }
+
+  // Called when the provider is switched on or off
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  onUpdate(callback) {
+    this.updateHandler = callback;
+  }
+
+  notifyUpdate() {
+    if (this.enabled && this.updateHandler) {
+      this.updateHandler(this);
+    }
+  }
+
+  destroy() {}
+
+  /**
+   * Keep states inside a bounding box (for sources that cannot filter)
+   * @param {AircraftState[]} states
+   * @param {Array|null} bbox - [lamin, lomin, lamax, lomax]
+   */
+  static filterByBounds(states, bbox) {
+    if (!bbox) {
+      return states;
+    }
+    const [lamin, lomin, lamax, lomax] = bbox;
+    return states.filter(
+      (state) =>
+        state.latitude >= lamin &&
+        state.latitude <= lamax &&
+        state.longitude >= lomin &&
+        state.longitude <= lomax
+    );
+  }
+}
+
+/**
+ * OpenSky Network REST API (see AircraftAPIService)
+ */
+export class OpenSkyProvider extends AircraftProvider {
+  /**
+   * @param {AircraftAPIService} apiService - Shared API service (usage
+   *   counters and credentials live there)
+   * @param {Object} options - See AircraftProvider
+   */
+  constructor(apiService, options = {}) {
+    super("opensky", "OpenSky Network", { priority: 10, ...options });
+    this.apiService = apiService;
+    Object.assign(this.capabilities, {
+      bbox: true,
+      global: true,
+      minInterval: apiService.minRequestInterval,
+    });
+  }
+
+  async fetch(bbox) {
+    return this.apiService.fetchAircraftData(bbox ? { bbox } : {});
+  }
+
+  getTimeUntilNextFetch() {
+    return this.apiService.canMakeRequest()
+      ? 0
+      : Math.max(1, this.apiService.getTimeUntilNextRequest());
+  }
+
+  getHealth() {
+    const health = super.getHealth();
+    const usage = this.apiService.getUsageStats();
+    health.usage = usage;
+    if (usage.dailyLimitReached) {
+      health.status = "degraded";
+      health.message = `Daily limit of ${usage.dailyLimit} requests reached`;
+    }
+    return health;
+  }
+}
+
+/**
+ * Simulated traffic from the dummy aircraft generator
+ */
+export class DemoProvider extends AircraftProvider {
+  constructor(options = {}) {
+    super("demo", "Demo (simulated)", { priority: 0, ...options });
+    this.generator = dummyAircraftGenerator;
+    this.fleetSize = options.fleetSize ?? 15;
+    this.capabilities.live = false;
+  }
+
+  setEnabled(enabled) {
+    super.setEnabled(enabled);
+    if (enabled && this.generator.aircraft.size === 0) {
+      this.generator.generateInitialFleet(this.fleetSize);
+    }
+  }
+
+  async fetch(bbox) {
+    const { states } = this.generator.getCurrentStates();
+    return AircraftProvider.filterByBounds(
+      states.map((stateArray) => new AircraftState(stateArray)),
+      bbox
+    );
+  }
+}
+
+/**
+ * Base for push sources that stream messages over a WebSocket (e.g. a
+ * bridge in front of a receiver's TCP port). Subclasses decode the frames
+ * in handleData() and keep one record per icao24 via getRecord(); fetch()
+ * returns the current table, and notifyUpdate() tells the tracker that
+ * new data arrived.
+ */
+export class StreamProvider extends AircraftProvider {
+  // Counted per second over this many seconds for the message rate
+  static RATE_WINDOW = 10;
+
+  /**
+   * @param {string} id - Unique provider id
+   * @param {string} name - Display name
+   * @param {Object} options - { url, priority, enabled, maxAge, staleAfter,
+   *   reconnectInterval, binary }
+   */
+  constructor(id, name, options = {}) {
+    super(id, name, options);
+    this.url = options.url || null;
+    this.maxAge = options.maxAge ?? 60; // s until an aircraft is dropped
+    this.staleAfter = options.staleAfter ?? 15; // s until data counts as stale
+    this.reconnectInterval = options.reconnectInterval ?? 5000;
+    this.binary = options.binary ?? false; // hand ArrayBuffers to handleData
+
+    this.socket = null;
+    this.reconnectTimer = null;
+    this.connectionError = null;
+    this.decoder = new TextDecoder();
+    this.buffer = ""; // incomplete line between frames (text streams)
+
+    this.records = new Map(); // icao24 -> record in AircraftState units
+    this.resetStats();
+
+    Object.assign(this.capabilities, { push: true, global: true });
+  }
+
+  resetStats() {
+    this.stats = {
+      messages: 0,
+      errors: 0, // frames or lines that could not be decoded
+      byType: {},
+      connectedAt: null,
+      lastMessage: null, // ms timestamp
+    };
+    this.rateCounts = []; // [{ second, count }]
+  }
+
+  setEnabled(enabled) {
+    super.setEnabled(enabled);
+    if (enabled) {
+      this.connect();
+    } else {
+      this.disconnect();
+      this.records.clear();
+    }
+  }
+
+  /**
+   * Stream from a different WebSocket URL
+   * @param {string} url - e.g. ws://localhost:30006
+   */
+  setUrl(url) {
+    this.url = url;
+    if (this.enabled) {
+      this.disconnect();
+      this.connect();
+    }
+  }
+
+  connect() {
+    if (this.socket || !this.url) {
+      return;
+    }
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (error) {
+      this.connectionError = error;
+      this.scheduleReconnect();
+      return;
+    }
+    socket.binaryType = "arraybuffer";
+
+    socket.onopen = () => {
+      this.connectionError = null;
+      this.stats.connectedAt = new Date();
+      console.log(`${this.name} connected to ${this.url}`);
+    };
+    socket.onmessage = (event) => {
+      this.receive(event.data);
+    };
+    socket.onerror = () => {
+      this.connectionError = new Error(`Cannot connect to ${this.url}`);
+    };
+    socket.onclose = () => {
+      if (this.socket !== socket) {
+        return; // closed on purpose
+      }
+      this.socket = null;
+      this.stats.connectedAt = null;
+      this.connectionError = this.connectionError || new Error(`Connection to ${this.url} closed`);
+      this.scheduleReconnect();
+    };
+    this.socket = socket;
+  }
+
+  disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    const socket = this.socket;
+    this.socket = null;
+    this.buffer = "";
+    this.stats.connectedAt = null;
+    if (socket) {
+      socket.close();
+    }
+  }
+
+  scheduleReconnect() {
+    if (!this.enabled || this.reconnectTimer) {
+      return;
+    }
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, this.reconnectInterval);
+  }
+
+  isConnected() {
+    return this.socket?.readyState === 1; // WebSocket.OPEN
+  }
+
+  /**
+   * Hand a WebSocket frame to the decoder; text streams arrive as complete
+   * lines whatever way the bridge splits them
+   * @param {string|ArrayBuffer} data - Frame payload
+   */
+  receive(data) {
+    const before = this.stats.messages;
+
+    if (this.binary) {
+      this.handleData(typeof data === "string" ? new TextEncoder().encode(data) : new Uint8Array(data));
+    } else {
+      const text = typeof data === "string" ? data : this.decoder.decode(data, { stream: true });
+      const lines = (this.buffer + text).split(/\r?\n/);
+      this.buffer = lines.pop();
+      this.handleData(lines.filter((line) => line.trim() !== ""));
+    }
+
+    if (this.stats.messages > before) {
+      this.notifyUpdate();
+    }
+  }
+
+  /**
+   * Decode received data; implemented by subclasses
+   * @param {Array<string>|Uint8Array} data - Complete lines, or bytes when
+   *   the provider is binary
+   */
+  handleData(data) {
+    throw new Error(`${this.name} does not implement handleData()`);
+  }
+
+  /**
+   * Record of an aircraft, created on first contact
+   * @param {string} icao24 - Aircraft address
+   * @returns {Object} Record with AircraftState fields (meters, m/s)
+   */
+  getRecord(icao24) {
+    const key = icao24.toLowerCase();
+    let record = this.records.get(key);
+    if (!record) {
+      record = {
+        icao24: key,
+        callsign: null,
+        timePosition: null,
+        lastContact: null,
+        longitude: null,
+        latitude: null,
+        baroAltitude: null,
+        onGround: false,
+        velocity: null,
+        trueTrack: null,
+        verticalRate: null,
+        geoAltitude: null,
+        squawk: null,
+        spi: false,
+        positionSource: 0,
+        category: null,
+        messages: 0,
+      };
+      this.records.set(key, record);
+    }
+    return record;
+  }
+
+  /**
+   * Count a decoded message for the statistics
+   * @param {Object|null} record - Aircraft it was about
+   * @param {string} type - Message type for the per-type counts
+   */
+  countMessage(record, type) {
+    const now = Date.now();
+    this.stats.messages++;
+    this.stats.byType[type] = (this.stats.byType[type] || 0) + 1;
+    this.stats.lastMessage = now;
+
+    const second = Math.floor(now / 1000);
+    const last = this.rateCounts[this.rateCounts.length - 1];
+    if (last && last.second === second) {
+      last.count++;
+    } else {
+      this.rateCounts.push({ second, count: 1 });
+      while (this.rateCounts[0].second <= second - StreamProvider.RATE_WINDOW) {
+        this.rateCounts.shift();
+      }
+    }
+
+    if (record) {
+      record.messages++;
+      record.lastContact = Math.floor(now / 1000);
+    }
+  }
+
+  countError() {
+    this.stats.errors++;
+  }
+
+  // Drop aircraft not heard from for maxAge seconds
+  prune() {
+    const cutoff = Date.now() / 1000 - this.maxAge;
+    for (const [icao24, record] of this.records) {
+      if (record.lastContact < cutoff) {
+        this.records.delete(icao24);
+      }
+    }
+  }
+
+  async fetch(bbox) {
+    if (!this.isConnected() && this.connectionError && this.records.size === 0) {
+      throw this.connectionError;
+    }
+    this.prune();
+    const states = [...this.records.values()].map((record) => StreamProvider.toAircraftState(record));
+    return AircraftProvider.filterByBounds(states, bbox);
+  }
+
+  static toAircraftState(record) {
+    return new AircraftState([
+      record.icao24,
+      record.callsign,
+      "Unknown", // not in the stream
+      record.timePosition,
+      record.lastContact,
+      record.longitude,
+      record.latitude,
+      record.baroAltitude,
+      record.onGround,
+      record.velocity,
+      record.trueTrack,
+      record.verticalRate,
+      null,
+      record.geoAltitude,
+      record.squawk,
+      record.spi,
+      record.positionSource,
+      record.category,
+    ]);
+  }
+
+  /**
+   * Message rate and staleness
+   * @returns {Object} { connected, messages, messageRate, errors, byType,
+   *   aircraft, stale, lastMessageAge }
+   */
+  getStats() {
+    const now = Date.now();
+    const second = Math.floor(now / 1000);
+    const window = StreamProvider.RATE_WINDOW;
+    // Completed seconds only, so the rate does not dip at each new second
+    const counted = this.rateCounts
+      .filter((entry) => entry.second < second && entry.second >= second - window)
+      .reduce((sum, entry) => sum + entry.count, 0);
+
+    const staleCutoff = now / 1000 - this.staleAfter;
+    const records = [...this.records.values()];
+
+    return {
+      connected: this.isConnected(),
+      messages: this.stats.messages,
+      messageRate: Math.round((counted / window) * 10) / 10,
+      errors: this.stats.errors,
+      byType: { ...this.stats.byType },
+      aircraft: records.length,
+      stale: records.filter((record) => record.lastContact < staleCutoff).length,
+      lastMessageAge: this.stats.lastMessage ? Math.round((now - this.stats.lastMessage) / 1000) : null,
+    };
+  }
+
+  getHealth() {
+    const health = super.getHealth();
+    const stats = this.getStats();
+    health.stats = stats;
+    health.source = this.url;
+
+    if (!this.enabled) {
+      return health;
+    }
+    if (!stats.connected) {
+      health.status = this.connectionError ? "down" : "idle";
+      health.message = this.connectionError?.message || "Connecting…";
+    } else if (stats.lastMessageAge === null || stats.lastMessageAge > this.staleAfter) {
+      health.status = "degraded";
+      health.message = stats.lastMessageAge === null ? "Connected, no messages yet" : `No messages for ${stats.lastMessageAge}s`;
+    }
+    return health;
+  }
+
+  destroy() {
+    this.disconnect();
+    this.records.clear();
+  }
+}
+
+/**
+ * Holds the providers, fetches from the enabled ones and merges their
+ * states by icao24. When several sources see the same aircraft, the one
+ * with the higher priority wins, then the more recent contact.
+ */
+export class AircraftProviderRegistry {
+  // States of a provider that was not fetched this round stay in the merge
+  // for this long (ms), e.g. while OpenSky waits for its rate limit
+  static CACHE_TTL = 90000;
+
+  constructor() {
+    this.providers = new Map(); // id -> AircraftProvider
+    this.results = new Map(); // id -> { states, time }
+    this.updateHandler = null;
+  }
+
+  register(provider) {
+    this.providers.set(provider.id, provider);
+    provider.onUpdate((source) => this.updateHandler?.(source));
+    if (provider.enabled) {
+      provider.setEnabled(true);
+    }
+    return provider;
+  }
+
+  unregister(id) {
+    const provider = this.providers.get(id);
+    if (provider) {
+      provider.destroy();
+      this.providers.delete(id);
+      this.results.delete(id);
+    }
+  }
+
+  getProvider(id) {
+    return this.providers.get(id) || null;
+  }
+
+  getProviders() {
+    return [...this.providers.values()];
+  }
+
+  getEnabledProviders() {
+    return this.getProviders().filter((provider) => provider.enabled);
+  }
+
+  setEnabled(id, enabled) {
+    const provider = this.providers.get(id);
+    if (!provider) {
+      return false;
+    }
+    provider.setEnabled(enabled);
+    if (!enabled) {
+      this.results.delete(id);
+    }
+    return true;
+  }
+
+  setPriority(id, priority) {
+    const provider = this.providers.get(id);
+    if (provider) {
+      provider.priority = priority;
+    }
+  }
+
+  /**
+   * Enable exactly the given providers
+   * @param {Array<string>} ids - Provider ids
+   */
+  select(ids) {
+    this.getProviders().forEach((provider) =>
+      this.setEnabled(provider.id, ids.includes(provider.id))
+    );
+  }
+
+  canFetch() {
+    return this.getEnabledProviders().some((provider) => provider.canFetch());
+  }
+
+  // Wait until at least one enabled provider can be fetched again
+  getTimeUntilNextFetch() {
+    const waits = this.getEnabledProviders().map((provider) =>
+      provider.getTimeUntilNextFetch()
+    );
+    return waits.length > 0 ? Math.min(...waits) : 0;
+  }
+
+  /**
+   * Polling interval for the enabled providers: the shortest one asked for
+   * @param {number} fallback - Interval (ms) of providers without a preference
+   * @returns {number} ms
+   */
+  getUpdateInterval(fallback) {
+    const intervals = this.getEnabledProviders().map(
+      (provider) => provider.capabilities.updateInterval ?? fallback
+    );
+    return intervals.length > 0 ? Math.min(...intervals) : fallback;
+  }
+
+  /**
+   * Fetch from every enabled provider that is ready and merge the results
+   * @param {Array|null} bbox - [lamin, lomin, lamax, lomax]
+   * @returns {Promise<AircraftState[]>} One state per icao24, tagged with
+   *   its `source` provider id
+   * @throws When no provider is enabled or every fetched provider failed
+   */
+  async fetch(bbox) {
+    const providers = this.getEnabledProviders();
+    if (providers.length === 0) {
+      throw new Error("No aircraft data provider enabled");
+    }
+
+    const ready = providers.filter((provider) => provider.canFetch());
+    const outcomes = await Promise.allSettled(
+      ready.map((provider) => provider.fetch(bbox))
+    );
+
+    const errors = [];
+    outcomes.forEach((outcome, i) => {
+      const provider = ready[i];
+      if (outcome.status === "fulfilled") {
+        provider.recordSuccess(outcome.value.length);
+        this.results.set(provider.id, { states: outcome.value, time: Date.now() });
+      } else {
+        provider.recordError(outcome.reason);
+        errors.push(outcome.reason);
+      }
+    });
+
+    if (ready.length > 0 && errors.length === ready.length && !this.hasCachedResults()) {
+      throw errors[0];
+    }
+
+    return this.merge();
+  }
+
+  hasCachedResults() {
+    const now = Date.now();
+    return [...this.results.values()].some(
+      (result) => now - result.time <= AircraftProviderRegistry.CACHE_TTL
+    );
+  }
+
+  // Latest states of every enabled provider, one per icao24
+  merge() {
+    const now = Date.now();
+    const merged = new Map();
+
+    this.getEnabledProviders().forEach((provider) => {
+      const result = this.results.get(provider.id);
+      if (!result || now - result.time > AircraftProviderRegistry.CACHE_TTL) {
+        return;
+      }
+
+      result.states.forEach((state) => {
+        state.source = provider.id;
+        const icao24 = state.icao24?.toLowerCase();
+        if (!icao24) {
+          return;
+        }
+
+        const current = merged.get(icao24);
+        if (!current || this.isPreferred(state, provider, current)) {
+          merged.set(icao24, { state, provider });
+        }
+      });
+    });
+
+    return [...merged.values()].map(({ state }) => state);
+  }
+
+  isPreferred(state, provider, current) {
+    if (provider.priority !== current.provider.priority) {
+      return provider.priority > current.provider.priority;
+    }
+    return (state.lastContact || 0) > (current.state.lastContact || 0);
+  }
+
+  /**
+   * Called whenever a push provider received new data
+   * @param {Function} callback - (provider) => void
+   */
+  onUpdate(callback) {
+    this.updateHandler = callback;
+  }
+
+  getHealth() {
+    return this.getProviders().map((provider) => provider.getHealth());
+  }
+
+  destroy() {
+    this.getProviders().forEach((provider) => provider.destroy());
+    this.providers.clear();
+    this.results.clear();
+  }
+}
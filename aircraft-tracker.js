@@ -4,14 +4,22 @@
 import { AircraftAPIService } from './aircraft-api-service.js';
 import { AircraftClassifier } from './aircraft-classifier.js';
 import { AircraftVisualizer } from './aircraft-visualizer.js';
-import { ProcessedAircraft, AircraftConfig, AircraftState } from './aircraft-types.js';
-import { dummyAircraftGenerator } from './dummy-aircraft-data.js';
+import { ProcessedAircraft, AircraftConfig } from './aircraft-types.js';
+import { AircraftProviderRegistry, OpenSkyProvider, DemoProvider } from './aircraft-providers.js';
+import { ReadsbProvider } from './readsb-provider.js';
+import { SBSProvider } from './sbs-provider.js';
+import { ModeSProvider } from './modes-provider.js';
 
 /**
  * Main aircraft tracking system that manages data fetching, processing,
  * and visualization updates with smooth position interpolation
  */
 export class AircraftTracker {
+    // Bounding boxes [lamin, lomin, lamax, lomax] of the named regions
+    static REGION_BOUNDS = {
+        slovenia: [45.4, 13.4, 46.9, 16.6]
+    };
+
     constructor(viewer) {
         this.viewer = viewer;
 
@@ -19,6 +27,15 @@ export class AircraftTracker {
         this.apiService = new AircraftAPIService();
         this.visualizer = new AircraftVisualizer(viewer);
 
+        // Aircraft data sources, merged by icao24 (OpenSky by default)
+        this.providers = new AircraftProviderRegistry();
+        this.providers.register(new OpenSkyProvider(this.apiService, { enabled: true }));
+        this.providers.register(new DemoProvider());
+        this.providers.register(new ReadsbProvider());
+        this.providers.register(new SBSProvider());
+        this.providers.register(new ModeSProvider());
+        this.providers.onUpdate(() => this.onProviderUpdate());
+
         // Aircraft data management
         this.aircraft = new Map(); // icao24 -> ProcessedAircraft
         this.lastUpdateTime = 0;
@@ -26,9 +43,10 @@ export class AircraftTracker {
 
         // Update loop management
         this.updateTimer = null;
+        this.pushTimer = null; // pending update after streamed data
+        this.isUpdating = false;
         this.isRunning = false;
         this.isPaused = false;
-        this.demoMode = false;
 
         // Position interpolation
         this.interpolationEnabled = true;
@@ -52,7 +70,8 @@ export class AircraftTracker {
             customBounds: null,
             maxAircraft: AircraftConfig.maxAircraft,
             cleanupInterval: 300000, // 5 minutes
-            retryInterval: 60000     // 1 minute retry on error
+            retryInterval: 60000,    // 1 minute retry on error
+            pushInterval: 1000       // at most one update per second from streams
         };
 
         this.setupEventHandlers();
@@ -99,8 +118,8 @@ export class AircraftTracker {
             this.isRunning = true;
             this.isPaused = false;
 
-            // Check if we can make an immediate request
-            const canMakeRequest = this.apiService.canMakeRequest();
+            // Check if any provider can be fetched right away
+            const canMakeRequest = this.providers.canFetch();
 
             if (canMakeRequest) {
                 // Try initial data fetch
@@ -159,6 +178,9 @@ export class AircraftTracker {
             this.updateTimer = null;
         }
 
+        clearTimeout(this.pushTimer);
+        this.pushTimer = null;
+
         // Clear visualization
         this.visualizer.clearAircraft();
         this.aircraft.clear();
@@ -186,6 +208,9 @@ export class AircraftTracker {
             this.updateTimer = null;
         }
 
+        clearTimeout(this.pushTimer);
+        this.pushTimer = null;
+
         if (this.eventHandlers.onStatusChange) {
             this.eventHandlers.onStatusChange({
                 status: 'paused',
@@ -221,9 +246,15 @@ export class AircraftTracker {
     scheduleNextUpdate() {
         if (!this.isRunning || this.isPaused) return;
 
-        // Check API rate limits
-        const timeUntilNextRequest = this.apiService.getTimeUntilNextRequest();
-        const delay = Math.max(this.updateInterval, timeUntilNextRequest);
+        // Updates pushed by streams restart the countdown
+        if (this.updateTimer) {
+            clearTimeout(this.updateTimer);
+        }
+
+        // Poll as often as the fastest provider wants, within rate limits
+        const interval = this.providers.getUpdateInterval(this.updateInterval);
+        const timeUntilNextRequest = this.providers.getTimeUntilNextFetch();
+        const delay = Math.max(interval, timeUntilNextRequest);
 
         this.updateTimer = setTimeout(() => {
             this.updateAircraftData().catch(error => {
@@ -246,41 +277,14 @@ export class AircraftTracker {
         if (!this.isRunning || this.isPaused) return;
 
         const startTime = performance.now();
+        this.isUpdating = true;
 
         try {
-            console.log('Fetching aircraft data...', this.demoMode ? '(Demo Mode)' : '(Live API)');
-
-            // Fetch data based on demo mode or region configuration
-            let rawAircraft;
+            const providerNames = this.providers.getEnabledProviders().map(provider => provider.name);
+            console.log('Fetching aircraft data...', `(${providerNames.join(', ')})`);
 
-            if (this.demoMode) {
-                // Use dummy data
-                const dummyData = dummyAircraftGenerator.getCurrentStates();
-                // Convert raw arrays to AircraftState objects (like real API does)
-                rawAircraft = dummyData.states.map(stateArray => new AircraftState(stateArray));
-                console.log(`Using dummy data: ${rawAircraft.length} aircraft`);
-            } else {
-                // Use real API data
-                switch (this.config.region) {
-                    case 'slovenia':
-                        rawAircraft = await this.apiService.fetchAircraftInSlovenia();
-                        break;
-                    case 'custom':
-                        if (this.config.customBounds) {
-                            rawAircraft = await this.apiService.fetchAircraftData({
-                                bbox: this.config.customBounds
-                            });
-                        } else {
-                            throw new Error('Custom bounds not configured');
-                        }
-                        break;
-                    case 'global':
-                        rawAircraft = await this.apiService.fetchAircraftData();
-                        break;
-                    default:
-                        rawAircraft = await this.apiService.fetchAircraftInSlovenia();
-                }
-            }
+            // Every enabled provider is asked for the configured region
+            const rawAircraft = await this.providers.fetch(this.getRegionBounds());
 
             // Process and classify aircraft
             const processedAircraft = this.processAircraftData(rawAircraft);
@@ -290,6 +294,7 @@ export class AircraftTracker {
 
             // Update statistics
             this.updateCount++;
+            this.lastUpdateTime = Date.now();
             this.lastFetchTime = performance.now() - startTime;
             this.updateAverageTime();
 
@@ -307,11 +312,35 @@ export class AircraftTracker {
             console.error('Aircraft data update failed:', error);
             throw error;
         } finally {
+            this.isUpdating = false;
             // Schedule next update
             this.scheduleNextUpdate();
         }
     }
 
+    /**
+     * A streaming provider received data: update soon, but at most once
+     * per pushInterval and never while an update is still running
+     */
+    onProviderUpdate() {
+        if (!this.isRunning || this.isPaused || this.pushTimer) return;
+
+        const wait = this.isUpdating
+            ? this.config.pushInterval
+            : Math.max(0, this.lastUpdateTime + this.config.pushInterval - Date.now());
+
+        this.pushTimer = setTimeout(() => {
+            this.pushTimer = null;
+            if (this.isUpdating) {
+                this.onProviderUpdate();
+                return;
+            }
+            this.updateAircraftData().catch(error => {
+                console.error('Aircraft update failed:', error);
+            });
+        }, wait);
+    }
+
     /**
      * Process raw aircraft data and manage lifecycle
      * @param {AircraftState[]} rawAircraft - Raw aircraft from API
@@ -496,6 +525,24 @@ export class AircraftTracker {
         console.log(`Aircraft tracking region set to: ${region}`);
     }
 
+    /**
+     * Bounding box of the configured region
+     * @returns {Array|null} [lamin, lomin, lamax, lomax], null for global
+     */
+    getRegionBounds() {
+        switch (this.config.region) {
+            case 'custom':
+                if (!this.config.customBounds) {
+                    throw new Error('Custom bounds not configured');
+                }
+                return this.config.customBounds;
+            case 'global':
+                return null;
+            default:
+                return AircraftTracker.REGION_BOUNDS[this.config.region] || AircraftTracker.REGION_BOUNDS.slovenia;
+        }
+    }
+
     /**
      * Get comprehensive statistics
      * @returns {Object} Statistics object
@@ -507,6 +554,7 @@ export class AircraftTracker {
         return {
             ...visualizerStats,
             api: apiStats,
+            providers: this.providers.getHealth(),
             tracking: {
                 isRunning: this.isRunning,
                 isPaused: this.isPaused,
@@ -585,30 +633,68 @@ export class AircraftTracker {
     }
 
     /**
-     * Set demo mode on/off
-     * @param {boolean} enabled - Enable demo mode
+     * Add a data provider (e.g. a local receiver)
+     * @param {AircraftProvider} provider - Provider to register
+     * @returns {AircraftProvider} The provider
      */
-    setDemoMode(enabled) {
-        this.demoMode = enabled;
-        console.log(`Demo mode ${enabled ? 'enabled' : 'disabled'}`);
+    registerProvider(provider) {
+        return this.providers.register(provider);
+    }
 
-        if (enabled) {
-            // Generate initial dummy fleet when enabling demo mode
-            dummyAircraftGenerator.generateInitialFleet(15);
+    /**
+     * Switch a provider on or off; aircraft seen only by providers that
+     * were switched off are dropped
+     * @param {string} id - Provider id
+     * @param {boolean} enabled - Enable the provider
+     */
+    setProviderEnabled(id, enabled) {
+        if (!this.providers.setEnabled(id, enabled)) {
+            console.warn(`Unknown aircraft provider: ${id}`);
+            return;
+        }
+        console.log(`Aircraft provider ${id} ${enabled ? 'enabled' : 'disabled'}`);
+        this.onProvidersChanged();
+    }
 
-            // Clear existing aircraft from visualization
-            this.aircraft.clear();
-            this.visualizer.clearAircraft();
+    /**
+     * Change which source wins when providers report the same aircraft
+     * @param {string} id - Provider id
+     * @param {number} priority - Higher wins
+     */
+    setProviderPriority(id, priority) {
+        this.providers.setPriority(id, priority);
+    }
 
-            console.log('Switched to dummy aircraft data');
-        } else {
-            console.log('Switched to live API data');
-        }
+    /**
+     * Use only the given providers
+     * @param {Array<string>} ids - Provider ids
+     */
+    selectProviders(ids) {
+        this.providers.select(ids);
+        this.onProvidersChanged();
+    }
+
+    /**
+     * Set demo mode on/off (demo data instead of OpenSky)
+     * @param {boolean} enabled - Enable demo mode
+     */
+    setDemoMode(enabled) {
+        this.selectProviders(enabled ? ['demo'] : ['opensky']);
+    }
+
+    onProvidersChanged() {
+        // Start over so aircraft of disabled sources do not linger
+        this.aircraft.clear();
+        this.visualizer.clearAircraft();
 
         // If tracking is running, trigger an immediate update
-        if (this.isRunning && !this.isPaused) {
+        if (this.isRunning && !this.isPaused && this.providers.canFetch()) {
+            if (this.updateTimer) {
+                clearTimeout(this.updateTimer);
+                this.updateTimer = null;
+            }
             this.updateAircraftData().catch(error => {
-                console.error('Error updating aircraft data after mode switch:', error);
+                console.error('Error updating aircraft data after provider change:', error);
             });
         }
     }
@@ -619,6 +705,7 @@ export class AircraftTracker {
     destroy() {
         this.stop();
         this.visualizer.destroy();
+        this.providers.destroy();
         this.apiService.destroy();
         this.eventHandlers = {};
 
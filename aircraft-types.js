@@ -9,7 +9,8 @@ export class AircraftState {
     // OpenSky Network data format:
     // [icao24, callsign, origin_country, time_position, last_contact,
     //  longitude, latitude, baro_altitude, on_ground, velocity,
-    //  true_track, vertical_rate, sensors, geo_altitude, squawk, spi, position_source]
+    //  true_track, vertical_rate, sensors, geo_altitude, squawk, spi, position_source,
+    //  category]
 
     this.icao24 = data[0]; // Unique aircraft identifier
     this.callsign = data[1]?.trim() || null; // Flight callsign/registration
@@ -28,6 +29,26 @@ export class AircraftState {
     this.squawk = data[14]; // Transponder code
     this.spi = data[15]; // Special purpose indicator
     this.positionSource = data[16]; // Position source (0=ADS-B, 1=ASTERIX, 2=MLAT)
+    this.category = data[17] ?? null; // Emitter category (OpenSky numbering)
+  }
+
+  /**
+   * OpenSky category number for an ADS-B emitter category ("A3" -> 4)
+   * @param {string} code - Emitter category set A-D and number 0-7
+   * @returns {number|null} 0 = no information, null for unknown codes
+   */
+  static getCategoryFromEmitter(code) {
+    const match = /^([A-C])([0-7])$/.exec(String(code || "").toUpperCase());
+    if (!match) {
+      return code ? 0 : null;
+    }
+    const number = Number(match[2]);
+    if (number === 0) {
+      return 1; // set known, no category information
+    }
+    // A1-A7 -> 2-8, B1-B7 -> 9-15, C1-C5 -> 16-20 (C6/C7 reserved)
+    const category = { A: 1, B: 8, C: 15 }[match[1]] + number;
+    return category <= 20 ? category : 0;
   }
 
   /**
@@ -179,6 +200,7 @@ export class ProcessedAircraft extends AircraftState {
         aircraftState.squawk,
         aircraftState.spi,
         aircraftState.positionSource,
+        aircraftState.category,
       ];
       super(rawData);
     } else {
@@ -242,6 +264,7 @@ export class ProcessedAircraft extends AircraftState {
       this.squawk = newState.squawk;
       this.spi = newState.spi;
       this.positionSource = newState.positionSource;
+      this.category = newState.category;
     } else {
       // Update from raw properties
       Object.assign(this, newState);
@@ -402,8 +425,39 @@ export const AircraftConfig = {
   // API settings
   openSky: {
     baseUrl: "https://opensky-network.org/api/states/all",
+    tokenUrl:
+      "https://auth.opensky-network.org/auth/realms/opensky-network/protocol/openid-connect/token",
     rateLimit: 400, // requests per day (anonymous)
+    authenticatedRateLimit: 4000, // requests per day with an API client
+    tokenRefreshMargin: 60000, // refresh tokens 1 minute before they expire
     timeout: 10000, // 10 second timeout
     retryAttempts: 3,
   },
+
+  // Local receiver (readsb / dump1090 / tar1090 aircraft.json)
+  readsb: {
+    url: "./data/aircraft.json", // recorded sample; set your receiver in the sidebar
+    updateInterval: 1000, // the receiver rewrites the file every second
+    timeout: 5000,
+    maxAge: 60, // seconds without messages before an aircraft is dropped
+  },
+
+  // SBS-1 BaseStation stream (port 30003) behind a WebSocket bridge
+  sbs: {
+    url: "ws://localhost:30006",
+    reconnectInterval: 5000,
+    maxAge: 60, // seconds without messages before an aircraft is dropped
+    staleAfter: 15, // seconds without messages before data counts as stale
+  },
+
+  // Raw Mode-S frames (Beast port 30005 or AVR port 30002) behind a
+  // WebSocket bridge, decoded in the browser
+  modes: {
+    url: "ws://localhost:30007",
+    format: "beast", // "beast" or "avr"
+    receiver: null, // { latitude, longitude } of the antenna for local CPR decoding
+    reconnectInterval: 5000,
+    maxAge: 60,
+    staleAfter: 15,
+  },
 };
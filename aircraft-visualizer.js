@@ -534,6 +534,8 @@ export class AircraftVisualizer {
     if (entity.label) {
       entity.label.text = style.labelText;
       entity.label.font = style.labelStyle.font;
+      entity.label.fillColor = style.labelStyle.fillColor;
+      entity.label.outlineColor = style.labelStyle.outlineColor;
       entity.label.scale = style.labelStyle.scale;
       entity.label.show = style.showLabel;
       entity.label.showBackground = style.labelStyle.showBackground;
@@ -541,6 +543,37 @@ export class AircraftVisualizer {
     }
   }
 
+  /**
+   * Re-apply category colours and label styling, e.g. after a theme change
+   */
+  refreshStyles() {
+    for (const [icao24, entity] of this.entities) {
+      const aircraft = this.aircraft.get(icao24);
+      if (!aircraft) continue;
+
+      aircraft.displayColor = aircraft.aircraftType.color;
+      const style = AircraftClassifier.getVisualizationStyle(aircraft, {
+        highlighted: aircraft.isHighlighted,
+        selected: aircraft.isSelected,
+        showLabels: this.showLabels,
+        lod: this.determineLOD(aircraft),
+      });
+
+      if (entity.model) {
+        entity.model.color = style.fillColor;
+      }
+      if (entity.box) {
+        entity.box.material = style.fillColor;
+      }
+      this.updateEntityStyle(entity, style);
+
+      const trailEntity = this.trailEntities.get(icao24);
+      if (trailEntity && trailEntity.polyline) {
+        trailEntity.polyline.material = style.trailColor;
+      }
+    }
+  }
+
   /**
    * Determine Level of Detail for aircraft
    * @param {ProcessedAircraft} aircraft - Aircraft data
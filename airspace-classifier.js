@@ -2,6 +2,11 @@ import { Color } from "cesium";
 
 export class AirspaceClassifier {
   static ICAO_CLASS_COLORS = {
+    0: {
+      name: "A",
+      color: Color.fromBytes(75, 0, 130, 255),
+      description: "IFR only",
+    }, // Indigo
     1: {
       name: "B",
       color: Color.fromBytes(255, 140, 0, 255),
@@ -44,15 +49,47 @@ export class AirspaceClassifier {
     }, // Red
   };
 
+  // Opacities and label style; replaced by the active style theme
+  static STYLE = {
+    fillOpacity: 0.1,
+    inactiveFillOpacity: 0.03, // Outside operating hours
+    outlineOpacity: null, // null = same as the fill
+    label: {
+      font: "14pt sans-serif",
+      fillColor: Color.WHITE,
+      outlineColor: Color.BLACK,
+      outlineWidth: 4,
+    },
+  };
+
+  // Per-type colour overrides from the active theme: type -> { fill, outline, fillOpacity }
+  static TYPE_STYLES = {};
+
+  // openAIP airspace type codes. Special-use types are drawn with chart-style
+  // patterns: hatched (restricted), crosshatched (prohibited), striped (danger,
+  // military training and other activity areas)
   static AIRSPACE_TYPES = {
-    1: { name: "FIR", pattern: "solid" },
-    2: { name: "UIR", pattern: "solid" },
-    3: { name: "TMA", pattern: "solid" },
+    0: { name: "OTHER", pattern: "solid" },
+    1: { name: "RESTRICTED", pattern: "hatched" },
+    2: { name: "DANGER", pattern: "striped" },
+    3: { name: "PROHIBITED", pattern: "crosshatched" },
     4: { name: "CTR", pattern: "solid" },
-    5: { name: "RESTRICTED", pattern: "striped" },
-    6: { name: "PROHIBITED", pattern: "striped" },
-    7: { name: "CTA", pattern: "solid" },
-    8: { name: "MILITARY", pattern: "striped" },
+    5: { name: "TMZ", pattern: "solid" },
+    6: { name: "RMZ", pattern: "solid" },
+    7: { name: "TMA", pattern: "solid" },
+    8: { name: "TRA", pattern: "striped" },
+    9: { name: "TSA", pattern: "striped" },
+    10: { name: "FIR", pattern: "solid" },
+    11: { name: "UIR", pattern: "solid" },
+    12: { name: "ADIZ", pattern: "solid" },
+    13: { name: "ATZ", pattern: "solid" },
+    14: { name: "MATZ", pattern: "solid" },
+    15: { name: "AIRWAY", pattern: "solid" },
+    16: { name: "MTR", pattern: "striped" },
+    17: { name: "ALERT", pattern: "striped" },
+    18: { name: "WARNING", pattern: "striped" },
+    25: { name: "MILITARY", pattern: "striped" }, // MTA, military training area
+    26: { name: "CTA", pattern: "solid" },
   };
 
   static getClassificationInfo(icaoClass) {
@@ -63,10 +100,16 @@ export class AirspaceClassifier {
     return this.AIRSPACE_TYPES[type] || { name: "UNKNOWN", pattern: "solid" };
   }
 
+  static getTypeStyle(type) {
+    return this.TYPE_STYLES[type] || {};
+  }
+
   static getAirspaceColor(airspace, options = {}) {
     const { opacity = 0.5, highlighted = false } = options;
     const classification = this.getClassificationInfo(airspace.icaoClass);
-    const color = classification.color.clone();
+    const color = (
+      this.getTypeStyle(airspace.type).fill || classification.color
+    ).clone();
 
     if (highlighted) {
       color.alpha = Math.min(1.0, opacity + 0.5);
@@ -80,12 +123,16 @@ export class AirspaceClassifier {
   static getOutlineColor(airspace, options = {}) {
     const { opacity = 0.8, highlighted = false } = options;
     const classification = this.getClassificationInfo(airspace.icaoClass);
-    const color = classification.color.clone();
+    const typeStyle = this.getTypeStyle(airspace.type);
+    const themed = typeStyle.outline || classification.outlineColor;
+    const color = (themed || typeStyle.fill || classification.color).clone();
 
-    // Make outline color darker by reducing brightness
-    color.red = Math.max(0, color.red * 0.7);
-    color.green = Math.max(0, color.green * 0.7);
-    color.blue = Math.max(0, color.blue * 0.7);
+    // Without a themed outline, darken the fill colour
+    if (!themed) {
+      color.red = Math.max(0, color.red * 0.7);
+      color.green = Math.max(0, color.green * 0.7);
+      color.blue = Math.max(0, color.blue * 0.7);
+    }
 
     if (highlighted) {
       color.alpha = Math.min(1.0, opacity + 0.3);
@@ -98,36 +145,53 @@ export class AirspaceClassifier {
 
   static shouldUsePattern(airspace) {
     const typeInfo = this.getTypeInfo(airspace.type);
-    return typeInfo.pattern === "striped";
+    return typeInfo.pattern !== "solid";
+  }
+
+  // One legend entry per wall pattern, listing the types that use it
+  static getPatternLegendData() {
+    const patterns = new Map();
+    Object.values(this.AIRSPACE_TYPES)
+      .filter((typeInfo) => typeInfo.pattern !== "solid")
+      .forEach((typeInfo) => {
+        if (!patterns.has(typeInfo.pattern)) {
+          patterns.set(typeInfo.pattern, []);
+        }
+        patterns.get(typeInfo.pattern).push(typeInfo.name);
+      });
+
+    return [...patterns].map(([pattern, types]) => ({ pattern, types }));
   }
 
   static getVisualizationStyle(airspace, options = {}) {
-    const { highlighted = false, showLabels = true } = options;
+    const { highlighted = false, showLabels = true, active = true } = options;
     const classification = this.getClassificationInfo(airspace.icaoClass);
     const typeInfo = this.getTypeInfo(airspace.type);
 
+    // Inactive airspaces (outside operating hours) are dimmed, not hidden
+    const { fillOpacity, inactiveFillOpacity, outlineOpacity } = this.STYLE;
+    const dimming = inactiveFillOpacity / fillOpacity;
+    const activeOpacity = this.getTypeStyle(airspace.type).fillOpacity ?? fillOpacity;
+    const opacity = active ? activeOpacity : activeOpacity * dimming;
+    const lineOpacity =
+      outlineOpacity === null ? opacity : outlineOpacity * (active ? 1 : dimming);
+
     return {
       fill: true,
-      fillColor: this.getAirspaceColor(airspace, { highlighted, opacity: 0.1 }),
+      fillColor: this.getAirspaceColor(airspace, { highlighted, opacity }),
       outline: true,
       outlineColor: this.getOutlineColor(airspace, {
         highlighted,
-        opacity: 0.1,
+        opacity: lineOpacity,
       }),
       outlineWidth: highlighted ? 3 : 1,
       showLabel: showLabels,
       labelText: airspace.name,
-      labelStyle: {
-        font: "12pt sans-serif",
-        fillColor: Color.WHITE,
-        outlineColor: Color.BLACK,
-        outlineWidth: 2,
-        style: "FILL_AND_OUTLINE",
-        pixelOffset: { x: 0, y: -30 },
-      },
+      labelStyle: { ...this.STYLE.label },
       classification: classification.name,
       type: typeInfo.name,
       pattern: typeInfo.pattern,
+      active: active,
     };
   }
 
@@ -154,12 +218,29 @@ export class AirspaceClassifier {
     return `#${r}${g}${b}`;
   }
 
-  static filterByAltitude(airspaces, maxAltitude) {
+  // Airspaces overlapping the [minAltitude, maxAltitude] band (meters)
+  static filterByAltitude(airspaces, maxAltitude, minAltitude = 0) {
     return airspaces.filter(
-      (airspace) => airspace.lowerAltitude <= maxAltitude
+      (airspace) =>
+        airspace.lowerAltitude <= maxAltitude &&
+        airspace.upperAltitude >= minAltitude
     );
   }
 
+  // classes: iterable of icaoClass values, or null for all
+  static filterByClass(airspaces, classes = null) {
+    if (!classes) return airspaces;
+    const allowed = new Set(classes);
+    return airspaces.filter((airspace) => allowed.has(airspace.icaoClass));
+  }
+
+  // types: iterable of type codes, or null for all
+  static filterByType(airspaces, types = null) {
+    if (!types) return airspaces;
+    const allowed = new Set(types);
+    return airspaces.filter((airspace) => allowed.has(airspace.type));
+  }
+
   static groupByClassification(airspaces) {
     const groups = {};
 
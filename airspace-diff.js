@@ -0,0 +1,255 @@
+// airspace-diff.js
+// Compares two airspace datasets (e.g. consecutive AIRAC cycles)
+
+import { AirspaceDataProcessor } from "./data-processor.js";
+
+export class AirspaceDiff {
+  // Highlight colours per change kind (CSS strings, converted by the visualizer)
+  static CHANGE_COLORS = {
+    added: "#00E676",
+    removed: "#FF1744",
+    modified: "#FFA000",
+  };
+
+  // Vertex tolerance in degrees (~1 cm) before geometry counts as changed
+  static COORDINATE_TOLERANCE = 1e-7;
+
+  /**
+   * Compare two raw GeoJSON datasets
+   * @param {Object} previousGeoJson - Older dataset
+   * @param {Object} currentGeoJson - Newer dataset
+   * @returns {Object} Diff report (see compare)
+   */
+  static compareGeoJSON(previousGeoJson, currentGeoJson) {
+    return this.compare(
+      AirspaceDataProcessor.processGeoJSON(previousGeoJson),
+      AirspaceDataProcessor.processGeoJSON(currentGeoJson)
+    );
+  }
+
+  /**
+   * Compare two lists of processed airspaces. Airspaces are matched by their
+   * stable id, then by feature id where the name agrees, then by name alone.
+   * openAIP numbers features 1..N per export, so only properties._id
+   * survives a cycle that inserts or drops an airspace.
+   * @param {Array} previous - Airspaces of the older dataset
+   * @param {Array} current - Airspaces of the newer dataset
+   * @returns {Object} { added, removed, modified, unchanged, summary }
+   */
+  static compare(previous, current) {
+    const pairs = this.matchAirspaces(previous, current);
+    const matchedPrevious = new Set(pairs.map(([before]) => before));
+    const matchedCurrent = new Set(pairs.map(([, after]) => after));
+
+    const modified = [];
+    const unchanged = [];
+
+    pairs.forEach(([before, after]) => {
+      const changes = this.getChanges(before, after);
+      if (changes.length > 0) {
+        modified.push({
+          airspace: after,
+          previous: before,
+          changes,
+          areaDelta: this.getAreaDelta(before, after),
+        });
+      } else {
+        unchanged.push(after);
+      }
+    });
+
+    const added = current.filter((airspace) => !matchedCurrent.has(airspace));
+    const removed = previous.filter(
+      (airspace) => !matchedPrevious.has(airspace)
+    );
+
+    return {
+      added,
+      removed,
+      modified,
+      unchanged,
+      summary: {
+        added: added.length,
+        removed: removed.length,
+        modified: modified.length,
+        unchanged: unchanged.length,
+      },
+    };
+  }
+
+  static matchAirspaces(previous, current) {
+    const pairs = [];
+    const matchedCurrent = new Set();
+    let unmatchedPrevious = previous;
+
+    const matchBy = (getKey) => {
+      const currentByKey = new Map();
+      current
+        .filter((airspace) => !matchedCurrent.has(airspace))
+        .forEach((airspace) => {
+          const key = getKey(airspace);
+          if (key === null) return;
+          if (!currentByKey.has(key)) {
+            currentByKey.set(key, []);
+          }
+          currentByKey.get(key).push(airspace);
+        });
+
+      unmatchedPrevious = unmatchedPrevious.filter((before) => {
+        const key = getKey(before);
+        const candidates = key === null ? null : currentByKey.get(key);
+        if (!candidates || candidates.length === 0) {
+          return true;
+        }
+        const after = candidates.shift();
+        pairs.push([before, after]);
+        matchedCurrent.add(after);
+        return false;
+      });
+    };
+
+    matchBy((airspace) => this.getSourceId(airspace));
+    // Feature ids alone are positional, so the name has to agree as well
+    matchBy((airspace) =>
+      airspace.id === undefined || airspace.id === null
+        ? null
+        : `${airspace.id}|${this.getNameKey(airspace)}`
+    );
+    // Fall back to names for airspaces whose id changed
+    matchBy((airspace) => this.getNameKey(airspace));
+
+    return pairs;
+  }
+
+  /**
+   * Identifier the data source keeps between cycles (openAIP _id)
+   * @returns {string|null}
+   */
+  static getSourceId(airspace) {
+    const id = airspace.rawProperties?._id;
+    return id === undefined || id === null || id === "" ? null : String(id);
+  }
+
+  static getNameKey(airspace) {
+    return String(airspace.name || "").trim().toUpperCase();
+  }
+
+  /**
+   * List the differences between two matched airspaces
+   * @returns {Array} [{ field, from, to }]
+   */
+  static getChanges(before, after) {
+    const changes = [];
+    const compareField = (field, from, to) => {
+      if (from !== to) {
+        changes.push({ field, from, to });
+      }
+    };
+
+    // A renumbered feature with the same source id is not a change
+    compareField(
+      "id",
+      this.getSourceId(before) ?? before.id,
+      this.getSourceId(after) ?? after.id
+    );
+    compareField("name", before.name, after.name);
+    compareField("icaoClass", before.icaoClass, after.icaoClass);
+    compareField("type", before.type, after.type);
+    compareField(
+      "lowerLimit",
+      this.formatLimit(before, "lower"),
+      this.formatLimit(after, "lower")
+    );
+    compareField(
+      "upperLimit",
+      this.formatLimit(before, "upper"),
+      this.formatLimit(after, "upper")
+    );
+    compareField(
+      "frequencies",
+      this.formatFrequencies(before.frequencies),
+      this.formatFrequencies(after.frequencies)
+    );
+
+    if (!this.isSameGeometry(before, after)) {
+      const areaDelta = this.getAreaDelta(before, after);
+      changes.push({
+        field: "geometry",
+        from: `${(areaDelta.previousArea / 1e6).toFixed(2)} km²`,
+        to: `${(areaDelta.currentArea / 1e6).toFixed(2)} km²`,
+      });
+    }
+
+    return changes;
+  }
+
+  static formatLimit(airspace, which) {
+    return which === "lower"
+      ? AirspaceDataProcessor.formatLowerLimit(airspace)
+      : AirspaceDataProcessor.formatUpperLimit(airspace);
+  }
+
+  static formatFrequencies(frequencies = []) {
+    return (frequencies || [])
+      .map((frequency) =>
+        [frequency.value, frequency.name].filter(Boolean).join(" ")
+      )
+      .sort()
+      .join(", ");
+  }
+
+  static getPolygons(airspace) {
+    return airspace.polygons || [[airspace.coordinates]];
+  }
+
+  static isSameGeometry(before, after) {
+    const a = this.getPolygons(before);
+    const b = this.getPolygons(after);
+    const tolerance = this.COORDINATE_TOLERANCE;
+
+    if (a.length !== b.length) {
+      return false;
+    }
+
+    return a.every((rings, p) => {
+      if (rings.length !== b[p].length) {
+        return false;
+      }
+      return rings.every((ring, r) => {
+        const other = b[p][r];
+        return (
+          ring.length === other.length &&
+          ring.every(
+            (coord, i) =>
+              Math.abs(coord[0] - other[i][0]) <= tolerance &&
+              Math.abs(coord[1] - other[i][1]) <= tolerance
+          )
+        );
+      });
+    });
+  }
+
+  static getArea(airspace) {
+    return this.getPolygons(airspace).reduce(
+      (total, rings) => total + AirspaceDataProcessor.getPolygonArea(rings),
+      0
+    );
+  }
+
+  /**
+   * Horizontal area change between two versions of an airspace
+   * @returns {Object} { previousArea, currentArea, delta (m²), percent }
+   */
+  static getAreaDelta(before, after) {
+    const previousArea = this.getArea(before);
+    const currentArea = this.getArea(after);
+    const delta = currentArea - previousArea;
+
+    return {
+      previousArea,
+      currentArea,
+      delta,
+      percent: previousArea > 0 ? (delta / previousArea) * 100 : null,
+    };
+  }
+}
@@ -0,0 +1,365 @@
+// airspace-editor.js
+// Draw custom airspace volumes and geofences on the globe (polygon or circle)
+
+import {
+  ScreenSpaceEventHandler,
+  ScreenSpaceEventType,
+  CallbackProperty,
+  PolygonHierarchy,
+  Cartesian3,
+  Cartographic,
+  Color,
+  Math as CesiumMath,
+} from "cesium";
+import { AirspaceDataProcessor } from "./data-processor.js";
+import { OpenAirParser } from "./openair-parser.js";
+import { AirspaceExporter } from "./airspace-exporter.js";
+
+export class AirspaceEditor {
+  static STORAGE_KEY = "customAirspaces";
+
+  // Floor/ceiling references offered in the editor, as openAIP limit coding
+  // (unit 0 = m, 1 = ft, 6 = FL; referenceDatum 0 = GND, 1 = MSL, 2 = STD)
+  static LIMIT_REFERENCES = {
+    "ft AGL": { unit: 1, referenceDatum: 0 },
+    "ft MSL": { unit: 1, referenceDatum: 1 },
+    "m AGL": { unit: 0, referenceDatum: 0 },
+    "m MSL": { unit: 0, referenceDatum: 1 },
+    FL: { unit: 6, referenceDatum: 2 },
+  };
+
+  /**
+   * @param {Viewer} viewer - Cesium viewer
+   * @param {AirspaceVisualizer} airspaceVisualizer - Renders the custom volumes
+   */
+  constructor(viewer, airspaceVisualizer) {
+    this.viewer = viewer;
+    this.airspaceVisualizer = airspaceVisualizer;
+    this.features = []; // GeoJSON features of the custom airspaces
+
+    // Drawing state
+    this.isDrawing = false;
+    this.mode = null; // "polygon" | "circle"
+    this.points = []; // [[lon, lat], ...]; circle: [center, edge]
+    this.previewPoint = null;
+    this.properties = null; // Properties of the volume being drawn
+    this.drawHandler = null;
+    this.previewEntity = null;
+
+    this.eventHandlers = {
+      onChange: null,
+      onStatus: null,
+    };
+  }
+
+  onChange(callback) {
+    this.eventHandlers.onChange = callback;
+  }
+
+  onStatus(callback) {
+    this.eventHandlers.onStatus = callback;
+  }
+
+  setStatus(text) {
+    if (this.eventHandlers.onStatus) {
+      this.eventHandlers.onStatus(text);
+    }
+  }
+
+  /**
+   * Start drawing a volume. Polygon: left click adds vertices, right click
+   * finishes. Circle: first click sets the center, second the radius.
+   * @param {string} mode - "polygon" | "circle"
+   * @param {Object} properties - { name, type, icaoClass, lowerLimit, upperLimit }
+   *   with limits as { value, unit, referenceDatum } (see LIMIT_REFERENCES)
+   */
+  startDrawing(mode, properties) {
+    this.validateProperties(properties);
+    this.cancelDrawing();
+
+    this.isDrawing = true;
+    this.mode = mode;
+    this.properties = properties;
+    this.createPreviewEntity();
+    this.setStatus(
+      mode === "circle"
+        ? "Click the center, then a point on the edge"
+        : "Click to add vertices, right-click to finish"
+    );
+
+    this.drawHandler = new ScreenSpaceEventHandler(this.viewer.scene.canvas);
+    this.drawHandler.setInputAction((click) => {
+      const point = this.pickLonLat(click.position);
+      if (!point) return;
+
+      this.points.push(point);
+      if (this.mode === "circle" && this.points.length === 2) {
+        this.finishDrawing();
+      } else if (this.mode === "polygon") {
+        this.setStatus(`${this.points.length} vertices, right-click to finish`);
+      }
+    }, ScreenSpaceEventType.LEFT_CLICK);
+
+    this.drawHandler.setInputAction((movement) => {
+      this.previewPoint =
+        this.points.length > 0 ? this.pickLonLat(movement.endPosition) : null;
+    }, ScreenSpaceEventType.MOUSE_MOVE);
+
+    this.drawHandler.setInputAction(() => {
+      if (this.mode === "polygon") {
+        this.finishDrawing();
+      }
+    }, ScreenSpaceEventType.RIGHT_CLICK);
+  }
+
+  // Outline of the volume being drawn, following the mouse
+  createPreviewEntity() {
+    this.previewEntity = this.viewer.entities.add({
+      name: "Custom airspace preview",
+      polyline: {
+        positions: new CallbackProperty(() => {
+          const ring = this.getPreviewRing();
+          return ring.length > 1 ? Cartesian3.fromDegreesArray(ring.flat()) : [];
+        }, false),
+        width: 2,
+        material: Color.YELLOW,
+        clampToGround: true,
+      },
+      polygon: {
+        hierarchy: new CallbackProperty(() => {
+          const ring = this.getPreviewRing();
+          return new PolygonHierarchy(
+            ring.length > 3 ? Cartesian3.fromDegreesArray(ring.flat()) : []
+          );
+        }, false),
+        material: Color.YELLOW.withAlpha(0.2),
+      },
+    });
+  }
+
+  getPreviewRing() {
+    const points = this.previewPoint
+      ? [...this.points, this.previewPoint]
+      : this.points;
+
+    if (this.mode === "circle") {
+      return points.length === 2 ? this.createCircle(points[0], points[1]) : [];
+    }
+    return points.length > 1 ? [...points, points[0]] : points;
+  }
+
+  finishDrawing() {
+    const points = this.points;
+    const mode = this.mode;
+    const properties = this.properties;
+    this.cancelDrawing();
+
+    if (mode === "circle" ? points.length < 2 : points.length < 3) {
+      this.setStatus(
+        mode === "circle" ? "Circle needs a center and a radius" : "Need at least three vertices"
+      );
+      return null;
+    }
+
+    const ring =
+      mode === "circle"
+        ? this.createCircle(points[0], points[1])
+        : [...points, points[0]];
+    const feature = this.addFeature(this.createFeature(ring, properties));
+    this.setStatus(`Added ${feature.properties.name}`);
+    return feature;
+  }
+
+  cancelDrawing() {
+    if (this.drawHandler) {
+      this.drawHandler.destroy();
+      this.drawHandler = null;
+    }
+    if (this.previewEntity) {
+      this.viewer.entities.remove(this.previewEntity);
+      this.previewEntity = null;
+    }
+    this.isDrawing = false;
+    this.mode = null;
+    this.points = [];
+    this.previewPoint = null;
+    this.properties = null;
+  }
+
+  // Closed ring around a center through an edge point (great-circle radius)
+  createCircle(center, edge) {
+    const radius = OpenAirParser.distance(center, edge);
+    const ring = [];
+    for (let angle = 0; angle < 360; angle += OpenAirParser.ARC_STEP_DEGREES) {
+      ring.push(OpenAirParser.destination(center, radius, angle));
+    }
+    ring.push([...ring[0]]);
+    return ring;
+  }
+
+  pickLonLat(screenPosition) {
+    const cartesian = this.viewer.camera.pickEllipsoid(
+      screenPosition,
+      this.viewer.scene.globe.ellipsoid
+    );
+    if (!cartesian) {
+      return null;
+    }
+
+    const cartographic = Cartographic.fromCartesian(cartesian);
+    return [
+      CesiumMath.toDegrees(cartographic.longitude),
+      CesiumMath.toDegrees(cartographic.latitude),
+    ];
+  }
+
+  validateProperties(properties) {
+    if (!properties || !properties.name) {
+      throw new Error("Custom airspace needs a name");
+    }
+
+    const { lowerLimit, upperLimit } = properties;
+    [lowerLimit, upperLimit].forEach((limit) => {
+      if (!limit || !Number.isFinite(limit.value) || limit.value < 0) {
+        throw new Error("Floor and ceiling must be non-negative numbers");
+      }
+    });
+
+    // Compare in the same frame the visualizer uses (MSL meters via QNH)
+    const lower = AirspaceDataProcessor.convertAltitude(lowerLimit);
+    const upper = AirspaceDataProcessor.convertAltitude(upperLimit);
+    if (lower.isAGL === upper.isAGL && upper.altitude <= lower.altitude) {
+      throw new Error("Ceiling must be above the floor");
+    }
+  }
+
+  /**
+   * openAIP-style GeoJSON feature for a drawn ring
+   * @param {Array} ring - Closed ring of [lon, lat]
+   * @param {Object} properties - See startDrawing
+   * @returns {Object} Feature
+   */
+  createFeature(ring, properties) {
+    return {
+      type: "Feature",
+      id: this.createId(),
+      properties: {
+        name: properties.name,
+        type: properties.type ?? 0,
+        icaoClass: properties.icaoClass ?? 8,
+        country: properties.country || "",
+        lowerLimit: { ...properties.lowerLimit },
+        upperLimit: { ...properties.upperLimit },
+        custom: true,
+      },
+      geometry: { type: "Polygon", coordinates: [ring] },
+    };
+  }
+
+  createId() {
+    return `custom_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  addFeature(feature) {
+    this.features.push(feature);
+    this.apply();
+    return feature;
+  }
+
+  removeAirspace(airspaceId) {
+    this.features = this.features.filter((feature) => feature.id !== airspaceId);
+    this.apply();
+  }
+
+  clear() {
+    this.features = [];
+    this.apply();
+  }
+
+  /**
+   * Custom volumes normalized like any loaded dataset, flagged `custom`
+   * @returns {Array} Processed airspaces
+   */
+  getAirspaces() {
+    return AirspaceDataProcessor.processGeoJSON({ features: this.features }).map(
+      (airspace) => {
+        airspace.custom = true;
+        return airspace;
+      }
+    );
+  }
+
+  // Hand the volumes to the visualizer (and so to violation detection)
+  apply() {
+    this.airspaceVisualizer.setCustomAirspaces(this.getAirspaces());
+    this.save();
+    if (this.eventHandlers.onChange) {
+      this.eventHandlers.onChange(this.features);
+    }
+  }
+
+  toGeoJSON() {
+    return { type: "FeatureCollection", features: this.features };
+  }
+
+  /**
+   * Add features from a GeoJSON FeatureCollection (e.g. a previous export)
+   * @param {Object} geoJson - FeatureCollection
+   * @returns {number} Number of features imported
+   */
+  importGeoJSON(geoJson) {
+    const features = (geoJson?.features || []).map((feature) => ({
+      ...feature,
+      id: feature.id || feature.properties?._id || this.createId(),
+      properties: { ...feature.properties, custom: true },
+    }));
+
+    // Keep only what the processor can use (polygon geometry)
+    const usable = new Set(
+      AirspaceDataProcessor.processGeoJSON({ features }).map((airspace) => airspace.id)
+    );
+    const imported = features.filter((feature) => usable.has(feature.id));
+
+    this.features.push(...imported);
+    this.apply();
+    return imported.length;
+  }
+
+  exportGeoJSON(fileName = "custom-airspaces.geojson") {
+    AirspaceExporter.download(
+      JSON.stringify(this.toGeoJSON(), null, 2),
+      fileName,
+      AirspaceExporter.FORMATS.geojson.mimeType
+    );
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        AirspaceEditor.STORAGE_KEY,
+        JSON.stringify(this.toGeoJSON())
+      );
+    } catch (error) {
+      console.warn("Failed to save custom airspaces:", error);
+    }
+  }
+
+  // Restore the volumes saved in a previous session
+  restore() {
+    try {
+      const saved = localStorage.getItem(AirspaceEditor.STORAGE_KEY);
+      if (saved) {
+        this.features = JSON.parse(saved).features || [];
+        this.apply();
+      }
+    } catch (error) {
+      console.warn("Failed to restore custom airspaces:", error);
+    }
+    return this.features.length;
+  }
+
+  destroy() {
+    this.cancelDrawing();
+    this.eventHandlers = {};
+  }
+}
@@ -0,0 +1,336 @@
+// airspace-exporter.js
+// Export processed airspaces to GeoJSON and KML/KMZ (Google Earth, QGIS)
+
+import { AirspaceClassifier } from "./airspace-classifier.js";
+import { AirspaceDataProcessor } from "./data-processor.js";
+
+export class AirspaceExporter {
+  static FORMATS = {
+    geojson: { extension: "geojson", mimeType: "application/geo+json" },
+    kml: { extension: "kml", mimeType: "application/vnd.google-earth.kml+xml" },
+    kmz: { extension: "kmz", mimeType: "application/vnd.google-earth.kmz" },
+  };
+
+  // Fill and outline opacity in KML styles
+  static KML_FILL_OPACITY = 0.35;
+  static KML_LINE_OPACITY = 0.9;
+
+  /**
+   * GeoJSON that processGeoJSON turns back into the same airspaces
+   * @param {Array} airspaces - Processed airspaces
+   * @returns {Object} FeatureCollection
+   */
+  static toGeoJSON(airspaces) {
+    return {
+      type: "FeatureCollection",
+      features: airspaces.map((airspace) => this.toFeature(airspace)),
+    };
+  }
+
+  static toFeature(airspace) {
+    const raw = airspace.rawProperties || {};
+
+    return {
+      type: "Feature",
+      id: airspace.sourceId ?? airspace.id, // as in the source, not layer-prefixed
+      properties: {
+        ...raw,
+        name: airspace.name,
+        type: airspace.type,
+        icaoClass: airspace.icaoClass,
+        country: airspace.country,
+        lowerLimit: this.getLimit(raw.lowerLimit, airspace.lowerAltitude, airspace.isLowerAGL, airspace.lowerFlightLevel),
+        upperLimit: this.getLimit(raw.upperLimit, airspace.upperAltitude, airspace.isUpperAGL, airspace.upperFlightLevel),
+        frequencies: airspace.frequencies,
+        hoursOfOperation: { operatingHours: airspace.operatingHours },
+        ...airspace.restrictions,
+      },
+      geometry:
+        airspace.polygons.length === 1
+          ? { type: "Polygon", coordinates: airspace.polygons[0] }
+          : { type: "MultiPolygon", coordinates: airspace.polygons },
+    };
+  }
+
+  // Keep the source limit when there is one (feet stay feet), otherwise
+  // rebuild it from the normalized altitude
+  static getLimit(sourceLimit, altitude, isAGL, flightLevel) {
+    if (sourceLimit && typeof sourceLimit.value === "number") {
+      return { ...sourceLimit };
+    }
+    if (flightLevel !== null && flightLevel !== undefined) {
+      return { value: flightLevel, unit: 6, referenceDatum: 2 };
+    }
+    return { value: altitude, unit: 0, referenceDatum: isAGL ? 0 : 1 };
+  }
+
+  /**
+   * KML document with one styled placemark per airspace. Volumes on the
+   * surface are extruded ceilings; elevated ones get floor, ceiling and walls.
+   * @param {Array} airspaces - Processed airspaces
+   * @param {Object} options - { name }
+   * @returns {string} KML
+   */
+  static toKML(airspaces, options = {}) {
+    const { name = "Airspaces" } = options;
+    const styles = new Map();
+
+    const placemarks = airspaces.map((airspace) => {
+      const styleId = `class${airspace.icaoClass}-type${airspace.type}`;
+      if (!styles.has(styleId)) {
+        styles.set(styleId, this.createKMLStyle(styleId, airspace));
+      }
+
+      return `
+    <Placemark>
+      <name>${this.escapeXml(airspace.name)}</name>
+      <description>${this.escapeXml(this.getDescription(airspace))}</description>
+      <styleUrl>#${styleId}</styleUrl>
+      ${this.createKMLGeometry(airspace)}
+    </Placemark>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${this.escapeXml(name)}</name>${[...styles.values()].join("")}${placemarks.join("")}
+  </Document>
+</kml>
+`;
+  }
+
+  static createKMLStyle(styleId, airspace) {
+    const fill = AirspaceClassifier.getAirspaceColor(airspace, {
+      opacity: this.KML_FILL_OPACITY,
+    });
+    const outline = AirspaceClassifier.getOutlineColor(airspace, {
+      opacity: this.KML_LINE_OPACITY,
+    });
+
+    return `
+    <Style id="${styleId}">
+      <LineStyle><color>${this.toKMLColor(outline)}</color><width>1.5</width></LineStyle>
+      <PolyStyle><color>${this.toKMLColor(fill)}</color></PolyStyle>
+    </Style>`;
+  }
+
+  static getDescription(airspace) {
+    return [
+      `Class ${AirspaceClassifier.getClassificationInfo(airspace.icaoClass).name}`,
+      AirspaceClassifier.getTypeInfo(airspace.type).name,
+      `${AirspaceDataProcessor.formatLowerLimit(airspace)} – ${AirspaceDataProcessor.formatUpperLimit(airspace)}`,
+    ].join(", ");
+  }
+
+  static createKMLGeometry(airspace) {
+    const upperMode = this.getAltitudeMode(airspace.isUpperAGL);
+    const lowerMode = this.getAltitudeMode(airspace.isLowerAGL);
+
+    // Surface-based volume: the ceiling extruded down to the ground
+    if (airspace.lowerAltitude === 0) {
+      const polygons = airspace.polygons.map((rings) =>
+        this.createKMLPolygon(rings, airspace.upperAltitude, upperMode, true)
+      );
+      return this.wrapGeometries(polygons);
+    }
+
+    // A wall polygon has a single altitude mode; with mixed AGL/MSL limits
+    // the floor edge is placed in the ceiling's mode
+    const wallMode = upperMode;
+    const geometries = [];
+    airspace.polygons.forEach((rings) => {
+      geometries.push(this.createKMLPolygon(rings, airspace.upperAltitude, upperMode));
+      geometries.push(this.createKMLPolygon(rings, airspace.lowerAltitude, lowerMode));
+      rings.forEach((ring) => {
+        for (let i = 0; i < ring.length - 1; i++) {
+          const [a, b] = [ring[i], ring[i + 1]];
+          geometries.push(
+            this.createKMLPolygon(
+              [[
+                [...a, airspace.lowerAltitude],
+                [...b, airspace.lowerAltitude],
+                [...b, airspace.upperAltitude],
+                [...a, airspace.upperAltitude],
+                [...a, airspace.lowerAltitude],
+              ]],
+              null,
+              wallMode
+            )
+          );
+        }
+      });
+    });
+    return this.wrapGeometries(geometries);
+  }
+
+  static wrapGeometries(geometries) {
+    return geometries.length === 1
+      ? geometries[0]
+      : `<MultiGeometry>${geometries.join("")}</MultiGeometry>`;
+  }
+
+  /**
+   * @param {Array} rings - [outer, ...holes] of [lon, lat] or [lon, lat, alt]
+   * @param {number|null} altitude - Height for every vertex, null to keep
+   *   the vertex altitudes
+   * @param {string} altitudeMode - KML altitude mode
+   * @param {boolean} extrude - Extrude to the ground
+   */
+  static createKMLPolygon(rings, altitude, altitudeMode, extrude = false) {
+    const boundary = (ring) => {
+      const coordinates = ring
+        .map(([lon, lat, alt]) =>
+          [lon.toFixed(6), lat.toFixed(6), (altitude ?? alt).toFixed(1)].join(",")
+        )
+        .join(" ");
+      return `<LinearRing><coordinates>${coordinates}</coordinates></LinearRing>`;
+    };
+    const [outer, ...holes] = rings;
+
+    return `<Polygon>${extrude ? "<extrude>1</extrude>" : ""}<altitudeMode>${altitudeMode}</altitudeMode><outerBoundaryIs>${boundary(outer)}</outerBoundaryIs>${holes
+      .map((hole) => `<innerBoundaryIs>${boundary(hole)}</innerBoundaryIs>`)
+      .join("")}</Polygon>`;
+  }
+
+  static getAltitudeMode(isAGL) {
+    return isAGL ? "relativeToGround" : "absolute";
+  }
+
+  // KML colors are aabbggrr
+  static toKMLColor(color) {
+    return [color.alpha, color.blue, color.green, color.red]
+      .map((channel) => Math.round(channel * 255).toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  static escapeXml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * KMZ archive (zip holding doc.kml)
+   * @param {Array} airspaces - Processed airspaces
+   * @param {Object} options - See toKML
+   * @returns {Uint8Array}
+   */
+  static toKMZ(airspaces, options = {}) {
+    return createZip([
+      { name: "doc.kml", data: new TextEncoder().encode(this.toKML(airspaces, options)) },
+    ]);
+  }
+
+  /**
+   * Download airspaces as a file
+   * @param {Array} airspaces - Processed airspaces
+   * @param {string} format - "geojson" | "kml" | "kmz"
+   * @param {string} baseName - File name without extension
+   * @returns {string} File name
+   */
+  static exportAirspaces(airspaces, format, baseName = "airspaces") {
+    const { extension, mimeType } = this.FORMATS[format] || {};
+    if (!extension) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const content =
+      format === "geojson"
+        ? JSON.stringify(this.toGeoJSON(airspaces), null, 2)
+        : format === "kml"
+          ? this.toKML(airspaces, { name: baseName })
+          : this.toKMZ(airspaces, { name: baseName });
+
+    const fileName = `${baseName}.${extension}`;
+    this.download(content, fileName, mimeType);
+    return fileName;
+  }
+
+  static download(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+}
+
+// Minimal zip writer (stored entries, no compression)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createZip(files) {
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const encoder = new TextEncoder();
+
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const size = file.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    parts.push(new Uint8Array(local.buffer), name, file.data);
+    directory.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + size;
+  });
+
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  const chunks = [...parts, ...directory, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(offset + directorySize + 22);
+  let position = 0;
+  chunks.forEach((chunk) => {
+    zip.set(chunk, position);
+    position += chunk.length;
+  });
+  return zip;
+}
@@ -0,0 +1,303 @@
+// airspace-index.js
+// R-tree over airspace bounding boxes with altitude bands
+
+export class AirspaceSpatialIndex {
+  // Highest terrain we may need to add to an AGL ceiling (meters)
+  static AGL_MARGIN = 9000;
+  // Slack around flight levels: pressure and geometric altitude can differ
+  // by several hundred meters with QNH and temperature (meters)
+  static STD_MARGIN = 1000;
+
+  /**
+   * @param {Array} airspaces - Processed airspaces to index
+   * @param {Object} options - { nodeSize: max entries per node }
+   */
+  constructor(airspaces = [], options = {}) {
+    this.nodeSize = options.nodeSize || 16;
+    this.items = [];
+    this.root = null;
+    this.dirty = false;
+
+    this.load(airspaces);
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Replace the indexed airspaces and bulk-load the tree
+   * @param {Array} airspaces - Processed airspaces
+   */
+  load(airspaces) {
+    this.items = airspaces
+      .map((airspace) => this.createItem(airspace))
+      .filter((item) => item !== null);
+    this.build();
+    return this;
+  }
+
+  insert(airspace) {
+    const item = this.createItem(airspace);
+    if (item) {
+      this.items.push(item);
+      this.dirty = true;
+    }
+    return this;
+  }
+
+  remove(airspaceId) {
+    const count = this.items.length;
+    this.items = this.items.filter((item) => item.airspace.id !== airspaceId);
+    this.dirty = this.dirty || this.items.length !== count;
+    return this;
+  }
+
+  createItem(airspace) {
+    const polygons = airspace.polygons || [[airspace.coordinates]];
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    polygons.forEach((rings) => {
+      (rings[0] || []).forEach(([lon, lat]) => {
+        minX = Math.min(minX, lon);
+        minY = Math.min(minY, lat);
+        maxX = Math.max(maxX, lon);
+        maxY = Math.max(maxY, lat);
+      });
+    });
+
+    if (minX === Infinity) {
+      return null;
+    }
+
+    const band = this.getAltitudeBand(airspace);
+
+    return {
+      minX,
+      minY,
+      maxX,
+      maxY,
+      minZ: band.bottom,
+      maxZ: band.top,
+      area: (maxX - minX) * (maxY - minY),
+      airspace,
+    };
+  }
+
+  /**
+   * Conservative altitude band (meters MSL) that contains the airspace
+   * whatever the terrain under AGL limits or the QNH under flight levels
+   */
+  getAltitudeBand(airspace) {
+    const { AGL_MARGIN, STD_MARGIN } = AirspaceSpatialIndex;
+    let bottom = airspace.lowerAltitude || 0;
+    let top = airspace.upperAltitude || 0;
+
+    if (airspace.isLowerSTD) bottom -= STD_MARGIN;
+    if (airspace.isUpperAGL) top += AGL_MARGIN;
+    if (airspace.isUpperSTD) top += STD_MARGIN;
+
+    return { bottom, top };
+  }
+
+  // Sort-Tile-Recursive bulk load
+  build() {
+    this.dirty = false;
+
+    if (this.items.length === 0) {
+      this.root = null;
+      return;
+    }
+
+    let nodes = this.items.map((item) => this.createNode([item], true));
+    while (nodes.length > 1) {
+      nodes = this.packLevel(nodes);
+    }
+    this.root = nodes[0];
+  }
+
+  packLevel(nodes) {
+    const nodeSize = this.nodeSize;
+    const sliceCount = Math.ceil(Math.sqrt(Math.ceil(nodes.length / nodeSize)));
+    const sliceSize = sliceCount * nodeSize;
+    const centerX = (node) => node.minX + node.maxX;
+    const centerY = (node) => node.minY + node.maxY;
+    const parents = [];
+
+    const sortedX = [...nodes].sort((a, b) => centerX(a) - centerX(b));
+    for (let i = 0; i < sortedX.length; i += sliceSize) {
+      const slice = sortedX
+        .slice(i, i + sliceSize)
+        .sort((a, b) => centerY(a) - centerY(b));
+
+      for (let j = 0; j < slice.length; j += nodeSize) {
+        parents.push(this.createNode(slice.slice(j, j + nodeSize), false));
+      }
+    }
+
+    return parents;
+  }
+
+  createNode(children, leaf) {
+    const node = {
+      minX: Infinity,
+      minY: Infinity,
+      maxX: -Infinity,
+      maxY: -Infinity,
+      minZ: Infinity,
+      maxZ: -Infinity,
+      leaf,
+      children: leaf ? null : children,
+      item: leaf ? children[0] : null,
+    };
+
+    children.forEach((child) => {
+      node.minX = Math.min(node.minX, child.minX);
+      node.minY = Math.min(node.minY, child.minY);
+      node.maxX = Math.max(node.maxX, child.maxX);
+      node.maxY = Math.max(node.maxY, child.maxY);
+      node.minZ = Math.min(node.minZ, child.minZ);
+      node.maxZ = Math.max(node.maxZ, child.maxZ);
+    });
+
+    return node;
+  }
+
+  /**
+   * Airspaces whose bounding box (and altitude band) intersects the query
+   * @param {Object} box - { minLon, minLat, maxLon, maxLat }
+   * @param {Object} altitudeRange - Optional { bottom, top } in meters
+   * @returns {Array} Candidate airspaces (bounding box test only)
+   */
+  search(box, altitudeRange = null) {
+    return this.searchItems(box, altitudeRange).map((item) => item.airspace);
+  }
+
+  searchItems(box, altitudeRange = null) {
+    if (this.dirty) {
+      this.build();
+    }
+
+    const results = [];
+    if (!this.root) {
+      return results;
+    }
+
+    const intersects = (node) =>
+      node.minX <= box.maxLon &&
+      node.maxX >= box.minLon &&
+      node.minY <= box.maxLat &&
+      node.maxY >= box.minLat &&
+      (!altitudeRange ||
+        (node.minZ <= altitudeRange.top && node.maxZ >= altitudeRange.bottom));
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!intersects(node)) {
+        continue;
+      }
+      if (node.leaf) {
+        results.push(node.item);
+      } else {
+        stack.push(...node.children);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Candidate airspaces at a point, by bounding box and altitude band
+   * @param {number} lon - Longitude
+   * @param {number} lat - Latitude
+   * @param {number|null} altitude - Meters MSL, or null for any altitude
+   * @returns {Array} Candidate airspaces
+   */
+  searchPoint(lon, lat, altitude = null) {
+    return this.searchItems(
+      { minLon: lon, minLat: lat, maxLon: lon, maxLat: lat },
+      altitude === null ? null : { bottom: altitude, top: altitude }
+    ).map((item) => item.airspace);
+  }
+
+  /**
+   * Airspaces whose polygon contains the point (holes excluded)
+   * @param {number} lon - Longitude
+   * @param {number} lat - Latitude
+   * @param {number|null} altitude - Meters MSL, or null for any altitude
+   * @returns {Array} Airspaces, smallest first
+   */
+  queryPoint(lon, lat, altitude = null) {
+    return this.searchItems(
+      { minLon: lon, minLat: lat, maxLon: lon, maxLat: lat },
+      altitude === null ? null : { bottom: altitude, top: altitude }
+    )
+      .filter(({ airspace }) =>
+        AirspaceSpatialIndex.pointInPolygon(
+          lat,
+          lon,
+          airspace.polygons || airspace.coordinates
+        )
+      )
+      .sort((a, b) => a.area - b.area)
+      .map((item) => item.airspace);
+  }
+
+  /**
+   * Point-in-polygon test supporting holes and multiple parts.
+   * Accepts a single ring, a polygon (outer ring followed by holes),
+   * or a MultiPolygon-style array of polygons, all in [lon, lat].
+   */
+  static pointInPolygon(lat, lon, polygon) {
+    if (!polygon || polygon.length === 0) {
+      return false;
+    }
+
+    // Single ring of [lon, lat] pairs
+    if (typeof polygon[0][0] === "number") {
+      return this.pointInRing(lat, lon, polygon);
+    }
+
+    // MultiPolygon: inside any part
+    if (typeof polygon[0][0][0] !== "number") {
+      return polygon.some((part) => this.pointInPolygon(lat, lon, part));
+    }
+
+    // Polygon: inside the outer ring and outside every hole
+    const [outer, ...holes] = polygon;
+    return (
+      this.pointInRing(lat, lon, outer) &&
+      !holes.some((hole) => this.pointInRing(lat, lon, hole))
+    );
+  }
+
+  // Ray casting test against a single [lon, lat] ring
+  static pointInRing(lat, lon, ring) {
+    if (!ring || ring.length < 3) {
+      return false;
+    }
+
+    let inside = false;
+    const n = ring.length;
+
+    for (let i = 0, j = n - 1; i < n; j = i++) {
+      const xi = ring[i][1]; // latitude
+      const yi = ring[i][0]; // longitude
+      const xj = ring[j][1]; // latitude
+      const yj = ring[j][0]; // longitude
+
+      if (
+        yi > lon !== yj > lon &&
+        lat < ((xj - xi) * (lon - yi)) / (yj - yi) + xi
+      ) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+}
@@ -0,0 +1,222 @@
+// airspace-labels.js
+// Label anchors, text and priorities for airspace labels
+
+import { NearFarScalar } from "cesium";
+import { AirspaceDataProcessor } from "./data-processor.js";
+
+export class AirspaceLabels {
+  // Labels shrink from full size at 20 km to 40% at 800 km camera distance
+  static SCALE_BY_DISTANCE = new NearFarScalar(2.0e4, 1.0, 8.0e5, 0.4);
+
+  // Anchor search stops when cells are smaller than this share of the bbox
+  static ANCHOR_PRECISION = 0.005;
+
+  // Lower rank = placed first. Special-use areas matter most to pilots,
+  // then controlled airspace by class; FIR/UIR boundaries come last.
+  static TYPE_RANKS = { 3: 0, 1: 1, 2: 2, 25: 2, 4: 3, 10: 20, 11: 21 };
+  static CLASS_RANKS = { 0: 4, 1: 5, 2: 6, 3: 7, 4: 8, 5: 9, 6: 10, 8: 2 };
+
+  /**
+   * Label text; with limits, a chart-style block of upper over lower limit
+   * @param {Object} airspace - Processed airspace
+   * @param {Object} options - { showLimits }
+   * @returns {string}
+   */
+  static getLabelText(airspace, options = {}) {
+    if (!options.showLimits) {
+      return airspace.name;
+    }
+
+    return [
+      airspace.name,
+      AirspaceDataProcessor.formatUpperLimit(airspace),
+      AirspaceDataProcessor.formatLowerLimit(airspace),
+    ].join("\n");
+  }
+
+  /**
+   * Placement priority, lower first
+   * @param {Object} airspace - Processed airspace
+   * @returns {number}
+   */
+  static getPriority(airspace) {
+    return (
+      this.TYPE_RANKS[airspace.type] ??
+      this.CLASS_RANKS[airspace.icaoClass] ??
+      15
+    );
+  }
+
+  /**
+   * Pole of inaccessibility of the airspace's main polygon: the interior
+   * point farthest from any edge, so labels stay inside concave shapes
+   * @param {Object} airspace - Processed airspace
+   * @returns {Object} { longitude, latitude }
+   */
+  static getAnchor(airspace) {
+    const polygons = airspace.polygons || [[airspace.coordinates]];
+    const rings =
+      polygons.find((candidate) => candidate[0] === airspace.coordinates) ||
+      polygons[0];
+    const [longitude, latitude] = this.poleOfInaccessibility(rings);
+    return { longitude, latitude };
+  }
+
+  /**
+   * Polylabel-style search over a polygon with holes
+   * @param {Array} rings - [outer, ...holes] of [lon, lat]
+   * @returns {Array} [lon, lat]
+   */
+  static poleOfInaccessibility(rings) {
+    const outer = rings[0];
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    outer.forEach(([x, y]) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    });
+
+    // Work in locally equidistant units: scale longitude by cos(latitude)
+    const kx = Math.cos((((minY + maxY) / 2) * Math.PI) / 180);
+    const projected = rings.map((ring) => ring.map(([x, y]) => [x * kx, y]));
+    const width = (maxX - minX) * kx;
+    const height = maxY - minY;
+    const cellSize = Math.min(width, height);
+    if (cellSize === 0) {
+      return [minX, minY];
+    }
+
+    const precision = Math.max(width, height) * this.ANCHOR_PRECISION;
+    const queue = new CellQueue();
+    const createCell = (x, y, h) => {
+      const distance = this.signedDistance(x, y, projected);
+      return { x, y, h, distance, max: distance + h * Math.SQRT2 };
+    };
+
+    for (let x = minX * kx; x < maxX * kx; x += cellSize) {
+      for (let y = minY; y < maxY; y += cellSize) {
+        queue.push(createCell(x + cellSize / 2, y + cellSize / 2, cellSize / 2));
+      }
+    }
+
+    // Start from the vertex average; it wins for simple convex shapes
+    const average = projected[0].reduce(
+      (sum, [x, y]) => [sum[0] + x / projected[0].length, sum[1] + y / projected[0].length],
+      [0, 0]
+    );
+    let best = createCell(average[0], average[1], 0);
+
+    while (queue.length > 0) {
+      const cell = queue.pop();
+      if (cell.distance > best.distance) {
+        best = cell;
+      }
+      // No point in this cell can beat the best by more than the precision
+      if (cell.max - best.distance <= precision) {
+        continue;
+      }
+
+      const h = cell.h / 2;
+      queue.push(createCell(cell.x - h, cell.y - h, h));
+      queue.push(createCell(cell.x + h, cell.y - h, h));
+      queue.push(createCell(cell.x - h, cell.y + h, h));
+      queue.push(createCell(cell.x + h, cell.y + h, h));
+    }
+
+    return [best.x / kx, best.y];
+  }
+
+  // Distance to the nearest edge, negative outside the polygon
+  static signedDistance(x, y, rings) {
+    let inside = false;
+    let minDistanceSq = Infinity;
+
+    rings.forEach((ring) => {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [ax, ay] = ring[i];
+        const [bx, by] = ring[j];
+
+        if (ay > y !== by > y && x < ((bx - ax) * (y - ay)) / (by - ay) + ax) {
+          inside = !inside;
+        }
+        minDistanceSq = Math.min(
+          minDistanceSq,
+          this.segmentDistanceSq(x, y, ax, ay, bx, by)
+        );
+      }
+    });
+
+    return (inside ? 1 : -1) * Math.sqrt(minDistanceSq);
+  }
+
+  static segmentDistanceSq(px, py, ax, ay, bx, by) {
+    let x = ax;
+    let y = ay;
+    let dx = bx - ax;
+    let dy = by - ay;
+
+    if (dx !== 0 || dy !== 0) {
+      const t = ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy);
+      if (t > 1) {
+        x = bx;
+        y = by;
+      } else if (t > 0) {
+        x += dx * t;
+        y += dy * t;
+      }
+    }
+
+    dx = px - x;
+    dy = py - y;
+    return dx * dx + dy * dy;
+  }
+}
+
+// Max-heap of search cells ordered by their best possible distance
+class CellQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  push(cell) {
+    const items = this.items;
+    items.push(cell);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].max >= cell.max) break;
+      items[i] = items[parent];
+      i = parent;
+    }
+    items[i] = cell;
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      let i = 0;
+      const half = items.length >> 1;
+      while (i < half) {
+        let child = 2 * i + 1;
+        if (child + 1 < items.length && items[child + 1].max > items[child].max) {
+          child++;
+        }
+        if (items[child].max <= last.max) break;
+        items[i] = items[child];
+        i = child;
+      }
+      items[i] = last;
+    }
+    return top;
+  }
+}
@@ -0,0 +1,212 @@
+// airspace-layers.js
+// Named airspace datasets (one per country/source) with provenance and
+// de-duplication of FIR/UIR boundaries shared between datasets
+
+import { AirspaceDataProcessor } from "./data-processor.js";
+
+export class AirspaceLayerManager {
+  // Types whose volumes several national datasets tend to repeat
+  static BOUNDARY_TYPES = new Set([10, 11]); // FIR, UIR
+
+  // Outlines this close (degrees, relative area) count as the same boundary
+  static BOUNDS_TOLERANCE = 0.01;
+  static AREA_TOLERANCE = 0.01;
+
+  constructor() {
+    this.layers = new Map(); // layer id -> layer, in load order
+    this.duplicates = new Map(); // airspace id -> id of the airspace kept
+  }
+
+  get size() {
+    return this.layers.size;
+  }
+
+  /**
+   * Layer id for a dataset URL or file name ("data/airspace-at.geojson" ->
+   * "airspace-at")
+   * @param {string} source - URL or file name
+   * @returns {string}
+   */
+  static getLayerId(source) {
+    const path = String(source).split(/[?#]/)[0];
+    const fileName = path.split("/").pop() || "airspaces";
+    return fileName.replace(/\.[^.]+$/, "") || "airspaces";
+  }
+
+  /**
+   * Add a dataset, replacing a layer with the same id. Airspace ids are
+   * prefixed with the layer id because source ids are only unique per file.
+   * @param {Object} geoJson - FeatureCollection (openAIP-style properties)
+   * @param {Object} options - { id, name, source, format, effectiveDate,
+   *   validationReport, visible }
+   * @returns {Object} Layer
+   */
+  addLayer(geoJson, options = {}) {
+    const source = options.source || "";
+    const id = options.id || AirspaceLayerManager.getLayerId(source);
+
+    const airspaces = AirspaceLayerManager.processForLayer(geoJson, id);
+
+    const layer = {
+      id,
+      name: options.name || id,
+      source,
+      format: options.format || "geojson",
+      effectiveDate:
+        options.effectiveDate || geoJson.properties?.effectiveDate || null,
+      updatedAt: this.getLatestUpdate(geoJson.features),
+      loadedAt: new Date(),
+      visible: options.visible ?? true,
+      airspaces,
+      validationReport: options.validationReport || null,
+    };
+
+    // Re-adding keeps the layer's place in the load order
+    this.layers.set(id, layer);
+    return layer;
+  }
+
+  /**
+   * Process a dataset the way a layer stores it (ids prefixed with the
+   * layer id), e.g. an older cycle to compare with the layer
+   * @param {Object} geoJson - FeatureCollection
+   * @param {string} layerId - Layer id
+   * @returns {Array} Processed airspaces
+   */
+  static processForLayer(geoJson, layerId) {
+    return AirspaceDataProcessor.processGeoJSON(geoJson).map((airspace) => {
+      airspace.sourceId = airspace.id;
+      airspace.id = `${layerId}:${airspace.id}`;
+      airspace.layerId = layerId;
+      return airspace;
+    });
+  }
+
+  // Newest feature edit in the source (openAIP "updatedAt"), if any
+  getLatestUpdate(features = []) {
+    const times = features
+      .map((feature) => Date.parse(feature.properties?.updatedAt))
+      .filter(Number.isFinite);
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+  }
+
+  removeLayer(id) {
+    return this.layers.delete(id);
+  }
+
+  clear() {
+    this.layers.clear();
+    this.duplicates.clear();
+  }
+
+  getLayer(id) {
+    return this.layers.get(id) || null;
+  }
+
+  getLayers() {
+    return [...this.layers.values()];
+  }
+
+  setLayerVisible(id, visible) {
+    const layer = this.layers.get(id);
+    if (!layer) {
+      return false;
+    }
+    layer.visible = visible;
+    return true;
+  }
+
+  /**
+   * Airspaces of the visible layers. A FIR/UIR already provided by an
+   * earlier layer is dropped, so the first loaded dataset wins.
+   * @returns {Array} Processed airspaces
+   */
+  getAirspaces() {
+    const airspaces = [];
+    const boundaries = [];
+    this.duplicates.clear();
+
+    this.getLayers()
+      .filter((layer) => layer.visible)
+      .forEach((layer) => {
+        layer.airspaces.forEach((airspace) => {
+          if (!AirspaceLayerManager.BOUNDARY_TYPES.has(airspace.type)) {
+            airspaces.push(airspace);
+            return;
+          }
+
+          const kept = boundaries.find(
+            (other) =>
+              other.layerId !== layer.id && this.isSameBoundary(other, airspace)
+          );
+          if (kept) {
+            this.duplicates.set(airspace.id, kept.id);
+            return;
+          }
+          boundaries.push(airspace);
+          airspaces.push(airspace);
+        });
+      });
+
+    return airspaces;
+  }
+
+  // Same boundary type, and the same name or the same outline
+  isSameBoundary(a, b) {
+    if (a.type !== b.type) {
+      return false;
+    }
+    const normalize = (name) => name.toUpperCase().replace(/\s+/g, " ").trim();
+    if (normalize(a.name) === normalize(b.name)) {
+      return true;
+    }
+
+    const boundsA = this.getBounds(a);
+    const boundsB = this.getBounds(b);
+    const tolerance = AirspaceLayerManager.BOUNDS_TOLERANCE;
+    if (boundsA.some((value, i) => Math.abs(value - boundsB[i]) > tolerance)) {
+      return false;
+    }
+
+    const areaA = this.getArea(a);
+    const areaB = this.getArea(b);
+    return (
+      Math.abs(areaA - areaB) <=
+      AirspaceLayerManager.AREA_TOLERANCE * Math.max(areaA, areaB)
+    );
+  }
+
+  getBounds(airspace) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    airspace.polygons.forEach(([outer]) =>
+      outer.forEach(([lon, lat]) => {
+        bounds[0] = Math.min(bounds[0], lon);
+        bounds[1] = Math.min(bounds[1], lat);
+        bounds[2] = Math.max(bounds[2], lon);
+        bounds[3] = Math.max(bounds[3], lat);
+      })
+    );
+    return bounds;
+  }
+
+  getArea(airspace) {
+    return airspace.polygons.reduce(
+      (sum, rings) => sum + AirspaceDataProcessor.getPolygonArea(rings),
+      0
+    );
+  }
+
+  /**
+   * Per-layer summary for the dataset list
+   * @returns {Array} { id, name, source, format, effectiveDate, updatedAt,
+   *   loadedAt, visible, count, duplicates }
+   */
+  getLayerSummaries() {
+    return this.getLayers().map(({ airspaces, validationReport, ...layer }) => ({
+      ...layer,
+      count: airspaces.length,
+      duplicates: airspaces.filter((airspace) => this.duplicates.has(airspace.id))
+        .length,
+    }));
+  }
+}
@@ -0,0 +1,151 @@
+// airspace-patterns.js
+// Chart-style hatching and dashed boundaries for special-use airspace walls
+
+import {
+  Cartesian2,
+  Cartesian3,
+  Color,
+  ImageMaterialProperty,
+  PolylineDashMaterialProperty,
+} from "cesium";
+
+export class AirspacePatterns {
+  // Wall size (meters) covered by one texture tile, so hatching keeps the
+  // same density and angle on short and long walls
+  static TILE_SIZE = 1000;
+  static TEXTURE_SIZE = 64;
+  static DASH_LENGTH = 16; // pixels
+
+  // Line layout per pattern, in texture pixels
+  static PATTERNS = {
+    hatched: { angles: [45], spacing: 16, lineWidth: 3 }, // Restricted
+    crosshatched: { angles: [45, -45], spacing: 16, lineWidth: 3 }, // Prohibited
+    striped: { angles: [0], spacing: 32, lineWidth: 10 }, // Danger and similar
+  };
+
+  static textureCache = new Map();
+
+  static isPattern(pattern) {
+    return Boolean(this.PATTERNS[pattern]);
+  }
+
+  /**
+   * Transparent tile with the pattern lines drawn in the given colour
+   * @param {string} pattern - "hatched" | "crosshatched" | "striped"
+   * @param {Color} color - Line colour (alpha is kept)
+   * @returns {HTMLCanvasElement}
+   */
+  static getTexture(pattern, color) {
+    const key = `${pattern}:${color.toCssColorString()}`;
+    if (this.textureCache.has(key)) {
+      return this.textureCache.get(key);
+    }
+
+    const { angles, spacing, lineWidth } = this.PATTERNS[pattern];
+    const size = this.TEXTURE_SIZE;
+    const canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+
+    const context = canvas.getContext("2d");
+    context.strokeStyle = color.toCssColorString();
+    context.lineWidth = lineWidth;
+
+    angles.forEach((angle) => {
+      context.beginPath();
+      if (angle === 0) {
+        // Horizontal bands
+        for (let y = spacing / 2; y < size; y += spacing) {
+          context.moveTo(0, y);
+          context.lineTo(size, y);
+        }
+      } else {
+        // Diagonals, extended past the edges so the tile wraps seamlessly
+        const direction = Math.sign(angle);
+        for (let offset = -size; offset <= 2 * size; offset += spacing) {
+          context.moveTo(offset, direction > 0 ? size : 0);
+          context.lineTo(offset + size, direction > 0 ? 0 : size);
+        }
+      }
+      context.stroke();
+    });
+
+    this.textureCache.set(key, canvas);
+    return canvas;
+  }
+
+  /**
+   * Wall outline of every ring with per-vertex floor and ceiling heights
+   * @param {Array} polygons - [[outer, ...holes], ...] of [lon, lat(, terrain)]
+   * @param {Object} heights - { bottom, top } in meters
+   * @param {Object|null} terrainFollowing - { offset, extrudedHeight }
+   * @returns {Array} [{ positions, minimumHeights, maximumHeights, length, height }]
+   */
+  static getWalls(polygons, heights, terrainFollowing = null) {
+    return polygons.flat().map((ring) => {
+      const minimumHeights = [];
+      const maximumHeights = [];
+
+      ring.forEach((coord) => {
+        if (terrainFollowing) {
+          const following = (coord[2] || 0) + terrainFollowing.offset;
+          minimumHeights.push(Math.min(following, terrainFollowing.extrudedHeight));
+          maximumHeights.push(Math.max(following, terrainFollowing.extrudedHeight));
+        } else {
+          minimumHeights.push(heights.bottom);
+          maximumHeights.push(heights.top);
+        }
+      });
+
+      const positions = ring.map((coord) =>
+        Cartesian3.fromDegrees(coord[0], coord[1])
+      );
+      let length = 0;
+      for (let i = 1; i < positions.length; i++) {
+        length += Cartesian3.distance(positions[i - 1], positions[i]);
+      }
+      const height =
+        maximumHeights.reduce((total, h, i) => total + h - minimumHeights[i], 0) /
+        Math.max(1, ring.length);
+
+      return { ring, positions, minimumHeights, maximumHeights, length, height };
+    });
+  }
+
+  // Texture repeats so one tile covers TILE_SIZE meters of wall
+  static getRepeat(wall) {
+    return new Cartesian2(
+      Math.max(1, Math.round(wall.length / this.TILE_SIZE)),
+      Math.max(1, Math.round(wall.height / this.TILE_SIZE))
+    );
+  }
+
+  static getLineColor(style) {
+    return style.outlineColor.withAlpha(Math.max(style.outlineColor.alpha, 0.6));
+  }
+
+  static createWallMaterial(pattern, style, wall) {
+    return new ImageMaterialProperty({
+      image: this.getTexture(pattern, this.getLineColor(style)),
+      repeat: this.getRepeat(wall),
+      transparent: true,
+    });
+  }
+
+  static createDashMaterial(style) {
+    return new PolylineDashMaterialProperty({
+      color: this.getLineColor(style),
+      gapColor: Color.TRANSPARENT,
+      dashLength: this.DASH_LENGTH,
+    });
+  }
+
+  // Floor and ceiling boundary lines of a wall
+  static getBoundaryLines(wall) {
+    const toPositions = (heights) =>
+      wall.ring.map((coord, i) =>
+        Cartesian3.fromDegrees(coord[0], coord[1], heights[i])
+      );
+    return [toPositions(wall.minimumHeights), toPositions(wall.maximumHeights)];
+  }
+}
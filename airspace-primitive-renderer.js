@@ -0,0 +1,394 @@
+// airspace-primitive-renderer.js
+// Draws airspace volumes as batched primitives with per-instance attributes
+
+import {
+  Primitive,
+  PrimitiveCollection,
+  GeometryInstance,
+  PolygonGeometry,
+  PolygonOutlineGeometry,
+  WallGeometry,
+  PolygonHierarchy,
+  PerInstanceColorAppearance,
+  MaterialAppearance,
+  Material,
+  ColorGeometryInstanceAttribute,
+  ShowGeometryInstanceAttribute,
+  LabelCollection,
+  PolylineCollection,
+  LabelStyle,
+  VerticalOrigin,
+  HorizontalOrigin,
+  BoundingSphere,
+  Cartesian3,
+  Color,
+} from "cesium";
+import { AirspaceClassifier } from "./airspace-classifier.js";
+import { AirspacePatterns } from "./airspace-patterns.js";
+import { AirspaceLabels } from "./airspace-labels.js";
+
+export class AirspacePrimitiveRenderer {
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.collection = viewer.scene.primitives.add(new PrimitiveCollection());
+    this.fillPrimitive = null;
+    this.outlinePrimitive = null;
+    this.labels = null;
+    this.lines = null; // dashed boundaries of patterned airspaces
+
+    // airspace id -> { airspace, style, ids, label, walls, lines, show,
+    //   fillColor, outlineColor, positions }
+    this.records = new Map();
+    this.showPolygons = true;
+    this.needsSync = false; // attributes changed before primitives were ready
+
+    this.removePostRender = viewer.scene.postRender.addEventListener(() =>
+      this.syncAttributes()
+    );
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  /**
+   * Replace all batched geometry. Each part's instance id is an object
+   * carrying airspaceData, so scene picks resolve like entities do.
+   * @param {Array} items - { airspace, polygons, heights, terrainFollowing,
+   *   style, labelPosition, walls, show }
+   */
+  build(items) {
+    this.clear();
+
+    const fillInstances = [];
+    const outlineInstances = [];
+    this.labels = this.collection.add(new LabelCollection());
+    this.lines = this.collection.add(new PolylineCollection());
+
+    items.forEach((item) => {
+      const { airspace, style } = item;
+      const show = item.show !== false;
+      const record = {
+        airspace,
+        style,
+        ids: [],
+        label: null,
+        walls: [],
+        lines: [],
+        show,
+        fillColor: style.fillColor,
+        outlineColor: style.outlineColor,
+        positions: [],
+      };
+
+      item.polygons.forEach((rings, part) => {
+        const id = { airspaceData: airspace, airspaceId: airspace.id, part };
+        const geometryOptions = this.getGeometryOptions(
+          rings,
+          item.heights,
+          item.terrainFollowing
+        );
+        record.ids.push(id);
+        record.positions.push(...geometryOptions.polygonHierarchy.positions);
+
+        fillInstances.push(
+          new GeometryInstance({
+            id,
+            geometry: new PolygonGeometry({
+              ...geometryOptions,
+              vertexFormat: PerInstanceColorAppearance.VERTEX_FORMAT,
+            }),
+            attributes: {
+              color: ColorGeometryInstanceAttribute.fromColor(style.fillColor),
+              show: new ShowGeometryInstanceAttribute(show),
+            },
+          })
+        );
+        if (style.outline === false) {
+          return;
+        }
+        outlineInstances.push(
+          new GeometryInstance({
+            id,
+            geometry: new PolygonOutlineGeometry(geometryOptions),
+            attributes: {
+              color: ColorGeometryInstanceAttribute.fromColor(
+                style.outlineColor
+              ),
+              show: new ShowGeometryInstanceAttribute(show),
+            },
+          })
+        );
+      });
+
+      (item.walls || []).forEach((wall) =>
+        this.addPatternWall(record, wall, style)
+      );
+
+      if (style.showLabel && item.labelPosition) {
+        record.label = this.labels.add({
+          id: record.ids[0],
+          position: item.labelPosition,
+          text: style.labelText,
+          font: style.labelStyle.font,
+          fillColor: style.labelStyle.fillColor,
+          outlineColor: style.labelStyle.outlineColor,
+          outlineWidth: style.labelStyle.outlineWidth,
+          style: LabelStyle.FILL_AND_OUTLINE,
+          verticalOrigin: VerticalOrigin.CENTER,
+          horizontalOrigin: HorizontalOrigin.CENTER,
+          scaleByDistance: AirspaceLabels.SCALE_BY_DISTANCE,
+          show,
+        });
+      }
+
+      this.records.set(airspace.id, record);
+    });
+
+    if (fillInstances.length > 0) {
+      this.fillPrimitive = this.collection.add(
+        new Primitive({
+          geometryInstances: fillInstances,
+          appearance: new PerInstanceColorAppearance({
+            translucent: true,
+            closed: false,
+          }),
+          show: this.showPolygons,
+        })
+      );
+    }
+    if (outlineInstances.length > 0) {
+      this.outlinePrimitive = this.collection.add(
+        new Primitive({
+          geometryInstances: outlineInstances,
+          appearance: new PerInstanceColorAppearance({
+            flat: true,
+            translucent: true,
+          }),
+          show: this.showPolygons,
+        })
+      );
+    }
+  }
+
+  // Patterned walls need their own texture repeat, so each wall is its own
+  // primitive; there are few special-use airspaces compared to the rest
+  addPatternWall(record, wall, style) {
+    const { airspace } = record;
+    const pattern = AirspaceClassifier.getTypeInfo(airspace.type).pattern;
+    const id = record.ids[0];
+    const show = record.show && this.showPolygons;
+
+    const primitive = this.collection.add(
+      new Primitive({
+        geometryInstances: new GeometryInstance({
+          id,
+          geometry: new WallGeometry({
+            positions: wall.positions,
+            minimumHeights: wall.minimumHeights,
+            maximumHeights: wall.maximumHeights,
+            vertexFormat: MaterialAppearance.VERTEX_FORMAT,
+          }),
+        }),
+        appearance: new MaterialAppearance({
+          material: Material.fromType("Image", {
+            image: AirspacePatterns.getTexture(
+              pattern,
+              AirspacePatterns.getLineColor(style)
+            ),
+            repeat: AirspacePatterns.getRepeat(wall),
+          }),
+          translucent: true,
+          faceForward: true,
+        }),
+        show,
+      })
+    );
+    record.walls.push(primitive);
+
+    AirspacePatterns.getBoundaryLines(wall).forEach((positions) => {
+      record.lines.push(
+        this.lines.add({
+          id,
+          positions,
+          width: 2,
+          material: Material.fromType(Material.PolylineDashType, {
+            color: AirspacePatterns.getLineColor(style),
+            gapColor: Color.TRANSPARENT,
+            dashLength: AirspacePatterns.DASH_LENGTH,
+          }),
+          show,
+        })
+      );
+    });
+  }
+
+  getGeometryOptions(rings, heights, terrainFollowing) {
+    const [outer, ...holes] = rings;
+    const offset = terrainFollowing ? terrainFollowing.offset : null;
+    const toPositions = (ring) =>
+      ring.map((coord) =>
+        offset === null
+          ? Cartesian3.fromDegrees(coord[0], coord[1])
+          : Cartesian3.fromDegrees(coord[0], coord[1], (coord[2] || 0) + offset)
+      );
+
+    return {
+      polygonHierarchy: new PolygonHierarchy(
+        toPositions(outer),
+        holes.map((hole) => new PolygonHierarchy(toPositions(hole)))
+      ),
+      perPositionHeight: Boolean(terrainFollowing),
+      height: terrainFollowing ? undefined : heights.bottom,
+      extrudedHeight: terrainFollowing
+        ? terrainFollowing.extrudedHeight
+        : heights.top,
+    };
+  }
+
+  has(airspaceId) {
+    return this.records.has(airspaceId);
+  }
+
+  isVisible(airspaceId) {
+    const record = this.records.get(airspaceId);
+    return Boolean(record && record.show);
+  }
+
+  setVisible(airspaceId, show) {
+    const record = this.records.get(airspaceId);
+    if (!record || record.show === show) {
+      return;
+    }
+
+    record.show = show;
+    if (record.label) {
+      record.label.show = show;
+    }
+    this.applyPatternVisibility(record);
+    this.applyAttributes(record);
+  }
+
+  /**
+   * Recolour an airspace in place (highlight, diff)
+   * @param {string} airspaceId - Airspace id
+   * @param {Object} style - { fillColor, outlineColor }
+   */
+  setStyle(airspaceId, style) {
+    const record = this.records.get(airspaceId);
+    if (!record) {
+      return;
+    }
+
+    record.fillColor = style.fillColor;
+    record.outlineColor = style.outlineColor;
+    record.lines.forEach((line) => {
+      line.material.uniforms.color = AirspacePatterns.getLineColor(style);
+    });
+    this.applyAttributes(record);
+  }
+
+  applyPatternVisibility(record) {
+    const show = record.show && this.showPolygons;
+    record.walls.forEach((primitive) => {
+      primitive.show = show;
+    });
+    record.lines.forEach((line) => {
+      line.show = show;
+    });
+  }
+
+  setShowPolygons(show) {
+    this.showPolygons = show;
+    [this.fillPrimitive, this.outlinePrimitive].forEach((primitive) => {
+      if (primitive) {
+        primitive.show = show;
+      }
+    });
+    this.records.forEach((record) => this.applyPatternVisibility(record));
+  }
+
+  isReady() {
+    return Boolean(
+      this.fillPrimitive &&
+        this.fillPrimitive.ready &&
+        (!this.outlinePrimitive || this.outlinePrimitive.ready)
+    );
+  }
+
+  // Attributes can only be written once the primitives are ready; until
+  // then the record keeps the state and syncAttributes applies it later
+  applyAttributes(record) {
+    if (!this.isReady()) {
+      this.needsSync = true;
+      return;
+    }
+
+    record.ids.forEach((id) => {
+      this.writeAttributes(this.fillPrimitive, id, record.fillColor, record.show);
+      if (this.outlinePrimitive) {
+        this.writeAttributes(
+          this.outlinePrimitive,
+          id,
+          record.outlineColor,
+          record.show
+        );
+      }
+    });
+  }
+
+  writeAttributes(primitive, id, color, show) {
+    const attributes = primitive.getGeometryInstanceAttributes(id);
+    if (!attributes) {
+      return;
+    }
+
+    attributes.color = ColorGeometryInstanceAttribute.toValue(
+      color,
+      attributes.color
+    );
+    attributes.show = ShowGeometryInstanceAttribute.toValue(
+      show,
+      attributes.show
+    );
+  }
+
+  syncAttributes() {
+    if (!this.needsSync || !this.isReady()) {
+      return;
+    }
+
+    this.needsSync = false;
+    this.records.forEach((record) => this.applyAttributes(record));
+  }
+
+  getBoundingSphere(airspaceId) {
+    const record = this.records.get(airspaceId);
+    if (!record || record.positions.length === 0) {
+      return null;
+    }
+    return BoundingSphere.fromPoints(record.positions);
+  }
+
+  getVisibleAirspaces() {
+    return [...this.records.values()]
+      .filter((record) => record.show)
+      .map((record) => record.airspace);
+  }
+
+  clear() {
+    this.collection.removeAll();
+    this.fillPrimitive = null;
+    this.outlinePrimitive = null;
+    this.labels = null;
+    this.lines = null;
+    this.records.clear();
+    this.needsSync = false;
+  }
+
+  destroy() {
+    this.removePostRender();
+    this.viewer.scene.primitives.remove(this.collection);
+    this.records.clear();
+  }
+}
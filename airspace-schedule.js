@@ -0,0 +1,358 @@
+// airspace-schedule.js
+// Operating hours evaluation: "is this airspace active at time T?"
+
+/**
+ * IANA time zones used to interpret local operating hours, by country code
+ */
+const COUNTRY_TIME_ZONES = {
+  SI: "Europe/Ljubljana",
+  AT: "Europe/Vienna",
+  IT: "Europe/Rome",
+  HR: "Europe/Zagreb",
+  HU: "Europe/Budapest",
+  DE: "Europe/Berlin",
+  CH: "Europe/Zurich",
+};
+
+/**
+ * Public holidays per country. Fixed dates are "MM-DD"; Easter-relative
+ * holidays are day offsets from Easter Sunday.
+ */
+const PUBLIC_HOLIDAYS = {
+  SI: {
+    fixed: ["01-01", "01-02", "02-08", "04-27", "05-01", "05-02", "06-25",
+      "08-15", "10-31", "11-01", "12-25", "12-26"],
+    easter: [0, 1, 49],
+  },
+  AT: {
+    fixed: ["01-01", "01-06", "05-01", "08-15", "10-26", "11-01", "12-08",
+      "12-25", "12-26"],
+    easter: [1, 39, 50, 60],
+  },
+  IT: {
+    fixed: ["01-01", "01-06", "04-25", "05-01", "06-02", "08-15", "11-01",
+      "12-08", "12-25", "12-26"],
+    easter: [1],
+  },
+  HR: {
+    fixed: ["01-01", "01-06", "05-01", "05-30", "06-22", "08-05", "08-15",
+      "11-01", "11-18", "12-25", "12-26"],
+    easter: [1, 60],
+  },
+  HU: {
+    fixed: ["01-01", "03-15", "05-01", "08-20", "10-23", "11-01", "12-25",
+      "12-26"],
+    easter: [-2, 1, 50],
+  },
+};
+
+const SUN_ZENITH = 90.833; // Official sunrise/sunset incl. refraction
+
+/**
+ * Schedule engine for openAIP-style operatingHours entries
+ * ({ dayOfWeek, startTime, endTime, sunrise, sunset, byNotam, publicHolidaysExcluded })
+ */
+export class AirspaceSchedule {
+  // Dates ("YYYY-MM-DD") added at runtime, e.g. from a loaded holiday calendar
+  static customHolidays = new Map(); // country -> Set of dates
+
+  /**
+   * Check whether an airspace is active at the given time
+   * @param {Object} airspace - Processed airspace
+   * @param {Date} time - Time to evaluate (defaults to now)
+   * @param {Object} options - { timeZone, isNotamActive(airspace, time) }
+   * @returns {boolean} Whether the airspace is active
+   */
+  static isActive(airspace, time = new Date(), options = {}) {
+    return this.getStatus(airspace, time, options).active;
+  }
+
+  /**
+   * Evaluate an airspace schedule with the reason for the result
+   * @param {Object} airspace - Processed airspace
+   * @param {Date} time - Time to evaluate (defaults to now)
+   * @param {Object} options - { timeZone, isNotamActive(airspace, time) }
+   *   isNotamActive returns true (activated), false (deactivated) or null
+   *   (no NOTAM); a NOTAM overrides the published hours
+   * @returns {{active: boolean, reason: string}} Activity status
+   */
+  static getStatus(airspace, time = new Date(), options = {}) {
+    const hours = airspace.operatingHours || [];
+    const notamState = options.isNotamActive
+      ? options.isNotamActive(airspace, time)
+      : null;
+
+    if (notamState === true) {
+      return { active: true, reason: "Activated by NOTAM" };
+    }
+    if (notamState === false) {
+      return { active: false, reason: "Inactive by NOTAM" };
+    }
+
+    // Airspaces activated by NOTAM only are inactive until a NOTAM says otherwise
+    if (airspace.restrictions?.byNotam && hours.length === 0) {
+      return { active: false, reason: "Active by NOTAM only" };
+    }
+
+    if (hours.length === 0) {
+      return { active: true, reason: "No published hours (H24)" };
+    }
+
+    const timeZone = options.timeZone || this.getTimeZone(airspace);
+    const local = this.getZonedParts(time, timeZone);
+    const location = this.getCentroid(airspace);
+
+    // Windows from the previous day may run past midnight
+    const previous = this.getZonedParts(new Date(time.getTime() - 86400000), timeZone);
+
+    for (const [day, minuteOfDay] of [
+      [local, local.minutes],
+      [previous, local.minutes + 1440],
+    ]) {
+      const isHoliday = this.isPublicHoliday(day.dateKey, airspace.country);
+
+      for (const entry of hours) {
+        if (entry.dayOfWeek !== day.dayOfWeek) continue;
+        if (entry.publicHolidaysExcluded && isHoliday) continue;
+
+        const window = this.getWindow(entry, day, location, timeZone);
+        if (!window || minuteOfDay < window.start || minuteOfDay >= window.end) {
+          continue;
+        }
+
+        if (entry.byNotam) {
+          return { active: false, reason: "Within hours, active by NOTAM only" };
+        }
+
+        return { active: true, reason: `Active ${entry.startTime}-${entry.endTime}` };
+      }
+    }
+
+    return { active: false, reason: "Outside operating hours" };
+  }
+
+  /**
+   * Resolve an operatingHours entry into minutes since local midnight
+   * @returns {{start: number, end: number}|null} Window, end may exceed 1440
+   */
+  static getWindow(entry, day, location, timeZone) {
+    let start = this.parseTime(entry.startTime);
+    let end = this.parseTime(entry.endTime);
+
+    if (entry.sunrise || entry.sunset) {
+      const sun = this.getSunTimes(day, location, timeZone);
+      if (!sun) return null; // Polar day/night, not relevant for our region
+      if (entry.sunrise) start = sun.sunrise;
+      if (entry.sunset) end = sun.sunset;
+    }
+
+    if (start === null || end === null) {
+      return null;
+    }
+
+    // "00:00"-"00:00" is a full day; an earlier end time wraps past midnight
+    if (end <= start) {
+      end += 1440;
+    }
+
+    return { start, end };
+  }
+
+  static parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+    if (!match) return null;
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  }
+
+  static getTimeZone(airspace) {
+    return COUNTRY_TIME_ZONES[airspace.country] || "UTC";
+  }
+
+  /**
+   * Break a Date into calendar parts in the given IANA time zone
+   * @returns {Object} { year, month, day, dateKey, dayOfWeek, minutes }
+   */
+  static getZonedParts(time, timeZone) {
+    const formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      weekday: "short",
+    });
+
+    const parts = {};
+    formatter.formatToParts(time).forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+    // openAIP dayOfWeek: 0 = Monday ... 6 = Sunday
+    const weekdays = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+    return {
+      year: parseInt(parts.year, 10),
+      month: parseInt(parts.month, 10),
+      day: parseInt(parts.day, 10),
+      dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+      dayOfWeek: weekdays.indexOf(parts.weekday),
+      minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    };
+  }
+
+  /**
+   * Offset of a time zone from UTC in minutes at the given instant
+   */
+  static getTimeZoneOffset(time, timeZone) {
+    const local = this.getZonedParts(time, timeZone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day) + local.minutes * 60000;
+    return Math.round((asUtc - Math.floor(time.getTime() / 60000) * 60000) / 60000);
+  }
+
+  /**
+   * Sunrise and sunset (NOAA algorithm) as minutes since local midnight
+   * @param {Object} day - Zoned calendar parts from getZonedParts
+   * @param {{latitude: number, longitude: number}} location - Position
+   * @param {string} timeZone - IANA time zone
+   * @returns {{sunrise: number, sunset: number}|null} Null during polar day/night
+   */
+  static getSunTimes(day, location, timeZone) {
+    const sunrise = this.getSunEventUtcHours(day, location, true);
+    const sunset = this.getSunEventUtcHours(day, location, false);
+    if (sunrise === null || sunset === null) {
+      return null;
+    }
+
+    const midnightUtc = Date.UTC(day.year, day.month - 1, day.day);
+    const toLocalMinutes = (utcHours) => {
+      const instant = new Date(midnightUtc + utcHours * 3600000);
+      return utcHours * 60 + this.getTimeZoneOffset(instant, timeZone);
+    };
+
+    return {
+      sunrise: Math.round(toLocalMinutes(sunrise)),
+      sunset: Math.round(toLocalMinutes(sunset)),
+    };
+  }
+
+  static getSunEventUtcHours(day, location, rising) {
+    const toRad = Math.PI / 180;
+    const dayOfYear = Math.round(
+      (Date.UTC(day.year, day.month - 1, day.day) - Date.UTC(day.year, 0, 0)) / 86400000
+    );
+    const lngHour = location.longitude / 15;
+    const t = dayOfYear + ((rising ? 6 : 18) - lngHour) / 24;
+
+    const meanAnomaly = 0.9856 * t - 3.289;
+    let trueLongitude =
+      meanAnomaly +
+      1.916 * Math.sin(meanAnomaly * toRad) +
+      0.02 * Math.sin(2 * meanAnomaly * toRad) +
+      282.634;
+    trueLongitude = (trueLongitude + 360) % 360;
+
+    let rightAscension = Math.atan(0.91764 * Math.tan(trueLongitude * toRad)) / toRad;
+    rightAscension = (rightAscension + 360) % 360;
+    rightAscension +=
+      Math.floor(trueLongitude / 90) * 90 - Math.floor(rightAscension / 90) * 90;
+    rightAscension /= 15;
+
+    const sinDec = 0.39782 * Math.sin(trueLongitude * toRad);
+    const cosDec = Math.cos(Math.asin(sinDec));
+    const cosH =
+      (Math.cos(SUN_ZENITH * toRad) - sinDec * Math.sin(location.latitude * toRad)) /
+      (cosDec * Math.cos(location.latitude * toRad));
+
+    if (cosH > 1 || cosH < -1) {
+      return null;
+    }
+
+    const hourAngle = (rising ? 360 - Math.acos(cosH) / toRad : Math.acos(cosH) / toRad) / 15;
+    const localMeanTime = hourAngle + rightAscension - 0.06571 * t - 6.622;
+
+    return (localMeanTime - lngHour + 48) % 24;
+  }
+
+  /**
+   * Simple vertex-average centroid, good enough for sun times
+   */
+  static getCentroid(airspace) {
+    const ring = airspace.coordinates || [];
+    if (ring.length === 0) {
+      return { latitude: 0, longitude: 0 };
+    }
+
+    const sum = ring.reduce(
+      (acc, [longitude, latitude]) => ({
+        longitude: acc.longitude + longitude,
+        latitude: acc.latitude + latitude,
+      }),
+      { longitude: 0, latitude: 0 }
+    );
+
+    return { longitude: sum.longitude / ring.length, latitude: sum.latitude / ring.length };
+  }
+
+  /**
+   * Check a local calendar date against the holiday calendar
+   * @param {string} dateKey - "YYYY-MM-DD"
+   * @param {string} country - Two-letter country code
+   * @returns {boolean} Whether the date is a public holiday
+   */
+  static isPublicHoliday(dateKey, country) {
+    if (this.customHolidays.get(country)?.has(dateKey)) {
+      return true;
+    }
+
+    const calendar = PUBLIC_HOLIDAYS[country];
+    if (!calendar) {
+      return false;
+    }
+
+    const [year] = dateKey.split("-").map(Number);
+    if (calendar.fixed.includes(dateKey.slice(5))) {
+      return true;
+    }
+
+    const easter = this.getEasterSunday(year);
+    return calendar.easter.some((offset) => {
+      const holiday = new Date(easter.getTime() + offset * 86400000);
+      return holiday.toISOString().slice(0, 10) === dateKey;
+    });
+  }
+
+  /**
+   * Add holidays to the calendar (e.g. bridge days or a published list)
+   * @param {string} country - Two-letter country code
+   * @param {string[]} dates - Dates as "YYYY-MM-DD"
+   */
+  static addHolidays(country, dates) {
+    if (!this.customHolidays.has(country)) {
+      this.customHolidays.set(country, new Set());
+    }
+    dates.forEach((date) => this.customHolidays.get(country).add(date));
+  }
+
+  /**
+   * Gregorian Easter Sunday (anonymous Gregorian algorithm), as a UTC date
+   */
+  static getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+}
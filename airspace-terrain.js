@@ -0,0 +1,211 @@
+// airspace-terrain.js
+// Samples terrain heights along airspace boundaries for AGL limits
+
+import { Cartographic, sampleTerrainMostDetailed } from "cesium";
+
+export class AirspaceTerrainSampler {
+  // Maximum distance between boundary samples (meters)
+  static SAMPLE_SPACING = 1000;
+  // Upper bound on samples per airspace; spacing grows for long boundaries
+  static MAX_SAMPLES_PER_AIRSPACE = 2000;
+
+  constructor(viewer) {
+    this.viewer = viewer;
+    this.profiles = new Map(); // airspace id -> terrain profile
+    this.pending = new Map(); // airspace id -> sampling promise
+    this.failed = new Set(); // airspace ids the current terrain could not sample
+    this.terrainProvider = viewer.terrainProvider;
+  }
+
+  /**
+   * Whether an airspace has a limit that depends on the ground
+   * @param {Object} airspace - Processed airspace
+   * @returns {boolean}
+   */
+  static needsTerrain(airspace) {
+    return Boolean(airspace.isLowerAGL || airspace.isUpperAGL);
+  }
+
+  /**
+   * Cached terrain profile for an airspace, or null if not sampled yet
+   * @param {Object} airspace - Processed airspace
+   * @returns {Object|null} { polygons, minHeight, maxHeight, meanHeight }
+   */
+  getProfile(airspace) {
+    this.checkTerrainProvider();
+    return this.profiles.get(airspace.id) || null;
+  }
+
+  /**
+   * Sample every AGL airspace that has no cached profile yet. Airspaces that
+   * failed are not retried until the terrain provider changes.
+   * @param {Array} airspaces - Processed airspaces
+   * @returns {Promise<Array>} Airspaces that received a new profile
+   */
+  async sampleAirspaces(airspaces) {
+    this.checkTerrainProvider();
+
+    const toSample = airspaces.filter(
+      (airspace) =>
+        AirspaceTerrainSampler.needsTerrain(airspace) &&
+        !this.profiles.has(airspace.id) &&
+        !this.failed.has(airspace.id)
+    );
+
+    const results = await Promise.all(
+      toSample.map((airspace) => this.sampleAirspace(airspace))
+    );
+
+    return toSample.filter((airspace, index) => results[index]);
+  }
+
+  /**
+   * Sample one airspace boundary; concurrent calls share the same request
+   * @param {Object} airspace - Processed airspace
+   * @returns {Promise<Object|null>} Terrain profile
+   */
+  sampleAirspace(airspace) {
+    if (this.profiles.has(airspace.id)) {
+      return Promise.resolve(this.profiles.get(airspace.id));
+    }
+    if (this.pending.has(airspace.id)) {
+      return this.pending.get(airspace.id);
+    }
+    if (this.failed.has(airspace.id)) {
+      return Promise.resolve(null);
+    }
+
+    const terrainProvider = this.terrainProvider;
+    const polygons = this.densifyPolygons(
+      airspace.polygons || [[airspace.coordinates]]
+    );
+    const cartographics = polygons.flat(2).map((coord) =>
+      Cartographic.fromDegrees(coord[0], coord[1])
+    );
+
+    const promise = sampleTerrainMostDetailed(terrainProvider, cartographics)
+      .then((sampled) => {
+        // Terrain provider changed while sampling; the result is stale
+        if (terrainProvider !== this.terrainProvider) {
+          return null;
+        }
+
+        const profile = this.buildProfile(polygons, sampled);
+        this.profiles.set(airspace.id, profile);
+        return profile;
+      })
+      .catch((error) => {
+        if (terrainProvider === this.terrainProvider) {
+          this.failed.add(airspace.id);
+          console.warn(`Terrain sampling failed for ${airspace.name}:`, error);
+        }
+        return null;
+      })
+      .finally(() => {
+        this.pending.delete(airspace.id);
+      });
+
+    this.pending.set(airspace.id, promise);
+    return promise;
+  }
+
+  buildProfile(polygons, sampled) {
+    let index = 0;
+    let minHeight = Infinity;
+    let maxHeight = -Infinity;
+    let totalHeight = 0;
+
+    const sampledPolygons = polygons.map((rings) =>
+      rings.map((ring) =>
+        ring.map((coord) => {
+          const height = sampled[index++].height || 0;
+          minHeight = Math.min(minHeight, height);
+          maxHeight = Math.max(maxHeight, height);
+          totalHeight += height;
+          return [coord[0], coord[1], height];
+        })
+      )
+    );
+
+    return {
+      polygons: sampledPolygons, // [[[lon, lat, terrainHeight], ...], ...]
+      minHeight: index > 0 ? minHeight : 0,
+      maxHeight: index > 0 ? maxHeight : 0,
+      meanHeight: index > 0 ? totalHeight / index : 0,
+    };
+  }
+
+  /**
+   * Insert boundary points so no segment is longer than the sample spacing
+   * @param {Array} polygons - [[outer, ...holes], ...] of [lon, lat]
+   * @returns {Array} Densified polygons
+   */
+  densifyPolygons(polygons) {
+    const boundaryLength = polygons
+      .flat()
+      .reduce((total, ring) => total + this.getRingLength(ring), 0);
+    const spacing = Math.max(
+      AirspaceTerrainSampler.SAMPLE_SPACING,
+      boundaryLength / AirspaceTerrainSampler.MAX_SAMPLES_PER_AIRSPACE
+    );
+
+    return polygons.map((rings) =>
+      rings.map((ring) => this.densifyRing(ring, spacing))
+    );
+  }
+
+  densifyRing(ring, spacing) {
+    const densified = [];
+
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [lon1, lat1] = ring[i];
+      const [lon2, lat2] = ring[i + 1];
+      const steps = Math.max(
+        1,
+        Math.ceil(this.getDistance(ring[i], ring[i + 1]) / spacing)
+      );
+
+      for (let step = 0; step < steps; step++) {
+        const t = step / steps;
+        densified.push([lon1 + (lon2 - lon1) * t, lat1 + (lat2 - lat1) * t]);
+      }
+    }
+
+    if (ring.length > 0) {
+      densified.push(ring[ring.length - 1]);
+    }
+
+    return densified;
+  }
+
+  getRingLength(ring) {
+    let length = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      length += this.getDistance(ring[i], ring[i + 1]);
+    }
+    return length;
+  }
+
+  // Equirectangular distance; accurate enough to choose sample spacing
+  getDistance([lon1, lat1], [lon2, lat2]) {
+    const toRadians = Math.PI / 180;
+    const x =
+      (lon2 - lon1) * toRadians * Math.cos(((lat1 + lat2) / 2) * toRadians);
+    const y = (lat2 - lat1) * toRadians;
+    return Math.sqrt(x * x + y * y) * 6371008.8;
+  }
+
+  // Drop cached heights when the viewer switches terrain
+  checkTerrainProvider() {
+    if (this.viewer.terrainProvider !== this.terrainProvider) {
+      this.terrainProvider = this.viewer.terrainProvider;
+      this.clear();
+    }
+  }
+
+  clear() {
+    this.profiles.clear();
+    this.pending.clear();
+    this.failed.clear();
+  }
+}
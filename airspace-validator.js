@@ -0,0 +1,314 @@
+// airspace-validator.js
+// Lints airspace source data and builds a structured issue report
+
+import { AirspaceDataProcessor } from "./data-processor.js";
+import { AirspaceClassifier } from "./airspace-classifier.js";
+
+export class AirspaceValidator {
+  static SEVERITY = {
+    ERROR: "error", // Airspace is dropped or drawn wrongly
+    WARNING: "warning", // Airspace is drawn but the data is suspect
+    INFO: "info",
+  };
+
+  /**
+   * Validate a GeoJSON FeatureCollection before processing
+   * @param {Object} geoJsonData - openAIP-style FeatureCollection
+   * @param {string} source - Where the data came from (URL or file name)
+   * @returns {Object} { source, generatedAt, featureCount, airspaceCount, summary, issues }
+   */
+  static validateGeoJSON(geoJsonData, source = "") {
+    const issues = [];
+    const features = (geoJsonData && geoJsonData.features) || [];
+    const seenIds = new Map(); // id -> first feature index
+    let airspaceCount = 0;
+
+    if (!geoJsonData || !Array.isArray(geoJsonData.features)) {
+      issues.push(
+        this.createIssue("error", "invalid-collection", "Data is not a GeoJSON FeatureCollection")
+      );
+    }
+
+    features.forEach((feature, featureIndex) => {
+      const properties = (feature && feature.properties) || {};
+      const context = {
+        featureIndex,
+        airspaceId: (feature && feature.id) || properties._id || null,
+        name: properties.name || null,
+      };
+      const report = (severity, code, message) =>
+        issues.push(this.createIssue(severity, code, message, context));
+
+      if (!feature || !feature.properties || !feature.geometry) {
+        report("error", "missing-data", "Feature has no properties or geometry and is skipped");
+        return;
+      }
+
+      if (!properties.name) {
+        report("warning", "missing-name", "Airspace has no name");
+      }
+
+      // Ids
+      if (context.airspaceId === null) {
+        report("warning", "missing-id", "Airspace has no id");
+      } else if (seenIds.has(context.airspaceId)) {
+        report(
+          "error",
+          "duplicate-id",
+          `Id ${context.airspaceId} is already used by feature ${seenIds.get(context.airspaceId)}`
+        );
+      } else {
+        seenIds.set(context.airspaceId, featureIndex);
+      }
+
+      // Classification
+      if (
+        properties.icaoClass !== undefined &&
+        !AirspaceClassifier.ICAO_CLASS_COLORS[properties.icaoClass] &&
+        properties.icaoClass !== 0
+      ) {
+        report("warning", "unknown-class", `Unknown ICAO class ${properties.icaoClass}`);
+      }
+      if (
+        properties.type !== undefined &&
+        !AirspaceClassifier.AIRSPACE_TYPES[properties.type]
+      ) {
+        report("warning", "unknown-type", `Unknown airspace type ${properties.type}`);
+      }
+
+      // Geometry
+      this.validateGeometry(feature.geometry).forEach(([severity, code, message]) =>
+        report(severity, code, message)
+      );
+
+      // Vertical limits
+      ["lowerLimit", "upperLimit"].forEach((limit) => {
+        const value = properties[limit];
+        if (!value || typeof value.value !== "number") {
+          report("warning", "missing-limit", `${limit} is missing and treated as 0`);
+        }
+      });
+
+      const airspace = AirspaceDataProcessor.processAirspaceFeature(feature);
+      if (!airspace) {
+        return;
+      }
+      airspaceCount++;
+
+      if (this.isLowerAboveUpper(airspace)) {
+        report(
+          "error",
+          "inverted-limits",
+          `Lower limit ${AirspaceDataProcessor.formatLowerLimit(airspace)} is above upper limit ${AirspaceDataProcessor.formatUpperLimit(airspace)}`
+        );
+      } else if (
+        airspace.lowerAltitude === airspace.upperAltitude &&
+        airspace.isLowerAGL === airspace.isUpperAGL
+      ) {
+        report("warning", "zero-thickness", "Lower and upper limits are equal");
+      }
+    });
+
+    const summary = { error: 0, warning: 0, info: 0 };
+    issues.forEach((issue) => summary[issue.severity]++);
+
+    return {
+      source,
+      generatedAt: new Date().toISOString(),
+      featureCount: features.length,
+      airspaceCount,
+      summary,
+      issues,
+    };
+  }
+
+  static createIssue(severity, code, message, context = {}) {
+    return {
+      severity,
+      code,
+      message,
+      airspaceId: context.airspaceId ?? null,
+      name: context.name ?? null,
+      featureIndex: context.featureIndex ?? null,
+    };
+  }
+
+  /**
+   * Check rings of a Polygon/MultiPolygon geometry
+   * @returns {Array} [[severity, code, message], ...]
+   */
+  static validateGeometry(geometry) {
+    const problems = [];
+
+    let polygons;
+    if (geometry.type === "Polygon") {
+      polygons = [geometry.coordinates];
+    } else if (geometry.type === "MultiPolygon") {
+      polygons = geometry.coordinates;
+    } else {
+      return [["error", "unsupported-geometry", `Unsupported geometry type ${geometry.type}; airspace is skipped`]];
+    }
+
+    if (!Array.isArray(polygons) || polygons.length === 0) {
+      return [["error", "empty-geometry", "Geometry has no coordinates"]];
+    }
+
+    polygons.forEach((rings, polygonIndex) => {
+      (rings || []).forEach((ring, ringIndex) => {
+        const label =
+          (polygons.length > 1 ? `Part ${polygonIndex + 1} ` : "") +
+          (ringIndex === 0 ? "outer ring" : `hole ${ringIndex}`);
+
+        if (!Array.isArray(ring) || ring.length < 4) {
+          problems.push(["error", "degenerate-ring", `${label} has fewer than 4 positions`]);
+          return;
+        }
+
+        if (ring.some((coord) => !this.isValidPosition(coord))) {
+          problems.push(["error", "invalid-coordinate", `${label} has positions outside lon/lat range`]);
+          return;
+        }
+
+        if (!this.isClosed(ring)) {
+          problems.push(["warning", "unclosed-ring", `${label} is not closed (first and last positions differ)`]);
+        }
+
+        const duplicates = this.countRepeatedPositions(ring);
+        if (duplicates > 0) {
+          problems.push(["info", "repeated-position", `${label} repeats ${duplicates} consecutive position(s)`]);
+        }
+
+        const intersection = this.findSelfIntersection(ring);
+        if (intersection) {
+          problems.push([
+            "error",
+            "self-intersection",
+            `${label} intersects itself near ${intersection[1].toFixed(5)}, ${intersection[0].toFixed(5)}`,
+          ]);
+        }
+      });
+    });
+
+    return problems;
+  }
+
+  static isValidPosition(coord) {
+    return (
+      Array.isArray(coord) &&
+      Number.isFinite(coord[0]) &&
+      Number.isFinite(coord[1]) &&
+      Math.abs(coord[0]) <= 180 &&
+      Math.abs(coord[1]) <= 90
+    );
+  }
+
+  static isClosed(ring) {
+    return this.isSamePosition(ring[0], ring[ring.length - 1]);
+  }
+
+  static isSamePosition(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+  }
+
+  static countRepeatedPositions(ring) {
+    return ring.filter(
+      (coord, index) => index > 0 && this.isSamePosition(coord, ring[index - 1])
+    ).length;
+  }
+
+  static isLowerAboveUpper(airspace) {
+    // Mixed AGL/MSL limits cannot be compared without terrain
+    if (airspace.isLowerAGL !== airspace.isUpperAGL) {
+      return false;
+    }
+    return airspace.lowerAltitude > airspace.upperAltitude;
+  }
+
+  /**
+   * Find the first crossing of two non-adjacent edges
+   * @param {Array} ring - [lon, lat] positions
+   * @returns {Array|null} [lon, lat] of the crossing
+   */
+  static findSelfIntersection(ring) {
+    // Repeated positions make zero-length edges that would "touch" neighbours
+    const points = ring.filter(
+      (coord, index) => index === 0 || !this.isSamePosition(coord, ring[index - 1])
+    );
+    if (points.length > 1 && this.isClosed(points)) {
+      points.pop();
+    }
+    const count = points.length;
+    if (count < 4) {
+      return null;
+    }
+
+    for (let i = 0; i < count; i++) {
+      const a1 = points[i];
+      const a2 = points[(i + 1) % count];
+
+      for (let j = i + 1; j < count; j++) {
+        // Skip the edge itself and edges sharing a vertex
+        if (j === i + 1 || (i === 0 && j === count - 1)) {
+          continue;
+        }
+
+        const b1 = points[j];
+        const b2 = points[(j + 1) % count];
+        const crossing = this.segmentIntersection(a1, a2, b1, b2);
+        if (crossing) {
+          return crossing;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  static segmentIntersection(p1, p2, p3, p4) {
+    const d1x = p2[0] - p1[0];
+    const d1y = p2[1] - p1[1];
+    const d2x = p4[0] - p3[0];
+    const d2y = p4[1] - p3[1];
+    const denominator = d1x * d2y - d1y * d2x;
+
+    if (denominator === 0) {
+      return null; // Parallel or collinear
+    }
+
+    const t = ((p3[0] - p1[0]) * d2y - (p3[1] - p1[1]) * d2x) / denominator;
+    const u = ((p3[0] - p1[0]) * d1y - (p3[1] - p1[1]) * d1x) / denominator;
+
+    if (t < 0 || t > 1 || u < 0 || u > 1) {
+      return null;
+    }
+
+    return [p1[0] + t * d1x, p1[1] + t * d1y];
+  }
+
+  /**
+   * Plain-text rendering of a report, one issue per line
+   * @param {Object} report - Result of validateGeoJSON
+   * @returns {string}
+   */
+  static formatReport(report) {
+    const lines = [
+      `Airspace validation report${report.source ? ` for ${report.source}` : ""}`,
+      `Generated ${report.generatedAt}`,
+      `${report.airspaceCount} of ${report.featureCount} features loaded; ` +
+        `${report.summary.error} errors, ${report.summary.warning} warnings, ${report.summary.info} info`,
+      "",
+    ];
+
+    report.issues.forEach((issue) => {
+      const subject = [issue.name, issue.airspaceId ? `(${issue.airspaceId})` : null]
+        .filter(Boolean)
+        .join(" ");
+      lines.push(
+        `[${issue.severity.toUpperCase()}] ${issue.code} feature ${issue.featureIndex}` +
+          `${subject ? ` ${subject}` : ""}: ${issue.message}`
+      );
+    });
+
+    return lines.join("\n");
+  }
+}
@@ -2,6 +2,8 @@
 // Basic airspace violation detection system
 
 import { AirspaceViolation } from './aircraft-types.js';
+import { AirspaceSchedule } from './airspace-schedule.js';
+import { AirspaceSpatialIndex } from './airspace-index.js';
 import { Cartesian3, Cartographic, Math as CesiumMath } from 'cesium';
 
 /**
@@ -63,12 +65,19 @@ export class AirspaceViolationDetector {
                 continue;
             }
 
-            // Check against each airspace
-            for (const airspace of airspaces) {
+            // Check against airspaces near the aircraft
+            for (const airspace of this.getCandidateAirspaces(ac, airspaces)) {
                 if (!this.isRestrictedAirspace(airspace)) {
                     continue;
                 }
 
+                // Airspaces outside their operating hours or deactivated by
+                // NOTAM can't be violated (NOTAM temporary areas are included
+                // in the visualizer's airspaces)
+                if (!this.isAirspaceActive(airspace)) {
+                    continue;
+                }
+
                 const violationKey = `${ac.icao24}_${airspace.id}`;
                 const isInside = this.isAircraftInAirspace(ac, airspace);
 
@@ -107,6 +116,22 @@ export class AirspaceViolationDetector {
         this.updateVisualAlerts();
     }
 
+    /**
+     * Airspaces that may contain the aircraft. Uses the visualizer's spatial
+     * index when available, otherwise every airspace (brute force).
+     * @param {ProcessedAircraft} aircraft - Aircraft data
+     * @param {Object[]} airspaces - All airspaces
+     * @returns {Object[]} Candidate airspaces
+     */
+    getCandidateAirspaces(aircraft, airspaces) {
+        const index = this.airspaceVisualizer.spatialIndex;
+        if (!index || index.size !== airspaces.length) {
+            return airspaces;
+        }
+
+        return index.searchPoint(aircraft.longitude, aircraft.latitude, aircraft.getAltitude() ?? null);
+    }
+
     /**
      * Check if airspace is restricted and should trigger violations
      * @param {Object} airspace - Airspace data
@@ -118,6 +143,11 @@ export class AirspaceViolationDetector {
             return true;
         }
 
+        // User-drawn volumes are geofences
+        if (airspace.custom) {
+            return true;
+        }
+
         // Check restrictions flags
         const restrictions = airspace.restrictions || {};
         if (restrictions.byNotam || restrictions.specialAgreement) {
@@ -136,6 +166,18 @@ export class AirspaceViolationDetector {
         return false;
     }
 
+    /**
+     * Check if airspace is active according to its operating hours and NOTAMs
+     * @param {Object} airspace - Airspace data
+     * @returns {boolean} Whether airspace is currently active
+     */
+    isAirspaceActive(airspace) {
+        if (typeof this.airspaceVisualizer.isAirspaceActive === 'function') {
+            return this.airspaceVisualizer.isAirspaceActive(airspace);
+        }
+        return AirspaceSchedule.isActive(airspace);
+    }
+
     /**
      * Check if aircraft is inside airspace using point-in-polygon algorithm
      * @param {ProcessedAircraft} aircraft - Aircraft data
@@ -152,7 +194,7 @@ export class AirspaceViolationDetector {
         return this.pointInPolygon(
             aircraft.latitude,
             aircraft.longitude,
-            airspace.coordinates
+            airspace.polygons || airspace.coordinates
         );
     }
 
@@ -171,12 +213,51 @@ export class AirspaceViolationDetector {
         // Convert aircraft altitude to feet for comparison
         const aircraftAltitudeFt = aircraftAltitude * 3.28084;
 
-        // Get airspace altitude limits
-        const lowerLimit = this.parseAltitude(airspace.lowerAltitude, airspace.isLowerAGL);
-        const upperLimit = this.parseAltitude(airspace.upperAltitude, airspace.isUpperAGL);
+        // Flight levels are pressure altitudes: compare them against the
+        // barometric altitude when the aircraft reports one
+        const baroAltitude = aircraft.baroAltitude ?? null;
+        const pressureAltitudeFt = baroAltitude !== null ? baroAltitude * 3.28084 : null;
+
+        const lowerLimit = this.getLimitInFeet(airspace, 'lower');
+        const upperLimit = this.getLimitInFeet(airspace, 'upper');
+
+        const aboveLower = airspace.isLowerSTD && pressureAltitudeFt !== null
+            ? pressureAltitudeFt >= lowerLimit
+            : aircraftAltitudeFt >= lowerLimit;
+        const belowUpper = airspace.isUpperSTD && pressureAltitudeFt !== null
+            ? pressureAltitudeFt <= upperLimit
+            : aircraftAltitudeFt <= upperLimit;
+
+        return aboveLower && belowUpper;
+    }
+
+    /**
+     * Get an airspace limit in feet
+     * STD limits are returned as pressure altitude (FL95 = 9500 ft), other
+     * limits as height from the processed meters value
+     * @param {Object} airspace - Airspace data
+     * @param {string} which - 'lower' or 'upper'
+     * @returns {number} Limit in feet
+     */
+    getLimitInFeet(airspace, which) {
+        const isLower = which === 'lower';
+        const altitude = isLower ? airspace.lowerAltitude : airspace.upperAltitude;
+        const isAGL = isLower ? airspace.isLowerAGL : airspace.isUpperAGL;
+        const isSTD = isLower ? airspace.isLowerSTD : airspace.isUpperSTD;
+        const flightLevel = isLower ? airspace.lowerFlightLevel : airspace.upperFlightLevel;
+
+        if (isSTD && flightLevel !== null && flightLevel !== undefined) {
+            return flightLevel * 100;
+        }
 
-        // Check if aircraft is within range
-        return aircraftAltitudeFt >= lowerLimit && aircraftAltitudeFt <= upperLimit;
+        // Processed airspaces carry meters; legacy string limits are parsed
+        if (typeof altitude === 'number') {
+            const feet = altitude * 3.28084;
+            // For AGL altitudes, we assume worst case (add typical terrain height)
+            return isAGL ? feet + 1000 : feet;
+        }
+
+        return this.parseAltitude(altitude, isAGL);
     }
 
     /**
@@ -216,33 +297,27 @@ export class AirspaceViolationDetector {
     }
 
     /**
-     * Point-in-polygon algorithm using ray casting
+     * Point-in-polygon test supporting holes and multiple parts.
+     * Accepts a single ring, a polygon (outer ring followed by holes),
+     * or a MultiPolygon-style array of polygons.
      * @param {number} lat - Point latitude
      * @param {number} lon - Point longitude
-     * @param {Array} polygon - Array of [lon, lat] coordinates
+     * @param {Array} polygon - Ring, polygon rings or array of polygons in [lon, lat]
      * @returns {boolean} Whether point is inside polygon
      */
     pointInPolygon(lat, lon, polygon) {
-        if (!polygon || polygon.length < 3) {
-            return false;
-        }
-
-        let inside = false;
-        const n = polygon.length;
-
-        for (let i = 0, j = n - 1; i < n; j = i++) {
-            const xi = polygon[i][1]; // latitude
-            const yi = polygon[i][0]; // longitude
-            const xj = polygon[j][1]; // latitude
-            const yj = polygon[j][0]; // longitude
-
-            if (((yi > lon) !== (yj > lon)) &&
-                (lat < (xj - xi) * (lon - yi) / (yj - yi) + xi)) {
-                inside = !inside;
-            }
-        }
+        return AirspaceSpatialIndex.pointInPolygon(lat, lon, polygon);
+    }
 
-        return inside;
+    /**
+     * Ray casting test against a single ring
+     * @param {number} lat - Point latitude
+     * @param {number} lon - Point longitude
+     * @param {Array} polygon - Array of [lon, lat] coordinates
+     * @returns {boolean} Whether point is inside the ring
+     */
+    pointInRing(lat, lon, polygon) {
+        return AirspaceSpatialIndex.pointInRing(lat, lon, polygon);
     }
 
     /**
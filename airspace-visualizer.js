@@ -1,6 +1,9 @@
 import {
   Entity,
   PolygonGraphics,
+  PolylineGraphics,
+  WallGraphics,
+  PolygonHierarchy,
   LabelGraphics,
   Cartesian3,
   Color,
@@ -13,16 +16,71 @@ import {
 } from "cesium";
 import { AirspaceDataProcessor } from "./data-processor.js";
 import { AirspaceClassifier } from "./airspace-classifier.js";
+import { AirspaceSchedule } from "./airspace-schedule.js";
+import { AirspaceTerrainSampler } from "./airspace-terrain.js";
+import { AirspaceDiff } from "./airspace-diff.js";
+import { AirspaceValidator } from "./airspace-validator.js";
+import { AirspaceSpatialIndex } from "./airspace-index.js";
+import { AirspacePrimitiveRenderer } from "./airspace-primitive-renderer.js";
+import { AirspacePatterns } from "./airspace-patterns.js";
+import { AirspaceLabels } from "./airspace-labels.js";
+import { LabelDeclutterer } from "./label-declutter.js";
+import { OpenAirParser } from "./openair-parser.js";
+import { AixmParser } from "./aixm-parser.js";
+import { NotamManager } from "./notam-manager.js";
+import { AirspaceLayerManager } from "./airspace-layers.js";
 
 export class AirspaceVisualizer {
   constructor(viewer) {
     this.viewer = viewer;
     this.airspaces = [];
     this.entities = new Map();
+    // "entity": one Entity per airspace; "primitive": batched geometry
+    // instances whose show/colour attributes are flipped in place
+    this.renderMode = "entity";
+    this.primitiveRenderer = new AirspacePrimitiveRenderer(viewer);
     this.showLabels = true;
+    this.showLabelLimits = false; // Upper/lower limit block under the name
+    this.labelAnchors = new Map(); // airspace id -> { longitude, latitude }
+    this.labelDeclutterer = new LabelDeclutterer(viewer.scene);
     this.showPolygons = true; // Toggle for airspace polygon visibility
-    this.maxAltitudeFilter = 20000; // 20km default
+    // Combinable display filters; null class/type lists mean "all"
+    this.filters = {
+      minAltitude: 0, // meters
+      maxAltitude: 20000, // 20km default
+      classes: null,
+      types: null,
+      status: "all", // "all" | "active" | "inactive"
+    };
     this.highlightedAirspace = null;
+    this.validationReport = null; // Lint result of the last loaded dataset
+    this.spatialIndex = new AirspaceSpatialIndex(); // Rebuilt on load
+
+    // Named datasets (e.g. one per country); this.airspaces merges the
+    // visible ones
+    this.layerManager = new AirspaceLayerManager();
+
+    // Operating hours evaluation (null scheduleTime = now)
+    this.scheduleTime = null;
+    this.activityState = new Map(); // airspace id -> active
+
+    // User-drawn volumes (AirspaceEditor), kept across dataset loads
+    this.customAirspaces = [];
+
+    // NOTAMs activate linked airspaces and add temporary volumes
+    this.notamManager = new NotamManager();
+    this.scheduleOptions = {
+      isNotamActive: (airspace, time) =>
+        this.notamManager.getActivation(airspace, time),
+    };
+
+    // Terrain heights along AGL boundaries, cached per airspace
+    this.terrainSampler = new AirspaceTerrainSampler(viewer);
+
+    // Dataset comparison: airspace id -> "added" | "removed" | "modified"
+    this.diffReport = null;
+    this.diffState = new Map();
+    this.diffEntities = new Map(); // removed airspaces drawn as ghosts
 
     this.eventHandlers = {
       onAirspaceClick: null,
@@ -30,17 +88,24 @@ export class AirspaceVisualizer {
     };
   }
 
-  async loadAirspaceData(geoJsonUrl) {
+  /**
+   * Load a dataset as a named layer, next to the layers already loaded
+   * @param {string} url - Dataset URL
+   * @param {string} format - "geojson" | "openair" | "aixm" (default: by extension)
+   * @param {Object} options - Layer options, see addAirspaceLayer
+   * @returns {Array} Airspaces of all visible layers
+   */
+  async loadAirspaceData(url, format = null, options = {}) {
     try {
-      const response = await fetch(geoJsonUrl);
+      const response = await fetch(url);
       if (!response.ok) {
         throw new Error(`Failed to load airspace data: ${response.statusText}`);
       }
 
-      const geoJsonData = await response.json();
-      this.airspaces = AirspaceDataProcessor.processGeoJSON(geoJsonData);
-
-      console.log(`Loaded ${this.airspaces.length} airspaces`);
+      this.loadAirspaceText(await response.text(), String(url), {
+        format,
+        ...options,
+      });
       return this.airspaces;
     } catch (error) {
       console.error("Error loading airspace data:", error);
@@ -48,154 +113,860 @@ export class AirspaceVisualizer {
     }
   }
 
-  createAirspaceEntity(airspace) {
-    const style = AirspaceClassifier.getVisualizationStyle(airspace, {
-      highlighted: false,
-      showLabels: this.showLabels,
-    });
+  /**
+   * Add a dataset from its text (e.g. a file picked in the sidebar)
+   * @param {string} text - GeoJSON, OpenAIR or AIXM content
+   * @param {string} source - URL or file name; names the layer and gives
+   *   the format when options.format is not set
+   * @param {Object} options - Layer options, see addAirspaceLayer
+   * @returns {Object} Layer
+   */
+  loadAirspaceText(text, source, options = {}) {
+    // Every format is converted to GeoJSON so it can be validated first
+    const format = options.format || this.getSourceFormat(source);
+    let geoJsonData;
+    if (format === "openair") {
+      geoJsonData = OpenAirParser.parse(text);
+    } else if (format === "aixm") {
+      geoJsonData = AixmParser.parse(text);
+    } else {
+      geoJsonData = JSON.parse(text);
+    }
 
-    // Debug: Log the color being applied
-    console.log(`Airspace ${airspace.name} (class ${airspace.icaoClass}):`, {
-      fillColor: style.fillColor,
-      outlineColor: style.outlineColor,
+    const layer = this.addAirspaceLayer(geoJsonData, {
+      ...options,
+      source,
+      format,
     });
 
-    const heights = AirspaceDataProcessor.getAirspaceHeight(airspace);
+    console.log(
+      `Loaded ${layer.airspaces.length} airspaces into layer "${layer.id}" (${format})`
+    );
+    return layer;
+  }
 
-    const positions = airspace.coordinates.map((coord) =>
-      Cartesian3.fromDegrees(coord[0], coord[1])
+  /**
+   * Validate a GeoJSON dataset and add it as a layer, replacing a layer with
+   * the same id
+   * @param {Object} geoJsonData - FeatureCollection
+   * @param {Object} options - { id, name, source, format, effectiveDate, visible }
+   * @returns {Object} Layer
+   */
+  addAirspaceLayer(geoJsonData, options = {}) {
+    const source = options.source || options.name || "dataset";
+    this.validationReport = AirspaceValidator.validateGeoJSON(
+      geoJsonData,
+      source
     );
+    if (this.validationReport.issues.length > 0) {
+      console.warn(
+        `Airspace data validation for ${source}:`,
+        this.validationReport.summary
+      );
+    }
 
-    // Calculate polygon centroid for label positioning
-    const centroid = this.calculatePolygonCentroid(positions);
-    const labelHeight = (heights.bottom + heights.top) / 2; // Mid-point altitude
-    const labelPosition = Cartesian3.fromDegrees(
-      centroid.longitude,
-      centroid.latitude,
-      labelHeight
+    const id = options.id || AirspaceLayerManager.getLayerId(source);
+    const replacing = Boolean(this.layerManager.getLayer(id));
+    const layer = this.layerManager.addLayer(geoJsonData, {
+      ...options,
+      id,
+      source,
+      validationReport: this.validationReport,
+    });
+
+    // A reloaded layer reuses its ids with possibly different boundaries
+    if (replacing) {
+      this.labelAnchors.clear();
+      this.terrainSampler.clear();
+    }
+    this.clearDiff(false);
+    this.updateLayers();
+    return layer;
+  }
+
+  removeAirspaceLayer(id) {
+    if (this.layerManager.removeLayer(id)) {
+      this.updateLayers();
+    }
+  }
+
+  setLayerVisible(id, visible) {
+    if (this.layerManager.setLayerVisible(id, visible)) {
+      this.updateLayers();
+    }
+  }
+
+  getLayers() {
+    return this.layerManager.getLayerSummaries();
+  }
+
+  // Re-merge after the layer set changed; re-render if already on screen
+  updateLayers() {
+    const rendered = this.hasRenderedAirspaces();
+    this.clearAirspaces();
+    this.mergeAirspaces();
+    if (rendered) {
+      this.renderAirspaces();
+    }
+  }
+
+  getValidationReport() {
+    return this.validationReport;
+  }
+
+  getSourceFormat(url) {
+    const path = String(url).split(/[?#]/)[0].toLowerCase();
+
+    if (path.endsWith(".txt") || path.endsWith(".openair")) {
+      return "openair";
+    }
+
+    if (path.endsWith(".xml") || path.endsWith(".aixm")) {
+      return "aixm";
+    }
+
+    return "geojson";
+  }
+
+  /**
+   * Style, heights and polygons shared by the entity and primitive paths
+   * @param {Object} airspace - Processed airspace
+   * @returns {Object} { airspace, style, heights, terrainFollowing, polygons,
+   *   mainPolygon, labelPosition, walls }
+   */
+  getAirspaceGeometry(airspace) {
+    const style = AirspaceClassifier.getVisualizationStyle(airspace, {
+      highlighted: this.highlightedAirspace === airspace.id,
+      showLabels: this.showLabels,
+      active: this.isAirspaceActive(airspace),
+    });
+    this.activityState.set(airspace.id, style.active);
+    this.applyDiffStyle(style, airspace.id);
+
+    // AGL limits follow the sampled terrain once it is available; until then
+    // they are drawn flat at the mean terrain height (sea level if unknown)
+    const terrainProfile = AirspaceTerrainSampler.needsTerrain(airspace)
+      ? this.terrainSampler.getProfile(airspace)
+      : null;
+    const heights = AirspaceDataProcessor.getAirspaceHeight(
+      airspace,
+      terrainProfile ? terrainProfile.meanHeight : 0
     );
+    const terrainFollowing = this.getTerrainFollowing(airspace, terrainProfile);
 
-    // Check camera distance for debugging
-    const cameraHeight = this.viewer.camera.positionCartographic.height;
-    const distanceToLabel = Cartesian3.distance(
-      this.viewer.camera.position,
-      labelPosition
+    // Polygon parts with their holes; the part matching airspace.coordinates
+    // carries the label (and is the main entity)
+    const sourcePolygons = airspace.polygons || [[airspace.coordinates]];
+    const mainIndex = Math.max(
+      0,
+      sourcePolygons.findIndex((rings) => rings[0] === airspace.coordinates)
     );
+    const polygons = terrainProfile ? terrainProfile.polygons : sourcePolygons;
 
-    console.log(`Creating entity for ${airspace.name}:`, {
-      showLabel: style.showLabel,
-      centroid: centroid,
-      labelHeight: labelHeight,
-      labelText: style.labelText,
-      cameraHeight: cameraHeight,
-      distanceToLabel: distanceToLabel,
+    // Label at the pole of inaccessibility, half way between floor and ceiling
+    const anchor = this.getLabelAnchor(airspace);
+    const labelPosition = Cartesian3.fromDegrees(
+      anchor.longitude,
+      anchor.latitude,
+      (heights.bottom + heights.top) / 2
+    );
+    style.labelText = AirspaceLabels.getLabelText(airspace, {
+      showLimits: this.showLabelLimits,
     });
 
+    // Special-use types get patterned walls; dashed floor and ceiling lines
+    // replace the solid outline
+    const walls = AirspaceClassifier.shouldUsePattern(airspace)
+      ? AirspacePatterns.getWalls(polygons, heights, terrainFollowing)
+      : [];
+    if (walls.length > 0) {
+      style.outline = false;
+    }
+
+    return {
+      airspace,
+      style,
+      heights,
+      terrainFollowing,
+      polygons,
+      mainPolygon: polygons[mainIndex],
+      labelPosition,
+      walls,
+    };
+  }
+
+  createAirspaceEntity(airspace) {
+    const geometry = this.getAirspaceGeometry(airspace);
+    const { style, heights, terrainFollowing, polygons, mainPolygon, labelPosition } =
+      geometry;
+
     const entity = new Entity({
       id: `airspace_${airspace.id}`,
       name: airspace.name,
       position: labelPosition, // Explicit position for label
-      polygon: new PolygonGraphics({
-        hierarchy: positions,
-        height: heights.bottom,
-        extrudedHeight: heights.top,
-        fill: style.fill,
-        material: style.fillColor,
-        outline: style.outline,
-        outlineColor: style.outlineColor,
-        outlineWidth: style.outlineWidth,
-        show: this.showPolygons, // Respect polygon visibility toggle
-      }),
+      polygon: this.createPolygonGraphics(
+        mainPolygon,
+        heights,
+        style,
+        terrainFollowing
+      ),
       label: style.showLabel
         ? new LabelGraphics({
             text: style.labelText,
-            font: "14pt sans-serif", // Even larger font
-            fillColor: Color.WHITE,
-            outlineColor: Color.BLACK,
-            outlineWidth: 4, // Thicker outline for visibility
+            font: style.labelStyle.font,
+            fillColor: style.labelStyle.fillColor,
+            outlineColor: style.labelStyle.outlineColor,
+            outlineWidth: style.labelStyle.outlineWidth,
             style: LabelStyle.FILL_AND_OUTLINE,
-            pixelOffset: new Cartesian2(0, 0), // No offset for testing
+            pixelOffset: new Cartesian2(0, 0),
             verticalOrigin: VerticalOrigin.CENTER,
             horizontalOrigin: HorizontalOrigin.CENTER,
-            // Temporarily remove scale restrictions to test visibility
-            // scaleByDistance: new Cartesian3(10000, 1.5, 500000, 0.5),
-            // disableDepthTestDistance: Number.POSITIVE_INFINITY, // Always visible
+            scaleByDistance: AirspaceLabels.SCALE_BY_DISTANCE,
             show: true,
           })
         : undefined,
     });
 
-    console.log(`Entity created with label:`, entity.label ? "YES" : "NO");
-
     entity.airspaceData = airspace;
     entity.airspaceStyle = style;
 
+    // Additional MultiPolygon parts share the airspace data so picking works on any part
+    entity.partEntities = polygons
+      .filter((rings) => rings !== mainPolygon)
+      .map((rings, index) => {
+        const part = new Entity({
+          id: `airspace_${airspace.id}_part${index + 1}`,
+          name: airspace.name,
+          polygon: this.createPolygonGraphics(
+            rings,
+            heights,
+            style,
+            terrainFollowing
+          ),
+        });
+        part.airspaceData = airspace;
+        part.airspaceStyle = style;
+        return part;
+      })
+      .concat(this.createPatternEntities(geometry));
+
     return entity;
   }
 
-  calculatePolygonCentroid(positions) {
-    // Calculate centroid of polygon from Cartesian3 positions
-    let totalLat = 0;
-    let totalLon = 0;
+  // Hatched walls and dashed floor/ceiling lines for special-use airspaces
+  createPatternEntities({ airspace, style, walls }) {
+    const pattern = AirspaceClassifier.getTypeInfo(airspace.type).pattern;
+    const entities = [];
 
-    positions.forEach((position) => {
-      const cartographic = Cartographic.fromCartesian(position);
-      totalLat += CesiumMath.toDegrees(cartographic.latitude);
-      totalLon += CesiumMath.toDegrees(cartographic.longitude);
+    walls.forEach((wall, index) => {
+      entities.push(
+        new Entity({
+          id: `airspace_${airspace.id}_wall${index + 1}`,
+          name: airspace.name,
+          wall: new WallGraphics({
+            positions: wall.positions,
+            minimumHeights: wall.minimumHeights,
+            maximumHeights: wall.maximumHeights,
+            material: AirspacePatterns.createWallMaterial(pattern, style, wall),
+            show: this.showPolygons,
+          }),
+        })
+      );
+
+      AirspacePatterns.getBoundaryLines(wall).forEach((positions, line) => {
+        entities.push(
+          new Entity({
+            id: `airspace_${airspace.id}_${line === 0 ? "floor" : "ceiling"}${index + 1}`,
+            name: airspace.name,
+            polyline: new PolylineGraphics({
+              positions,
+              width: 2,
+              material: AirspacePatterns.createDashMaterial(style),
+              show: this.showPolygons,
+            }),
+          })
+        );
+      });
+    });
+
+    entities.forEach((entity) => {
+      entity.airspaceData = airspace;
+      entity.airspaceStyle = style;
+    });
+    return entities;
+  }
+
+  createPolygonGraphics(rings, heights, style, terrainFollowing = null) {
+    const [outer, ...holes] = rings;
+    const offset = terrainFollowing ? terrainFollowing.offset : null;
+
+    return new PolygonGraphics({
+      hierarchy: new PolygonHierarchy(
+        this.ringToPositions(outer, offset),
+        holes.map(
+          (hole) => new PolygonHierarchy(this.ringToPositions(hole, offset))
+        )
+      ),
+      // Terrain-following surfaces take their heights from the positions and
+      // extrude to the opposite, flat limit
+      perPositionHeight: Boolean(terrainFollowing),
+      height: terrainFollowing ? undefined : heights.bottom,
+      extrudedHeight: terrainFollowing
+        ? terrainFollowing.extrudedHeight
+        : heights.top,
+      fill: style.fill,
+      material: style.fillColor,
+      outline: style.outline,
+      outlineColor: style.outlineColor,
+      outlineWidth: style.outlineWidth,
+      show: this.showPolygons, // Respect polygon visibility toggle
     });
+  }
+
+  // offset: meters added to the sampled terrain height stored in coord[2]
+  ringToPositions(ring, offset = null) {
+    if (offset === null) {
+      return ring.map((coord) => Cartesian3.fromDegrees(coord[0], coord[1]));
+    }
+
+    return ring.map((coord) =>
+      Cartesian3.fromDegrees(coord[0], coord[1], (coord[2] || 0) + offset)
+    );
+  }
+
+  // Which limit follows the terrain: the ceiling if it is AGL, otherwise the
+  // floor. When both are AGL the floor is kept flat at the lowest sampled
+  // terrain, so the volume never starts above the real floor.
+  getTerrainFollowing(airspace, terrainProfile) {
+    if (!terrainProfile) {
+      return null;
+    }
+
+    if (airspace.isUpperAGL) {
+      return {
+        offset: airspace.upperAltitude,
+        extrudedHeight: airspace.isLowerAGL
+          ? terrainProfile.minHeight + airspace.lowerAltitude
+          : airspace.lowerAltitude,
+      };
+    }
 
     return {
-      latitude: totalLat / positions.length,
-      longitude: totalLon / positions.length,
+      offset: airspace.lowerAltitude,
+      extrudedHeight: airspace.upperAltitude,
     };
   }
 
-  renderAirspaces() {
-    this.clearAirspaces();
+  // Sample terrain for AGL airspaces without a cached profile and redraw them
+  async updateTerrainHeights(airspaces = this.airspaces) {
+    const sampled = await this.terrainSampler.sampleAirspaces(airspaces);
 
-    const filteredAirspaces = AirspaceClassifier.filterByAltitude(
-      this.airspaces,
-      this.maxAltitudeFilter
+    if (this.renderMode === "primitive") {
+      // Batched geometry cannot be edited per airspace; rebuild it once
+      if (sampled.some((airspace) => this.primitiveRenderer.has(airspace.id))) {
+        this.buildPrimitives();
+      }
+    } else {
+      sampled.forEach((airspace) => {
+        if (this.entities.has(airspace.id)) {
+          this.replaceAirspaceEntity(airspace);
+        }
+      });
+    }
+
+    if (sampled.length > 0) {
+      this.updateLabelItems();
+      console.log(`Sampled terrain for ${sampled.length} AGL airspaces`);
+    }
+
+    return sampled;
+  }
+
+  replaceAirspaceEntity(airspace) {
+    const oldEntity = this.entities.get(airspace.id);
+    if (oldEntity) {
+      this.getPolygonEntities(oldEntity).forEach((polygonEntity) =>
+        this.viewer.entities.remove(polygonEntity)
+      );
+    }
+
+    const entity = this.createAirspaceEntity(airspace);
+    this.getPolygonEntities(entity).forEach((polygonEntity) =>
+      this.viewer.entities.add(polygonEntity)
     );
+    this.entities.set(airspace.id, entity);
+    if (oldEntity) {
+      this.setEntityVisible(entity, oldEntity.show);
+    }
+
+    if (this.highlightedAirspace === airspace.id) {
+      this.highlightAirspace(airspace.id);
+    }
+  }
+
+  getPolygonEntities(entity) {
+    return [entity, ...(entity.partEntities || [])];
+  }
+
+  // Anchors only depend on the horizontal shape, so they are cached
+  getLabelAnchor(airspace) {
+    if (!this.labelAnchors.has(airspace.id)) {
+      this.labelAnchors.set(airspace.id, AirspaceLabels.getAnchor(airspace));
+    }
+    return this.labelAnchors.get(airspace.id);
+  }
+
+  /**
+   * Hand the current labels to the declutterer; called after anything that
+   * creates, removes or hides labels
+   */
+  updateLabelItems() {
+    const items = [];
+    const add = (airspace, style, position, isEnabled, setVisible) =>
+      items.push({
+        position,
+        text: style.labelText,
+        font: style.labelStyle.font,
+        priority: AirspaceLabels.getPriority(airspace),
+        scaleByDistance: AirspaceLabels.SCALE_BY_DISTANCE,
+        isEnabled,
+        setVisible,
+      });
+
+    if (this.renderMode === "primitive") {
+      this.primitiveRenderer.records.forEach((record) => {
+        const label = record.label;
+        if (!label) return;
+        add(
+          record.airspace,
+          record.style,
+          label.position,
+          () => record.show,
+          (visible) => {
+            label.show = record.show && visible;
+          }
+        );
+      });
+    } else {
+      this.entities.forEach((entity) => {
+        if (!entity.label) return;
+        let visible; // unknown until the first pass writes it
+        add(
+          entity.airspaceData,
+          entity.airspaceStyle,
+          entity.position.getValue(),
+          () => entity.show,
+          (show) => {
+            if (show !== visible) {
+              visible = show;
+              entity.label.show = show;
+            }
+          }
+        );
+      });
+    }
+
+    this.labelDeclutterer.setItems(items);
+  }
+
+  /**
+   * Toggle screen-space label collision avoidance
+   * @param {boolean} enabled
+   */
+  setLabelDeclutter(enabled) {
+    this.labelDeclutterer.setEnabled(enabled);
+  }
+
+  /**
+   * Show vertical limits as an upper/lower block under each label
+   * @param {boolean} show
+   */
+  setShowLabelLimits(show) {
+    this.showLabelLimits = show;
+    this.rebuildAirspaces();
+  }
+
+
+  getScheduleTime() {
+    return this.scheduleTime || new Date();
+  }
+
+  isAirspaceActive(airspace) {
+    return AirspaceSchedule.isActive(
+      airspace,
+      this.getScheduleTime(),
+      this.scheduleOptions
+    );
+  }
+
+  getAirspaceStatus(airspace) {
+    return AirspaceSchedule.getStatus(
+      airspace,
+      this.getScheduleTime(),
+      this.scheduleOptions
+    );
+  }
+
+  // Evaluate schedules for a specific time (null = follow the clock)
+  setScheduleTime(time) {
+    this.scheduleTime = time;
+    this.updateActivity();
+  }
+
+  setScheduleOptions(options) {
+    this.scheduleOptions = { ...this.scheduleOptions, ...options };
+    this.updateActivity();
+  }
 
-    filteredAirspaces.forEach((airspace) => {
+  /**
+   * Add a NOTAM bulletin (ICAO format) and re-evaluate activation
+   * @param {string} text - NOTAM text, e.g. a pasted bulletin or file
+   * @returns {Array} NOTAMs added
+   */
+  loadNotams(text) {
+    const added = this.notamManager.load(text);
+    this.mergeAirspaces();
+    this.rebuildAirspaces();
+    return added;
+  }
+
+  clearNotams() {
+    this.notamManager.clear();
+    this.mergeAirspaces();
+    this.rebuildAirspaces();
+  }
+
+  /**
+   * Replace the user-drawn airspaces
+   * @param {Array} airspaces - Processed airspaces flagged `custom`
+   */
+  setCustomAirspaces(airspaces) {
+    this.customAirspaces = airspaces;
+    this.mergeAirspaces();
+    this.rebuildAirspaces();
+  }
+
+  // Airspaces of the visible layers plus custom volumes and NOTAM temporary
+  // volumes. NOTAMs are re-linked; the schedule picks up activation through
+  // scheduleOptions.
+  mergeAirspaces() {
+    const published = this.layerManager.getAirspaces();
+    const own = [...published, ...this.customAirspaces];
+    this.notamManager.linkAirspaces(own);
+    this.airspaces = [...own, ...this.notamManager.getTemporaryAirspaces()];
+    this.spatialIndex.load(this.airspaces);
+    this.activityState.clear();
+  }
+
+  getAirspaceNotams(airspace) {
+    return this.notamManager.getAirspaceNotams(airspace);
+  }
+
+  getNotamStatistics() {
+    return {
+      ...this.notamManager.getStatistics(this.getScheduleTime()),
+      temporary: this.airspaces.filter((airspace) => airspace.notam).length,
+    };
+  }
+
+  // Re-render only when some airspace changed between active and inactive
+  updateActivity() {
+    let changed = false;
+
+    this.airspaces.forEach((airspace) => {
+      const active = this.isAirspaceActive(airspace);
+      if (this.activityState.get(airspace.id) !== active) {
+        this.activityState.set(airspace.id, active);
+        changed = true;
+      }
+    });
+
+    if (changed && this.hasRenderedAirspaces()) {
+      this.rebuildAirspaces();
+    }
+
+    return changed;
+  }
+
+  // Compare the loaded airspaces against an older dataset and highlight changes
+  async compareWithDataset(url, layerId = null) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load comparison data: ${response.statusText}`);
+    }
+
+    return this.compareWithGeoJSON(await response.json(), layerId);
+  }
+
+  /**
+   * @param {Object} previousGeoJson - Older cycle of one dataset
+   * @param {string} layerId - Layer it is compared with (default: the layer
+   *   loaded last)
+   */
+  compareWithGeoJSON(previousGeoJson, layerId = null) {
+    const layer = layerId
+      ? this.layerManager.getLayer(layerId)
+      : this.layerManager.getLayers().at(-1);
+    if (!layer) {
+      throw new Error("No airspace dataset loaded to compare with");
+    }
+
+    const previous = AirspaceLayerManager.processForLayer(previousGeoJson, layer.id);
+    return this.showDiff(AirspaceDiff.compare(previous, layer.airspaces));
+  }
+
+  showDiff(report) {
+    this.clearDiff(false);
+    this.diffReport = report;
+
+    report.added.forEach((airspace) => this.diffState.set(airspace.id, "added"));
+    report.modified.forEach(({ airspace }) =>
+      this.diffState.set(airspace.id, "modified")
+    );
+    report.removed.forEach((airspace) => {
+      this.diffState.set(airspace.id, "removed");
       const entity = this.createAirspaceEntity(airspace);
-      this.viewer.entities.add(entity);
-      this.entities.set(airspace.id, entity);
+      this.getPolygonEntities(entity).forEach((polygonEntity) =>
+        this.viewer.entities.add(polygonEntity)
+      );
+      this.diffEntities.set(airspace.id, entity);
+    });
+
+    console.log("Airspace diff:", report.summary);
+    this.rebuildAirspaces();
+    return report;
+  }
+
+  clearDiff(render = true) {
+    this.diffEntities.forEach((entity) => {
+      this.getPolygonEntities(entity).forEach((polygonEntity) =>
+        this.viewer.entities.remove(polygonEntity)
+      );
     });
+    this.diffEntities.clear();
+    this.diffState.clear();
+    this.diffReport = null;
+
+    if (render) {
+      this.rebuildAirspaces();
+    }
+  }
+
+  getDiffChange(airspaceId) {
+    return this.diffState.get(airspaceId) || null;
+  }
+
+  applyDiffStyle(style, airspaceId) {
+    const change = this.getDiffChange(airspaceId);
+    if (!change) {
+      return style;
+    }
+
+    const color = Color.fromCssColorString(AirspaceDiff.CHANGE_COLORS[change]);
+    style.fillColor = color.withAlpha(change === "removed" ? 0.08 : 0.3);
+    style.outlineColor = color;
+    style.outlineWidth = 3;
+    style.diffChange = change;
+    return style;
+  }
+
+  getFilteredAirspaces() {
+    const { minAltitude, maxAltitude, classes, types, status } = this.filters;
+
+    let filtered = AirspaceClassifier.filterByAltitude(
+      this.airspaces,
+      maxAltitude,
+      minAltitude
+    );
+    filtered = AirspaceClassifier.filterByClass(filtered, classes);
+    filtered = AirspaceClassifier.filterByType(filtered, types);
+
+    if (status !== "all") {
+      const wantActive = status === "active";
+      filtered = filtered.filter(
+        (airspace) => this.isAirspaceActive(airspace) === wantActive
+      );
+    }
+
+    return filtered;
+  }
+
+  // Show airspaces that pass the filters. Entities are created the first
+  // time an airspace becomes visible and afterwards only shown or hidden;
+  // primitives are built for all airspaces at once.
+  renderAirspaces() {
+    const filteredAirspaces = this.getFilteredAirspaces();
+    const visibleIds = new Set(filteredAirspaces.map((airspace) => airspace.id));
+
+    if (this.renderMode === "primitive") {
+      this.renderPrimitives(visibleIds);
+    } else {
+      this.renderEntities(visibleIds);
+    }
+
+    this.updateLabelItems();
 
     console.log(
       `Rendered ${filteredAirspaces.length} airspaces (filtered from ${this.airspaces.length})`
     );
+
+    // Cached airspaces are drawn terrain-following above; sample the rest
+    this.updateTerrainHeights(filteredAirspaces).catch((error) => {
+      console.warn("Terrain sampling failed:", error);
+    });
+  }
+
+  renderEntities(visibleIds) {
+    this.airspaces.forEach((airspace) => {
+      const show = visibleIds.has(airspace.id);
+      let entity = this.entities.get(airspace.id);
+
+      if (!entity && show) {
+        entity = this.createAirspaceEntity(airspace);
+        this.getPolygonEntities(entity).forEach((polygonEntity) =>
+          this.viewer.entities.add(polygonEntity)
+        );
+        this.entities.set(airspace.id, entity);
+      }
+
+      if (entity) {
+        this.setEntityVisible(entity, show);
+      }
+    });
+  }
+
+  // Filter changes only flip per-instance show attributes
+  renderPrimitives(visibleIds) {
+    if (this.primitiveRenderer.size !== this.airspaces.length) {
+      this.buildPrimitives(visibleIds);
+      return;
+    }
+
+    this.airspaces.forEach((airspace) =>
+      this.primitiveRenderer.setVisible(airspace.id, visibleIds.has(airspace.id))
+    );
+  }
+
+  // Recreate every entity (or the primitive batch), for changes that
+  // affect styling or geometry
+  rebuildAirspaces() {
+    this.clearAirspaces();
+    this.renderAirspaces();
+  }
+
+  /**
+   * Batch every airspace into the primitive renderer, keeping visibility
+   * @param {Set} visibleIds - Ids to show; defaults to the current state
+   */
+  buildPrimitives(visibleIds = null) {
+    const renderer = this.primitiveRenderer;
+    const show = (airspace) =>
+      visibleIds ? visibleIds.has(airspace.id) : renderer.isVisible(airspace.id);
+
+    const items = this.airspaces.map((airspace) => ({
+      ...this.getAirspaceGeometry(airspace),
+      show: show(airspace),
+    }));
+    renderer.build(items);
+  }
+
+  /**
+   * Switch between per-airspace entities and batched primitives
+   * @param {string} mode - "entity" | "primitive"
+   */
+  setRenderMode(mode) {
+    if (mode === this.renderMode) {
+      return;
+    }
+
+    this.clearAirspaces();
+    this.renderMode = mode;
+    this.renderAirspaces();
+    this.primitiveRenderer.setShowPolygons(this.showPolygons);
+  }
+
+  hasRenderedAirspaces() {
+    return this.entities.size > 0 || this.primitiveRenderer.size > 0;
+  }
+
+  setEntityVisible(entity, show) {
+    this.getPolygonEntities(entity).forEach((polygonEntity) => {
+      polygonEntity.show = show;
+    });
+  }
+
+  isAirspaceVisible(airspaceId) {
+    if (this.renderMode === "primitive") {
+      return this.primitiveRenderer.isVisible(airspaceId);
+    }
+
+    const entity = this.entities.get(airspaceId);
+    return Boolean(entity && entity.show);
   }
 
   clearAirspaces() {
     this.entities.forEach((entity) => {
-      this.viewer.entities.remove(entity);
+      this.getPolygonEntities(entity).forEach((polygonEntity) =>
+        this.viewer.entities.remove(polygonEntity)
+      );
     });
     this.entities.clear();
+    this.primitiveRenderer.clear();
+    this.labelDeclutterer.setItems([]);
+  }
+
+  // Change QNH / transition altitude and re-place flight-level limits
+  setPressureSettings(settings) {
+    AirspaceDataProcessor.setPressureSettings(settings);
+    AirspaceDataProcessor.applyPressureSettings(this.airspaces);
+    // Hidden layers too, so they come back with current flight levels
+    this.layerManager
+      .getLayers()
+      .forEach((layer) => AirspaceDataProcessor.applyPressureSettings(layer.airspaces));
+    this.spatialIndex.load(this.airspaces);
+
+    if (this.hasRenderedAirspaces()) {
+      this.rebuildAirspaces();
+    }
   }
 
-  setAltitudeFilter(maxAltitude) {
-    this.maxAltitudeFilter = maxAltitude;
+  setAltitudeFilter(maxAltitude, minAltitude = this.filters.minAltitude) {
+    this.setFilters({ minAltitude, maxAltitude });
+  }
+
+  /**
+   * Update display filters; omitted keys keep their current value
+   * @param {Object} filters - { minAltitude, maxAltitude, classes, types, status }
+   */
+  setFilters(filters) {
+    this.filters = { ...this.filters, ...filters };
     this.renderAirspaces();
   }
 
+  getFilters() {
+    return { ...this.filters };
+  }
+
   setShowLabels(show) {
     this.showLabels = show;
 
     // Re-render all airspaces to ensure labels are created/removed properly
-    this.renderAirspaces();
+    this.rebuildAirspaces();
   }
 
   setShowPolygons(show) {
     this.showPolygons = show;
+    this.primitiveRenderer.setShowPolygons(show);
 
     // Update visibility of all existing polygon entities
     this.entities.forEach(entity => {
-      if (entity.polygon) {
-        entity.polygon.show = show;
-      }
+      this.getPolygonEntities(entity).forEach(polygonEntity => {
+        ["polygon", "wall", "polyline"].forEach(graphics => {
+          if (polygonEntity[graphics]) {
+            polygonEntity[graphics].show = show;
+          }
+        });
+      });
     });
 
     console.log(`[AirspaceVisualizer] Airspace polygons: ${show ? 'visible' : 'hidden'}`);
@@ -206,18 +977,36 @@ export class AirspaceVisualizer {
       this.unhighlightAirspace(this.highlightedAirspace);
     }
 
+    const airspace = this.airspaces.find(
+      (candidate) => candidate.id === airspaceId
+    );
     const entity = this.entities.get(airspaceId);
-    if (!entity) return;
+    if (!airspace || (!entity && !this.primitiveRenderer.has(airspaceId))) {
+      return;
+    }
 
-    const airspace = entity.airspaceData;
     const style = AirspaceClassifier.getVisualizationStyle(airspace, {
       highlighted: highlight,
       showLabels: this.showLabels,
+      active: this.isAirspaceActive(airspace),
     });
 
-    entity.polygon.fillColor = style.fillColor;
-    entity.polygon.outlineColor = style.outlineColor;
-    entity.polygon.outlineWidth = style.outlineWidth;
+    this.applyDiffStyle(style, airspaceId);
+
+    if (entity) {
+      this.getPolygonEntities(entity).forEach((polygonEntity) => {
+        if (polygonEntity.polygon) {
+          polygonEntity.polygon.material = style.fillColor;
+          polygonEntity.polygon.outlineColor = style.outlineColor;
+          polygonEntity.polygon.outlineWidth = style.outlineWidth;
+        } else if (polygonEntity.polyline) {
+          polygonEntity.polyline.material =
+            AirspacePatterns.createDashMaterial(style);
+        }
+      });
+    } else {
+      this.primitiveRenderer.setStyle(airspaceId, style);
+    }
 
     if (highlight) {
       this.highlightedAirspace = airspaceId;
@@ -239,19 +1028,104 @@ export class AirspaceVisualizer {
       return pickedObject.id.airspaceData;
     }
 
-    return null;
+    // Nothing picked (e.g. polygons hidden or only a label hit): look up the
+    // ground point under the cursor in the spatial index
+    const cartesian = this.viewer.camera.pickEllipsoid(
+      position,
+      this.viewer.scene.globe.ellipsoid
+    );
+    if (!cartesian) {
+      return null;
+    }
+
+    const cartographic = Cartographic.fromCartesian(cartesian);
+    const [airspace] = this.queryAirspacesAt(
+      CesiumMath.toDegrees(cartographic.longitude),
+      CesiumMath.toDegrees(cartographic.latitude)
+    ).filter((candidate) => this.isAirspaceVisible(candidate.id));
+
+    return airspace || null;
+  }
+
+  /**
+   * Airspaces containing a point, smallest first
+   * @param {number} longitude - Degrees
+   * @param {number} latitude - Degrees
+   * @param {number|null} altitude - Meters MSL, or null for any altitude
+   * @returns {Array} Airspaces
+   */
+  queryAirspacesAt(longitude, latitude, altitude = null) {
+    return this.spatialIndex.queryPoint(longitude, latitude, altitude);
+  }
+
+  /**
+   * Full vertical stack of airspaces over a point, lowest floor first
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @param {number|null} altitude - Meters MSL; entries are marked above,
+   *   below or containing it
+   * @param {number} terrainHeight - Ground height (m) used for AGL limits
+   * @returns {Array} Stack entries
+   */
+  getAirspaceStack(latitude, longitude, altitude = null, terrainHeight = 0) {
+    return this.queryAirspacesAt(longitude, latitude)
+      .map((airspace) => {
+        const heights = AirspaceDataProcessor.getAirspaceHeight(
+          airspace,
+          terrainHeight
+        );
+        const status = this.getAirspaceStatus(airspace);
+
+        let position = null;
+        if (altitude !== null) {
+          if (altitude < heights.bottom) position = "above";
+          else if (altitude > heights.top) position = "below";
+          else position = "inside";
+        }
+
+        return {
+          airspace,
+          id: airspace.id,
+          name: airspace.name,
+          icaoClass: airspace.icaoClass,
+          className: AirspaceClassifier.getClassificationInfo(airspace.icaoClass)
+            .name,
+          type: AirspaceClassifier.getTypeInfo(airspace.type).name,
+          lower: {
+            altitude: heights.bottom,
+            label: AirspaceDataProcessor.formatLowerLimit(airspace),
+          },
+          upper: {
+            altitude: heights.top,
+            label: AirspaceDataProcessor.formatUpperLimit(airspace),
+          },
+          frequencies: airspace.frequencies || [],
+          active: status.active,
+          statusReason: status.reason,
+          position,
+        };
+      })
+      .sort((a, b) => a.lower.altitude - b.lower.altitude || a.upper.altitude - b.upper.altitude);
   }
 
   focusOnAirspace(airspaceId) {
     const entity = this.entities.get(airspaceId);
-    if (!entity) return;
+    if (entity) {
+      this.viewer.zoomTo(this.getPolygonEntities(entity));
+    } else {
+      const boundingSphere = this.primitiveRenderer.getBoundingSphere(airspaceId);
+      if (!boundingSphere) return;
+      this.viewer.camera.flyToBoundingSphere(boundingSphere);
+    }
 
-    this.viewer.zoomTo(entity);
     this.highlightAirspace(airspaceId);
   }
 
   getVisibleAirspaces() {
-    const camera = this.viewer.camera;
+    if (this.renderMode === "primitive") {
+      return this.primitiveRenderer.getVisibleAirspaces();
+    }
+
     const visibleAirspaces = [];
 
     this.entities.forEach((entity, airspaceId) => {
@@ -266,7 +1140,9 @@ export class AirspaceVisualizer {
   getStatistics() {
     const stats = {
       total: this.airspaces.length,
-      visible: this.entities.size,
+      visible: this.airspaces.filter((airspace) =>
+        this.isAirspaceVisible(airspace.id)
+      ).length,
       byClass: {},
     };
 
@@ -309,8 +1185,13 @@ export class AirspaceVisualizer {
   }
 
   destroy() {
+    this.clearDiff(false);
     this.clearAirspaces();
+    this.primitiveRenderer.destroy();
+    this.labelDeclutterer.destroy();
+    this.terrainSampler.clear();
     this.airspaces = [];
+    this.layerManager.clear();
     this.eventHandlers = {};
   }
 }
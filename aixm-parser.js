@@ -0,0 +1,421 @@
+// aixm-parser.js
+// AIXM 5.1 airspace parser producing openAIP-style GeoJSON features
+
+import { OpenAirParser } from "./openair-parser.js";
+
+/**
+ * AIXM CodeAirspaceType to openAIP type codes
+ */
+const AIXM_TYPES = {
+  R: 1,
+  D: 2,
+  D_OTHER: 2,
+  P: 3,
+  CTR: 4,
+  CTR_P: 4,
+  TMZ: 5,
+  RMZ: 6,
+  TMA: 7,
+  TMA_P: 7,
+  TRA: 8,
+  TSA: 9,
+  FIR: 10,
+  FIR_P: 10,
+  UIR: 11,
+  UIR_P: 11,
+  ADIZ: 12,
+  ATZ: 13,
+  ATZ_P: 13,
+  AWY: 15,
+  MTR: 16,
+  W: 18,
+  HTZ: 20,
+  CTA: 26,
+  CTA_P: 26,
+  SECTOR: 27,
+  SECTOR_C: 27,
+};
+
+/**
+ * AIXM CodeVerticalReference to openAIP referenceDatum (0 = GND, 1 = MSL, 2 = STD)
+ */
+const AIXM_REFERENCES = {
+  SFC: 0,
+  MSL: 1,
+  W84: 1,
+  STD: 2,
+};
+
+/**
+ * Radius units of measure to meters
+ */
+const AIXM_DISTANCE_UNITS = {
+  NM: 1852,
+  "[NMI_I]": 1852,
+  KM: 1000,
+  M: 1,
+  FT: 0.3048,
+  MI: 1609.344,
+};
+
+const ICAO_CLASS_LETTERS = ["A", "B", "C", "D", "E", "F", "G"];
+
+/**
+ * Parser for AIXM 5.1 XML (Airspace / AirspaceTimeSlice / AirspaceVolume)
+ */
+export class AixmParser {
+  /**
+   * Parse AIXM 5.1 XML into a GeoJSON FeatureCollection
+   * @param {string|Document} xml - AIXM XML text or parsed document
+   * @returns {Object} GeoJSON FeatureCollection with openAIP-style properties
+   */
+  static parse(xml) {
+    const doc = typeof xml === "string" ? this.parseXml(xml) : xml;
+    if (!doc || !doc.documentElement) {
+      throw new Error("Invalid AIXM data");
+    }
+
+    const features = [];
+    const airspaces = this.findAll(doc.documentElement, "Airspace");
+
+    airspaces.forEach((airspaceElement, index) => {
+      try {
+        const feature = this.parseAirspace(airspaceElement, index + 1);
+        if (feature) {
+          features.push(feature);
+        }
+      } catch (error) {
+        console.warn(`Skipping AIXM airspace ${index + 1}: ${error.message}`);
+      }
+    });
+
+    return { type: "FeatureCollection", features };
+  }
+
+  static parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, "application/xml");
+    const parserError = doc.getElementsByTagName("parsererror")[0];
+    if (parserError) {
+      throw new Error(`Invalid AIXM XML: ${parserError.textContent.trim()}`);
+    }
+    return doc;
+  }
+
+  /**
+   * Convert one aixm:Airspace into a GeoJSON feature
+   * @param {Element} airspaceElement - aixm:Airspace element
+   * @param {number} index - Position in the file, used for fallback ids
+   * @returns {Object|null} GeoJSON feature or null when it has no geometry
+   */
+  static parseAirspace(airspaceElement, index) {
+    const timeSlice = this.selectTimeSlice(airspaceElement);
+    if (!timeSlice) {
+      return null;
+    }
+
+    const designator = this.childText(timeSlice, "designator");
+    const name = this.childText(timeSlice, "name") || designator || `AIXM Airspace ${index}`;
+    const aixmType = (this.childText(timeSlice, "type") || "").toUpperCase();
+    const type = AIXM_TYPES[aixmType] ?? 0;
+
+    const polygons = [];
+    const subtractions = [];
+    let limits = null;
+
+    this.findAll(timeSlice, "AirspaceGeometryComponent").forEach((component) => {
+      const operation = (this.childText(component, "operation") || "BASE").toUpperCase();
+      const volume = this.findFirst(component, "AirspaceVolume");
+      if (!volume) return;
+
+      const volumePolygons = this.findAll(volume, "PolygonPatch")
+        .map((patch) => this.parsePolygonPatch(patch))
+        .filter((rings) => rings.length > 0);
+
+      if (operation === "SUBTR") {
+        volumePolygons.forEach((rings) => subtractions.push(rings[0]));
+        return;
+      }
+
+      polygons.push(...volumePolygons);
+      if (!limits) {
+        limits = this.parseVerticalLimits(volume);
+      }
+    });
+
+    if (polygons.length === 0) {
+      console.warn(`Skipping AIXM airspace ${name}: no horizontal projection`);
+      return null;
+    }
+
+    // Subtracted volumes are carried as holes of the first part
+    polygons[0].push(...subtractions);
+
+    const identifier = this.childText(airspaceElement, "identifier");
+
+    return {
+      type: "Feature",
+      id: identifier || designator || `aixm_${index}`,
+      properties: {
+        name: name,
+        designator: designator,
+        type: type,
+        aixmType: aixmType,
+        icaoClass: this.parseIcaoClass(timeSlice, type),
+        lowerLimit: limits.lowerLimit,
+        upperLimit: limits.upperLimit,
+        frequencies: [],
+        source: "aixm",
+      },
+      geometry:
+        polygons.length === 1
+          ? { type: "Polygon", coordinates: polygons[0] }
+          : { type: "MultiPolygon", coordinates: polygons },
+    };
+  }
+
+  /**
+   * Prefer the last BASELINE time slice, falling back to the last one present
+   */
+  static selectTimeSlice(airspaceElement) {
+    const slices = this.findAll(airspaceElement, "AirspaceTimeSlice");
+    const baselines = slices.filter(
+      (slice) => (this.childText(slice, "interpretation") || "").toUpperCase() === "BASELINE"
+    );
+    const candidates = baselines.length > 0 ? baselines : slices;
+    return candidates[candidates.length - 1] || null;
+  }
+
+  static parseIcaoClass(timeSlice, type) {
+    const layerClass = this.findFirst(timeSlice, "classification");
+    const letter = layerClass ? layerClass.textContent.trim().toUpperCase() : "";
+    const classIndex = ICAO_CLASS_LETTERS.indexOf(letter);
+
+    if (classIndex >= 0) {
+      return classIndex;
+    }
+
+    // Restricted, danger and prohibited areas carry no ICAO class
+    return [1, 2, 3].includes(type) ? 8 : 7;
+  }
+
+  /**
+   * Read upper/lower limits with their UOM and reference into openAIP-style
+   * limit objects (unit 0 = m, 1 = ft, 6 = FL)
+   */
+  static parseVerticalLimits(volume) {
+    return {
+      upperLimit: this.parseLimit(
+        this.findChild(volume, "upperLimit"),
+        this.childText(volume, "upperLimitReference")
+      ),
+      lowerLimit: this.parseLimit(
+        this.findChild(volume, "lowerLimit"),
+        this.childText(volume, "lowerLimitReference")
+      ),
+    };
+  }
+
+  static parseLimit(limitElement, referenceText) {
+    if (!limitElement) {
+      return { value: 0, unit: 1, referenceDatum: 0 };
+    }
+
+    const text = limitElement.textContent.trim().toUpperCase();
+    const uom = (limitElement.getAttribute("uom") || "FT").toUpperCase();
+    const reference = (referenceText || "").toUpperCase();
+
+    if (text === "GND" || text === "FLOOR") {
+      return { value: 0, unit: 1, referenceDatum: 0 };
+    }
+    if (text === "UNL" || text === "CEILING") {
+      return { value: 999, unit: 6, referenceDatum: 2 };
+    }
+
+    const value = parseFloat(text);
+    if (isNaN(value)) {
+      throw new Error(`invalid vertical limit "${text}"`);
+    }
+
+    if (uom === "FL" || uom === "SM") {
+      // SM = standard metres (metric flight level), expressed in hundreds of feet
+      const flightLevel = uom === "SM" ? (value / 0.3048) / 100 : value;
+      return { value: flightLevel, unit: 6, referenceDatum: 2 };
+    }
+
+    return {
+      value: value,
+      unit: uom === "M" ? 0 : 1,
+      referenceDatum: AIXM_REFERENCES[reference] ?? 1,
+    };
+  }
+
+  /**
+   * Convert a gml:PolygonPatch into [outerRing, ...holes] of [lon, lat] points
+   */
+  static parsePolygonPatch(patch) {
+    const rings = [];
+
+    const exterior = this.findChild(patch, "exterior");
+    if (exterior) {
+      const ring = this.parseRing(exterior);
+      if (ring.length >= 3) rings.push(ring);
+    }
+
+    if (rings.length === 0) {
+      return rings;
+    }
+
+    this.findChildren(patch, "interior").forEach((interior) => {
+      const ring = this.parseRing(interior);
+      if (ring.length >= 3) rings.push(ring);
+    });
+
+    return rings;
+  }
+
+  /**
+   * Walk a ring's geometry in document order, expanding arcs and circles
+   */
+  static parseRing(ringContainer) {
+    const points = [];
+    const push = (point) => {
+      const last = points[points.length - 1];
+      if (!last || last[0] !== point[0] || last[1] !== point[1]) {
+        points.push(point);
+      }
+    };
+
+    const walk = (element) => {
+      for (const child of this.elementChildren(element)) {
+        switch (child.localName) {
+          case "posList":
+            this.parsePosList(child).forEach(push);
+            break;
+          case "pos":
+            this.parsePosList(child).forEach(push);
+            break;
+          case "ArcByCenterPoint":
+            this.parseArc(child).forEach(push);
+            break;
+          case "CircleByCenterPoint":
+            this.parseCircle(child).forEach(push);
+            break;
+          default:
+            walk(child);
+        }
+      }
+    };
+
+    walk(ringContainer);
+
+    if (points.length > 0) {
+      const first = points[0];
+      const last = points[points.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        points.push([first[0], first[1]]);
+      }
+    }
+
+    return points;
+  }
+
+  /**
+   * Parse gml:pos / gml:posList into [lon, lat] pairs. EPSG:4326 (the AIXM
+   * default) is latitude first; CRS84 is longitude first.
+   */
+  static parsePosList(element) {
+    const values = element.textContent.trim().split(/\s+/).map(Number);
+    const dimension = parseInt(element.getAttribute("srsDimension"), 10) || 2;
+    const lonFirst = /CRS84/i.test(this.findSrsName(element));
+
+    const points = [];
+    for (let i = 0; i + 1 < values.length; i += dimension) {
+      const [a, b] = [values[i], values[i + 1]];
+      if (isNaN(a) || isNaN(b)) continue;
+      points.push(lonFirst ? [a, b] : [b, a]);
+    }
+    return points;
+  }
+
+  static findSrsName(element) {
+    for (let node = element; node && node.getAttribute; node = node.parentNode) {
+      const srsName = node.getAttribute("srsName");
+      if (srsName) return srsName;
+    }
+    return "";
+  }
+
+  /**
+   * gml:ArcByCenterPoint. AIXM codes the angles as bearings, clockwise from
+   * true north (not GML's counter-clockwise from east); the arc runs
+   * clockwise when endAngle > startAngle and counter-clockwise otherwise.
+   */
+  static parseArc(arcElement) {
+    const center = this.parseCenter(arcElement);
+    const radius = this.parseRadius(this.findChild(arcElement, "radius"));
+    const startAngle = parseFloat(this.childText(arcElement, "startAngle"));
+    const endAngle = parseFloat(this.childText(arcElement, "endAngle"));
+
+    if (!center || isNaN(radius) || isNaN(startAngle) || isNaN(endAngle)) {
+      throw new Error("invalid ArcByCenterPoint");
+    }
+
+    const sweep = endAngle - startAngle;
+    const steps = Math.max(1, Math.ceil(Math.abs(sweep) / OpenAirParser.ARC_STEP_DEGREES));
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const angle = startAngle + (sweep * i) / steps;
+      points.push(OpenAirParser.destination(center, radius, angle));
+    }
+    return points;
+  }
+
+  static parseCircle(circleElement) {
+    const center = this.parseCenter(circleElement);
+    const radius = this.parseRadius(this.findChild(circleElement, "radius"));
+
+    if (!center || isNaN(radius)) {
+      throw new Error("invalid CircleByCenterPoint");
+    }
+
+    return OpenAirParser.circle({ center }, radius / 1852);
+  }
+
+  static parseCenter(element) {
+    const pos = this.findFirst(element, "pos") || this.findFirst(element, "posList");
+    return pos ? this.parsePosList(pos)[0] : null;
+  }
+
+  static parseRadius(radiusElement) {
+    if (!radiusElement) return NaN;
+    const uom = (radiusElement.getAttribute("uom") || "NM").toUpperCase();
+    return parseFloat(radiusElement.textContent) * (AIXM_DISTANCE_UNITS[uom] || 1852);
+  }
+
+  // Namespace-agnostic DOM helpers (AIXM files use varying prefixes)
+
+  static findAll(element, localName) {
+    return Array.from(element.getElementsByTagNameNS("*", localName));
+  }
+
+  static findFirst(element, localName) {
+    return element.getElementsByTagNameNS("*", localName)[0] || null;
+  }
+
+  static findChildren(element, localName) {
+    return this.elementChildren(element).filter((child) => child.localName === localName);
+  }
+
+  static elementChildren(element) {
+    return Array.from(element.childNodes || []).filter((node) => node.nodeType === 1);
+  }
+
+  static findChild(element, localName) {
+    return this.findChildren(element, localName)[0] || null;
+  }
+
+  static childText(element, localName) {
+    const child = this.findChild(element, localName);
+    return child ? child.textContent.trim() : null;
+  }
+}
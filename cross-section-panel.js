@@ -0,0 +1,544 @@
+// cross-section-panel.js
+// Vertical cross-section (distance vs altitude) along a drawn line or route
+
+import {
+  ScreenSpaceEventHandler,
+  ScreenSpaceEventType,
+  CallbackProperty,
+  Cartesian3,
+  Cartographic,
+  Color,
+  Math as CesiumMath,
+  sampleTerrainMostDetailed,
+} from "cesium";
+import { AirspaceClassifier } from "./airspace-classifier.js";
+import { AirspaceDataProcessor } from "./data-processor.js";
+
+export class CrossSectionPanel {
+  static SAMPLE_COUNT = 300; // Profile samples along the path
+  static AIRCRAFT_CORRIDOR = 5000; // Max aircraft distance from the line (m)
+  static MAX_PLOT_ALTITUDE = 15000; // Upper end of the altitude axis (m)
+  static EARTH_RADIUS = 6371008.8;
+  static FEET_PER_METER = 3.28084;
+
+  constructor(viewer, airspaceVisualizer, aircraftTracker = null) {
+    this.viewer = viewer;
+    this.airspaceVisualizer = airspaceVisualizer;
+    this.aircraftTracker = aircraftTracker;
+
+    // Drawing state
+    this.isDrawing = false;
+    this.path = []; // [[lon, lat], ...]
+    this.previewPoint = null;
+    this.drawHandler = null;
+    this.pathEntity = null;
+
+    // Computed profile
+    this.profile = null; // { samples, terrain, bands, aircraft, totalDistance }
+
+    this.panel = null;
+    this.canvas = null;
+    this.statusElement = null;
+
+    this.createPanel();
+  }
+
+  createPanel() {
+    this.panel = document.createElement("div");
+    this.panel.className = "cross-section-panel";
+    this.panel.style.display = "none";
+    this.panel.innerHTML = `
+            <div class="cross-section-header">
+                <strong>Vertical Cross-Section</strong>
+                <span class="cross-section-status"></span>
+                <button class="cross-section-close" title="Close">×</button>
+            </div>
+            <canvas width="720" height="280"></canvas>
+        `;
+    document.body.appendChild(this.panel);
+
+    this.canvas = this.panel.querySelector("canvas");
+    this.statusElement = this.panel.querySelector(".cross-section-status");
+    this.panel
+      .querySelector(".cross-section-close")
+      .addEventListener("click", () => this.clear());
+  }
+
+  setStatus(text) {
+    if (this.statusElement) {
+      this.statusElement.textContent = text;
+    }
+  }
+
+  // Start collecting points: left click adds a point, right click finishes
+  startDrawing() {
+    this.clear();
+    this.isDrawing = true;
+    this.panel.style.display = "";
+    this.setStatus("Click to add points, right-click to finish");
+    this.createPathEntity();
+
+    this.drawHandler = new ScreenSpaceEventHandler(this.viewer.scene.canvas);
+    this.drawHandler.setInputAction((click) => {
+      const point = this.pickLonLat(click.position);
+      if (point) {
+        this.path.push(point);
+        this.setStatus(`${this.path.length} point(s), right-click to finish`);
+      }
+    }, ScreenSpaceEventType.LEFT_CLICK);
+
+    this.drawHandler.setInputAction((movement) => {
+      this.previewPoint =
+        this.path.length > 0 ? this.pickLonLat(movement.endPosition) : null;
+    }, ScreenSpaceEventType.MOUSE_MOVE);
+
+    this.drawHandler.setInputAction(() => {
+      this.finishDrawing();
+    }, ScreenSpaceEventType.RIGHT_CLICK);
+  }
+
+  // Path polyline on the globe, following the points while drawing
+  createPathEntity() {
+    this.pathEntity = this.viewer.entities.add({
+      name: "Cross-section path",
+      polyline: {
+        positions: new CallbackProperty(() => {
+          const points = this.previewPoint
+            ? [...this.path, this.previewPoint]
+            : this.path;
+          return points.length > 1
+            ? Cartesian3.fromDegreesArray(points.flat())
+            : [];
+        }, false),
+        width: 3,
+        material: Color.CYAN,
+        clampToGround: true,
+      },
+    });
+  }
+
+  finishDrawing() {
+    this.isDrawing = false;
+    this.previewPoint = null;
+    if (this.drawHandler) {
+      this.drawHandler.destroy();
+      this.drawHandler = null;
+    }
+
+    if (this.path.length < 2) {
+      this.setStatus("Need at least two points");
+      return;
+    }
+
+    this.setPath(this.path);
+  }
+
+  pickLonLat(screenPosition) {
+    const cartesian = this.viewer.camera.pickEllipsoid(
+      screenPosition,
+      this.viewer.scene.globe.ellipsoid
+    );
+    if (!cartesian) {
+      return null;
+    }
+
+    const cartographic = Cartographic.fromCartesian(cartesian);
+    return [
+      CesiumMath.toDegrees(cartographic.longitude),
+      CesiumMath.toDegrees(cartographic.latitude),
+    ];
+  }
+
+  /**
+   * Build and plot the cross-section along a path (drawn or from a route)
+   * @param {Array} path - [[lon, lat], ...] with at least two points
+   * @returns {Promise<Object>} Computed profile
+   */
+  async setPath(path) {
+    this.path = path.map(([lon, lat]) => [lon, lat]);
+    this.panel.style.display = "";
+    if (!this.pathEntity) {
+      this.createPathEntity();
+    }
+    this.setStatus("Sampling terrain…");
+
+    const samples = this.samplePath(this.path);
+    const terrain = await this.sampleTerrain(samples);
+    const totalDistance = samples[samples.length - 1].distance;
+
+    this.profile = {
+      samples,
+      terrain,
+      totalDistance,
+      bands: this.computeBands(samples, terrain),
+      aircraft: this.findAircraftNearPath(),
+    };
+
+    this.setStatus(
+      `${(totalDistance / 1000).toFixed(1)} km / ${(totalDistance / 1852).toFixed(1)} NM, ` +
+        `${this.profile.bands.length} airspaces`
+    );
+    this.render();
+    return this.profile;
+  }
+
+  // Evenly spaced samples along the path with cumulative distance (m)
+  samplePath(path) {
+    const segmentLengths = [];
+    for (let i = 0; i < path.length - 1; i++) {
+      segmentLengths.push(this.getDistance(path[i], path[i + 1]));
+    }
+    const totalDistance = segmentLengths.reduce((sum, length) => sum + length, 0);
+    const count = CrossSectionPanel.SAMPLE_COUNT;
+    const samples = [];
+
+    let segment = 0;
+    let segmentStart = 0;
+    for (let i = 0; i < count; i++) {
+      const distance = (totalDistance * i) / (count - 1);
+      while (
+        segment < segmentLengths.length - 1 &&
+        distance > segmentStart + segmentLengths[segment]
+      ) {
+        segmentStart += segmentLengths[segment];
+        segment++;
+      }
+
+      const t =
+        segmentLengths[segment] > 0
+          ? Math.min(1, (distance - segmentStart) / segmentLengths[segment])
+          : 0;
+      const [lon1, lat1] = path[segment];
+      const [lon2, lat2] = path[segment + 1];
+      samples.push({
+        lon: lon1 + (lon2 - lon1) * t,
+        lat: lat1 + (lat2 - lat1) * t,
+        distance,
+      });
+    }
+
+    return samples;
+  }
+
+  async sampleTerrain(samples) {
+    const cartographics = samples.map((sample) =>
+      Cartographic.fromDegrees(sample.lon, sample.lat)
+    );
+
+    try {
+      const results = await sampleTerrainMostDetailed(
+        this.viewer.terrainProvider,
+        cartographics
+      );
+      return results.map((result) => result.height || 0);
+    } catch (error) {
+      console.warn("Cross-section terrain sampling failed:", error);
+      return samples.map(() => 0);
+    }
+  }
+
+  /**
+   * Airspaces crossed by the path as runs of consecutive samples, with
+   * floor/ceiling per sample so AGL limits follow the terrain profile
+   */
+  computeBands(samples, terrain) {
+    const runs = new Map(); // airspace id -> { airspace, segments }
+
+    samples.forEach((sample, index) => {
+      this.airspaceVisualizer
+        .queryAirspacesAt(sample.lon, sample.lat)
+        .forEach((airspace) => {
+          if (!runs.has(airspace.id)) {
+            runs.set(airspace.id, { airspace, segments: [] });
+          }
+
+          const heights = AirspaceDataProcessor.getAirspaceHeight(
+            airspace,
+            terrain[index]
+          );
+          const band = runs.get(airspace.id);
+          const current = band.segments[band.segments.length - 1];
+
+          if (current && current.endIndex === index - 1) {
+            current.endIndex = index;
+            current.bottoms.push(heights.bottom);
+            current.tops.push(heights.top);
+          } else {
+            band.segments.push({
+              startIndex: index,
+              endIndex: index,
+              bottoms: [heights.bottom],
+              tops: [heights.top],
+            });
+          }
+        });
+    });
+
+    // Widest airspaces first so smaller ones are drawn on top
+    return [...runs.values()].sort(
+      (a, b) => this.getBandWidth(b) - this.getBandWidth(a)
+    );
+  }
+
+  getBandWidth(band) {
+    return band.segments.reduce(
+      (sum, segment) => sum + segment.endIndex - segment.startIndex + 1,
+      0
+    );
+  }
+
+  // Tracked aircraft within the corridor, projected onto the path
+  findAircraftNearPath() {
+    if (!this.aircraftTracker || this.path.length < 2) {
+      return [];
+    }
+
+    const nearby = [];
+    this.aircraftTracker.getAllAircraft().forEach((aircraft) => {
+      const altitude = aircraft.getAltitude();
+      if (
+        !aircraft.hasValidPosition() ||
+        altitude === null ||
+        altitude === undefined
+      ) {
+        return;
+      }
+
+      const projection = this.projectOntoPath([
+        aircraft.longitude,
+        aircraft.latitude,
+      ]);
+      if (projection.offset <= CrossSectionPanel.AIRCRAFT_CORRIDOR) {
+        nearby.push({
+          aircraft,
+          distance: projection.distance,
+          offset: projection.offset,
+          altitude,
+        });
+      }
+    });
+
+    return nearby;
+  }
+
+  refreshAircraft() {
+    if (!this.profile) return;
+
+    this.profile.aircraft = this.findAircraftNearPath();
+    this.render();
+  }
+
+  /**
+   * Closest point on the path in a local flat projection
+   * @returns {Object} { distance along the path, offset from it } in meters
+   */
+  projectOntoPath(point) {
+    let best = { distance: 0, offset: Infinity };
+    let segmentStart = 0;
+
+    for (let i = 0; i < this.path.length - 1; i++) {
+      const origin = this.path[i];
+      const b = this.toLocal(this.path[i + 1], origin);
+      const p = this.toLocal(point, origin);
+      const lengthSquared = b[0] * b[0] + b[1] * b[1];
+      const t =
+        lengthSquared > 0
+          ? Math.max(
+              0,
+              Math.min(1, (p[0] * b[0] + p[1] * b[1]) / lengthSquared)
+            )
+          : 0;
+      const offset = Math.hypot(p[0] - t * b[0], p[1] - t * b[1]);
+      const segmentLength = Math.sqrt(lengthSquared);
+
+      if (offset < best.offset) {
+        best = { distance: segmentStart + t * segmentLength, offset };
+      }
+      segmentStart += segmentLength;
+    }
+
+    return best;
+  }
+
+  // Equirectangular meters relative to an origin
+  toLocal([lon, lat], [originLon, originLat]) {
+    const toRadians = Math.PI / 180;
+    const radius = CrossSectionPanel.EARTH_RADIUS;
+    return [
+      (lon - originLon) * toRadians * radius * Math.cos(originLat * toRadians),
+      (lat - originLat) * toRadians * radius,
+    ];
+  }
+
+  getDistance(from, to) {
+    const toRadians = Math.PI / 180;
+    const dLat = (to[1] - from[1]) * toRadians;
+    const dLon = (to[0] - from[0]) * toRadians;
+    const a =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(from[1] * toRadians) *
+        Math.cos(to[1] * toRadians) *
+        Math.sin(dLon / 2) ** 2;
+    return 2 * CrossSectionPanel.EARTH_RADIUS * Math.asin(Math.sqrt(a));
+  }
+
+  render() {
+    if (!this.profile || !this.canvas) return;
+
+    const { samples, terrain, bands, aircraft, totalDistance } = this.profile;
+    const context = this.canvas.getContext("2d");
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const margin = { left: 60, right: 12, top: 10, bottom: 28 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+
+    const highest = Math.max(
+      ...terrain,
+      ...bands.flatMap((band) => band.segments.flatMap((segment) => segment.tops)),
+      1000
+    );
+    const maxAltitude = Math.min(highest * 1.05, CrossSectionPanel.MAX_PLOT_ALTITUDE);
+
+    const x = (distance) =>
+      margin.left + (totalDistance > 0 ? (distance / totalDistance) * plotWidth : 0);
+    const y = (altitude) =>
+      margin.top + plotHeight - (Math.min(altitude, maxAltitude) / maxAltitude) * plotHeight;
+
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = "rgba(0, 0, 0, 0.6)";
+    context.fillRect(0, 0, width, height);
+
+    this.drawGrid(context, { x, y, margin, plotWidth, maxAltitude, totalDistance, height });
+
+    // Airspace bands
+    bands.forEach(({ airspace, segments }) => {
+      const color = AirspaceClassifier.getAirspaceColor(airspace, { opacity: 1 });
+      segments.forEach((segment) => {
+        const indices = [];
+        for (let i = segment.startIndex; i <= segment.endIndex; i++) indices.push(i);
+
+        context.beginPath();
+        indices.forEach((sampleIndex, i) => {
+          const px = x(samples[sampleIndex].distance);
+          const py = y(segment.tops[i]);
+          if (i === 0) context.moveTo(px, py);
+          else context.lineTo(px, py);
+        });
+        indices
+          .slice()
+          .reverse()
+          .forEach((sampleIndex, i) => {
+            const bottom = segment.bottoms[segment.bottoms.length - 1 - i];
+            context.lineTo(x(samples[sampleIndex].distance), y(bottom));
+          });
+        context.closePath();
+        context.fillStyle = color.withAlpha(0.3).toCssColorString();
+        context.fill();
+        context.strokeStyle = color.withAlpha(0.9).toCssColorString();
+        context.lineWidth = 1;
+        context.stroke();
+
+        // Label when the band is wide enough
+        const left = x(samples[segment.startIndex].distance);
+        const right = x(samples[segment.endIndex].distance);
+        if (right - left > 60) {
+          const middle = Math.floor(indices.length / 2);
+          context.fillStyle = "white";
+          context.font = "10px Arial";
+          context.textAlign = "center";
+          context.fillText(
+            airspace.name,
+            (left + right) / 2,
+            (y(segment.tops[middle]) + y(segment.bottoms[middle])) / 2 + 3,
+            right - left - 4
+          );
+        }
+      });
+    });
+
+    // Terrain profile
+    context.beginPath();
+    context.moveTo(x(0), y(0));
+    samples.forEach((sample, i) => context.lineTo(x(sample.distance), y(terrain[i])));
+    context.lineTo(x(totalDistance), y(0));
+    context.closePath();
+    context.fillStyle = "rgba(121, 85, 72, 0.9)";
+    context.fill();
+
+    // Aircraft near the line
+    aircraft.forEach(({ aircraft: ac, distance, altitude }) => {
+      const px = x(distance);
+      const py = y(altitude);
+      context.fillStyle = "#00E5FF";
+      context.beginPath();
+      context.moveTo(px, py - 5);
+      context.lineTo(px + 4, py + 3);
+      context.lineTo(px - 4, py + 3);
+      context.closePath();
+      context.fill();
+      context.font = "10px Arial";
+      context.textAlign = "left";
+      context.fillText(ac.callsign || ac.icao24, px + 6, py + 3);
+    });
+  }
+
+  drawGrid(context, { x, y, margin, plotWidth, maxAltitude, totalDistance, height }) {
+    const maxFeet = maxAltitude * CrossSectionPanel.FEET_PER_METER;
+    const feetStep = [1000, 2000, 5000, 10000].find((step) => maxFeet / step <= 8) || 20000;
+    const kmStep = [1, 2, 5, 10, 20, 50, 100, 200].find(
+      (step) => totalDistance / 1000 / step <= 10
+    ) || 500;
+
+    context.strokeStyle = "rgba(255, 255, 255, 0.15)";
+    context.fillStyle = "#ccc";
+    context.font = "10px Arial";
+    context.lineWidth = 1;
+
+    context.textAlign = "right";
+    for (let feet = 0; feet <= maxFeet; feet += feetStep) {
+      const py = y(feet / CrossSectionPanel.FEET_PER_METER);
+      context.beginPath();
+      context.moveTo(margin.left, py);
+      context.lineTo(margin.left + plotWidth, py);
+      context.stroke();
+      context.fillText(`${feet.toLocaleString()} ft`, margin.left - 4, py + 3);
+    }
+
+    context.textAlign = "center";
+    for (let km = 0; km <= totalDistance / 1000; km += kmStep) {
+      const px = x(km * 1000);
+      context.beginPath();
+      context.moveTo(px, margin.top);
+      context.lineTo(px, height - margin.bottom);
+      context.stroke();
+      context.fillText(`${km} km`, px, height - margin.bottom + 14);
+    }
+  }
+
+  clear() {
+    if (this.drawHandler) {
+      this.drawHandler.destroy();
+      this.drawHandler = null;
+    }
+    if (this.pathEntity) {
+      this.viewer.entities.remove(this.pathEntity);
+      this.pathEntity = null;
+    }
+
+    this.isDrawing = false;
+    this.path = [];
+    this.previewPoint = null;
+    this.profile = null;
+    if (this.panel) {
+      this.panel.style.display = "none";
+    }
+  }
+
+  destroy() {
+    this.clear();
+    if (this.panel && this.panel.parentNode) {
+      this.panel.parentNode.removeChild(this.panel);
+    }
+  }
+}
@@ -1,20 +1,70 @@
+import { OpenAirParser } from './openair-parser.js';
+import { AixmParser } from './aixm-parser.js';
+
 export class AirspaceDataProcessor {
     static FEET_TO_METERS = 0.3048;
+    static EARTH_RADIUS = 6371008.8;
+    
+    static STANDARD_PRESSURE = 1013.25; // hPa
+    static FEET_PER_HPA = 27.3; // Pressure lapse near sea level
+    
+    // Pressure settings used to place STD-referenced limits (flight levels)
+    static pressureSettings = {
+        qnh: 1013.25, // hPa
+        transitionAltitude: 10000 // ft
+    };
+    
+    static setPressureSettings(settings = {}) {
+        this.pressureSettings = { ...this.pressureSettings, ...settings };
+        return this.pressureSettings;
+    }
+    
+    // Height (m MSL) of a pressure altitude given in feet, under the current QNH
+    static pressureAltitudeToMSL(pressureAltitudeFeet) {
+        const { qnh } = this.pressureSettings;
+        const correctionFeet = (qnh - this.STANDARD_PRESSURE) * this.FEET_PER_HPA;
+        return (pressureAltitudeFeet + correctionFeet) * this.FEET_TO_METERS;
+    }
+    
+    // Lowest flight level (multiple of 5) at or above the transition altitude
+    static getTransitionLevel() {
+        const { transitionAltitude } = this.pressureSettings;
+        for (let flightLevel = 0; flightLevel <= 999; flightLevel += 5) {
+            if (this.pressureAltitudeToMSL(flightLevel * 100) >= transitionAltitude * this.FEET_TO_METERS) {
+                return flightLevel;
+            }
+        }
+        return null;
+    }
     
     static convertAltitude(altitudeData) {
         if (!altitudeData || typeof altitudeData.value !== 'number') {
-            return 0;
+            return { altitude: 0, isAGL: false, isMSL: true, isSTD: false, flightLevel: null };
         }
         
         const { value, unit, referenceDatum } = altitudeData;
         
+        // Unit 6 (flight level) and referenceDatum 2 (STD) are pressure levels:
+        // keep the flight level and place it via QNH rather than treating it as MSL
+        const isSTD = referenceDatum === 2 || unit === 6;
+        if (isSTD) {
+            const flightLevel = unit === 6
+                ? value
+                : (unit === 1 ? value : value / this.FEET_TO_METERS) / 100;
+            
+            return {
+                altitude: Math.max(0, this.pressureAltitudeToMSL(flightLevel * 100)),
+                isAGL: false,
+                isMSL: false,
+                isSTD: true,
+                flightLevel: flightLevel
+            };
+        }
+        
         let altitudeInMeters;
         if (unit === 1) {
             // Unit 1: feet
             altitudeInMeters = value * this.FEET_TO_METERS;
-        } else if (unit === 6) {
-            // Unit 6: hundreds of feet (multiply by 100, then convert to meters)
-            altitudeInMeters = value * 100 * this.FEET_TO_METERS;
         } else {
             // Default: assume meters
             altitudeInMeters = value;
@@ -23,32 +73,111 @@ export class AirspaceDataProcessor {
         return {
             altitude: Math.max(0, altitudeInMeters),
             isAGL: referenceDatum === 0,
-            isMSL: referenceDatum === 1
+            isMSL: referenceDatum === 1,
+            isSTD: false,
+            flightLevel: null
         };
     }
     
+    // Re-place STD-referenced limits after the QNH changed
+    static applyPressureSettings(airspaces) {
+        airspaces.forEach(airspace => {
+            if (airspace.isLowerSTD) {
+                airspace.lowerAltitude = Math.max(0, this.pressureAltitudeToMSL(airspace.lowerFlightLevel * 100));
+            }
+            if (airspace.isUpperSTD) {
+                airspace.upperAltitude = Math.max(0, this.pressureAltitudeToMSL(airspace.upperFlightLevel * 100));
+            }
+        });
+        return airspaces;
+    }
+    
+    // Normalize Polygon/MultiPolygon geometry into MultiPolygon-style rings:
+    // [[outerRing, holeRing, ...], ...]. Returns null for anything else.
+    static normalizePolygons(geometry) {
+        if (!geometry || !Array.isArray(geometry.coordinates)) {
+            return null;
+        }
+        
+        let polygons;
+        if (geometry.type === 'Polygon') {
+            polygons = [geometry.coordinates];
+        } else if (geometry.type === 'MultiPolygon') {
+            polygons = geometry.coordinates;
+        } else {
+            return null;
+        }
+        
+        polygons = polygons
+            .map(rings => rings.filter(ring => Array.isArray(ring) && ring.length >= 3))
+            .filter(rings => rings.length > 0);
+        
+        return polygons.length > 0 ? polygons : null;
+    }
+    
+    // Approximate area of a [lon, lat] ring on the sphere, in square meters
+    static getRingArea(ring) {
+        if (!ring || ring.length < 3) {
+            return 0;
+        }
+        
+        const toRadians = Math.PI / 180;
+        let total = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [lon1, lat1] = ring[j];
+            const [lon2, lat2] = ring[i];
+            total += (lon2 - lon1) * toRadians *
+                (2 + Math.sin(lat1 * toRadians) + Math.sin(lat2 * toRadians));
+        }
+        
+        return Math.abs(total * this.EARTH_RADIUS * this.EARTH_RADIUS / 2);
+    }
+    
+    // Area of a polygon (outer ring minus holes), in square meters
+    static getPolygonArea(rings) {
+        const [outer, ...holes] = rings;
+        const holeArea = holes.reduce((sum, hole) => sum + this.getRingArea(hole), 0);
+        return Math.max(0, this.getRingArea(outer) - holeArea);
+    }
+    
     static processAirspaceFeature(feature) {
         const properties = feature.properties;
         const geometry = feature.geometry;
         
-        if (!properties || !geometry || geometry.type !== 'Polygon') {
+        if (!properties || !geometry) {
+            return null;
+        }
+        
+        const polygons = this.normalizePolygons(geometry);
+        if (!polygons) {
+            console.warn(`Skipping airspace ${properties.name || feature.id}: unsupported geometry type ${geometry.type}`);
             return null;
         }
         
+        // The largest part's outer ring is used wherever a single outline is needed (labels, focus)
+        const mainPolygon = polygons.reduce((largest, rings) =>
+            this.getPolygonArea(rings) > this.getPolygonArea(largest) ? rings : largest
+        );
+        
         const lowerLimit = this.convertAltitude(properties.lowerLimit);
         const upperLimit = this.convertAltitude(properties.upperLimit);
         
         return {
             id: feature.id || properties._id,
             name: properties.name || 'Unknown Airspace',
-            icaoClass: properties.icaoClass || 6,
+            icaoClass: properties.icaoClass ?? 6,
             type: properties.type || 0,
             country: properties.country || '',
             lowerAltitude: lowerLimit.altitude,
             upperAltitude: upperLimit.altitude,
             isLowerAGL: lowerLimit.isAGL,
             isUpperAGL: upperLimit.isAGL,
-            coordinates: geometry.coordinates[0],
+            isLowerSTD: lowerLimit.isSTD,
+            isUpperSTD: upperLimit.isSTD,
+            lowerFlightLevel: lowerLimit.flightLevel,
+            upperFlightLevel: upperLimit.flightLevel,
+            coordinates: mainPolygon[0],
+            polygons: polygons,
             frequencies: properties.frequencies || [],
             operatingHours: properties.hoursOfOperation?.operatingHours || [],
             restrictions: {
@@ -72,6 +201,16 @@ export class AirspaceDataProcessor {
             .filter(airspace => airspace !== null);
     }
     
+    // OpenAIR text goes through the same normalization as openAIP GeoJSON
+    static processOpenAir(openAirText) {
+        return this.processGeoJSON(OpenAirParser.parse(openAirText));
+    }
+    
+    // AIXM 5.1 XML (e.g. eAIP AIRAC datasets), same normalization as GeoJSON
+    static processAixm(aixmXml) {
+        return this.processGeoJSON(AixmParser.parse(aixmXml));
+    }
+    
     static coordinatesToCartesian3Array(coordinates) {
         return coordinates.map(coord => {
             const [longitude, latitude] = coord;
@@ -97,9 +236,21 @@ export class AirspaceDataProcessor {
         };
     }
     
-    static formatAltitude(altitude, isAGL = false) {
+    static formatAltitude(altitude, isAGL = false, flightLevel = null) {
+        if (flightLevel !== null && flightLevel !== undefined) {
+            return `FL${Math.round(flightLevel)}`;
+        }
+        
         const altitudeInFeet = Math.round(altitude / this.FEET_TO_METERS);
         const reference = isAGL ? 'AGL' : 'MSL';
         return `${altitudeInFeet} ft ${reference}`;
     }
+    
+    static formatLowerLimit(airspace) {
+        return this.formatAltitude(airspace.lowerAltitude, airspace.isLowerAGL, airspace.lowerFlightLevel);
+    }
+    
+    static formatUpperLimit(airspace) {
+        return this.formatAltitude(airspace.upperAltitude, airspace.isUpperAGL, airspace.upperFlightLevel);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,161 @@
+// label-declutter.js
+// Hides overlapping labels in screen space, keeping higher-priority ones
+
+import {
+  SceneTransforms,
+  EllipsoidalOccluder,
+  Cartesian3,
+  Matrix4,
+} from "cesium";
+
+export class LabelDeclutterer {
+  static MIN_INTERVAL = 100; // ms between passes while the camera moves
+  static PADDING = 4; // pixels kept free around each label
+
+  /**
+   * @param {Scene} scene - Cesium scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.items = [];
+    this.enabled = true;
+    this.dirty = true;
+    this.lastRun = 0;
+    this.lastViewMatrix = new Matrix4();
+
+    this.removePostRender = scene.postRender.addEventListener(() =>
+      this.update()
+    );
+  }
+
+  /**
+   * Replace the labels under management
+   * @param {Array} items - { position, text, font, priority, scaleByDistance,
+   *   isEnabled(): boolean, setVisible(boolean) }
+   */
+  setItems(items) {
+    this.items = items
+      .map((item) => ({ ...item, size: this.measure(item.text, item.font) }))
+      .sort((a, b) => a.priority - b.priority);
+    this.markDirty();
+  }
+
+  markDirty() {
+    this.dirty = true;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) {
+      this.items.forEach((item) => item.setVisible(true));
+    }
+    this.markDirty();
+  }
+
+  update() {
+    const camera = this.scene.camera;
+    const moved = !Matrix4.equalsEpsilon(
+      camera.viewMatrix,
+      this.lastViewMatrix,
+      1e-9
+    );
+    const now = Date.now();
+
+    if (!this.enabled || (!moved && !this.dirty)) {
+      return;
+    }
+    if (now - this.lastRun < LabelDeclutterer.MIN_INTERVAL) {
+      return;
+    }
+
+    Matrix4.clone(camera.viewMatrix, this.lastViewMatrix);
+    this.lastRun = now;
+    this.dirty = false;
+    this.declutter();
+  }
+
+  /**
+   * Greedy placement in priority order: a label is shown only if its
+   * screen rectangle does not overlap one already placed
+   */
+  declutter() {
+    const scene = this.scene;
+    const camera = scene.camera;
+    const occluder = new EllipsoidalOccluder(
+      scene.globe.ellipsoid,
+      camera.positionWC
+    );
+    const placed = [];
+    const padding = LabelDeclutterer.PADDING;
+
+    this.items.forEach((item) => {
+      if (!item.isEnabled()) {
+        return;
+      }
+
+      const windowPosition =
+        occluder.isPointVisible(item.position) &&
+        SceneTransforms.worldToWindowCoordinates(scene, item.position);
+      if (!windowPosition) {
+        item.setVisible(false);
+        return;
+      }
+
+      const scale = this.getScale(
+        item.scaleByDistance,
+        Cartesian3.distance(camera.positionWC, item.position)
+      );
+      const halfWidth = (item.size.width * scale) / 2 + padding;
+      const halfHeight = (item.size.height * scale) / 2 + padding;
+      const box = {
+        minX: windowPosition.x - halfWidth,
+        maxX: windowPosition.x + halfWidth,
+        minY: windowPosition.y - halfHeight,
+        maxY: windowPosition.y + halfHeight,
+      };
+
+      const overlaps = placed.some(
+        (other) =>
+          box.minX < other.maxX &&
+          box.maxX > other.minX &&
+          box.minY < other.maxY &&
+          box.maxY > other.minY
+      );
+
+      item.setVisible(!overlaps);
+      if (!overlaps) {
+        placed.push(box);
+      }
+    });
+  }
+
+  // Same interpolation Cesium applies for scaleByDistance
+  getScale(scaleByDistance, distance) {
+    if (!scaleByDistance) {
+      return 1;
+    }
+
+    const { near, nearValue, far, farValue } = scaleByDistance;
+    const t = Math.min(1, Math.max(0, (distance - near) / (far - near)));
+    return nearValue + (farValue - nearValue) * t;
+  }
+
+  // Approximate text box in pixels from the CSS font size
+  measure(text, font) {
+    const match = /(\d+(?:\.\d+)?)(px|pt)/.exec(font || "");
+    const size = match
+      ? parseFloat(match[1]) * (match[2] === "pt" ? 4 / 3 : 1)
+      : 16;
+    const lines = String(text).split("\n");
+
+    return {
+      width: Math.max(...lines.map((line) => line.length)) * size * 0.6,
+      height: lines.length * size * 1.2,
+    };
+  }
+
+  destroy() {
+    this.removePostRender();
+    this.items = [];
+  }
+}
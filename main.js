@@ -1,5 +1,5 @@
 // main.js
-import { Viewer, createWorldTerrainAsync, Cartesian3, Color, Ion, SceneMode, Cartographic, Math as CesiumMath, ScreenSpaceEventHandler, ScreenSpaceEventType } from "cesium";
+import { Viewer, createWorldTerrainAsync, sampleTerrainMostDetailed, Cartesian3, Color, Ion, SceneMode, Cartographic, Math as CesiumMath, ScreenSpaceEventHandler, ScreenSpaceEventType } from "cesium";
 import "cesium/Build/Cesium/Widgets/widgets.css";
 import { AirspaceVisualizer } from './airspace-visualizer.js';
 import { AirspaceUIControls } from './ui-controls.js';
@@ -9,6 +9,9 @@ import { AirspaceViolationDetector } from './airspace-violation-detector.js';
 import { SidebarUIControls } from './sidebar-ui-controls.js';
 import { WeatherDataManager } from './weather-data-manager.js';
 import { WindParticleManager } from './wind-particle-manager.js';
+import { CrossSectionPanel } from './cross-section-panel.js';
+import { ThemeManager } from './theme-manager.js';
+import { AirspaceEditor } from './airspace-editor.js';
 
 // (optional but recommended) set your Cesium ion token
 Ion.defaultAccessToken = import.meta.env.VITE_CESIUM_ION_TOKEN || "";
@@ -19,6 +22,12 @@ const viewer = new Viewer("cesiumContainer", {
 
 // Terrain setup will be handled in initializeAirspaceVisualization
 
+// Airspace datasets loaded at startup, one layer each (more can be added
+// from the sidebar). Shared FIR boundaries are only drawn once.
+const AIRSPACE_DATASETS = [
+  { url: './data/airspace-slovenia.geojson', name: 'Slovenia' },
+];
+
 // Initialize Visualization Systems
 let airspaceVisualizer;
 let airspaceControls;
@@ -28,6 +37,8 @@ let violationDetector;
 let sidebarControls;
 let weatherDataManager;
 let windParticleManager;
+let crossSectionPanel;
+let airspaceEditor;
 
 async function initializeVisualizationSystem() {
   try {
@@ -36,8 +47,17 @@ async function initializeVisualizationSystem() {
     // Create airspace visualizer
     airspaceVisualizer = new AirspaceVisualizer(viewer);
 
-    // Load airspace data
-    await airspaceVisualizer.loadAirspaceData('./data/airspace-slovenia.geojson');
+    // Load airspace datasets; a missing one should not stop the others
+    for (const dataset of AIRSPACE_DATASETS) {
+      try {
+        await airspaceVisualizer.loadAirspaceData(dataset.url, dataset.format, {
+          name: dataset.name,
+          effectiveDate: dataset.effectiveDate,
+        });
+      } catch (error) {
+        console.warn(`Failed to load airspace dataset ${dataset.name}:`, error);
+      }
+    }
 
     // Create aircraft tracker
     aircraftTracker = new AircraftTracker(viewer);
@@ -57,6 +77,14 @@ async function initializeVisualizationSystem() {
     // Create new unified sidebar (with weather support)
     sidebarControls = new SidebarUIControls(airspaceVisualizer, aircraftTracker, windParticleManager);
 
+    // Vertical cross-section along a drawn line
+    crossSectionPanel = new CrossSectionPanel(viewer, airspaceVisualizer, aircraftTracker);
+    sidebarControls.setCrossSectionPanel(crossSectionPanel);
+
+    // Custom airspace / geofence editor
+    airspaceEditor = new AirspaceEditor(viewer, airspaceVisualizer);
+    sidebarControls.setAirspaceEditor(airspaceEditor);
+
     // Connect legacy controls to sidebar
     sidebarControls.setAirspaceControls(airspaceControls);
     sidebarControls.setAircraftControls(aircraftControls);
@@ -74,6 +102,7 @@ async function initializeVisualizationSystem() {
       if (event.type === 'data_updated') {
         // Check for airspace violations
         violationDetector.checkViolations(event.aircraft);
+        crossSectionPanel.refreshAircraft();
       }
     });
 
@@ -117,9 +146,35 @@ async function initializeVisualizationSystem() {
       console.log('Airspace violation resolved:', violation.getMessage());
     });
 
+    // Re-style everything live when the style theme changes
+    ThemeManager.onThemeChange(() => {
+      airspaceVisualizer.rebuildAirspaces();
+      aircraftTracker.visualizer.refreshStyles();
+      crossSectionPanel.render();
+      sidebarControls.updateAirspaceStats();
+    });
+
+    // Restore the last chosen theme before the first render
+    const savedTheme = ThemeManager.getSavedThemeId();
+    if (savedTheme && savedTheme !== 'classic') {
+      try {
+        await ThemeManager.loadBuiltInTheme(savedTheme);
+      } catch (error) {
+        console.warn('Failed to restore style theme:', error);
+      }
+    }
+
     // Render initial airspaces
     airspaceVisualizer.renderAirspaces();
 
+    // Bring back the custom airspaces drawn in a previous session
+    airspaceEditor.restore();
+
+    // Re-evaluate operating hours once a minute so volumes dim when they close
+    setInterval(() => {
+      airspaceVisualizer.updateActivity();
+    }, 60000);
+
     // Update statistics
     airspaceControls.updateStats();
     sidebarControls.updateAirspaceStats();
@@ -188,9 +243,54 @@ function getEntityType(entity) {
   return 'terrain';
 }
 
+// Elevation panel: clicked point plus the airspaces stacked above/below it
+function showElevationInfo(latitude, longitude, height) {
+  const elevationDiv = document.getElementById('elevationInfo');
+  if (!elevationDiv) return;
+
+  const stack = airspaceVisualizer
+    ? airspaceVisualizer.getAirspaceStack(latitude, longitude, height, height)
+    : [];
+  const positionMarkers = { above: '↑', inside: '●', below: '↓' };
+
+  // Highest airspace first, like a chart's vertical profile
+  const stackHTML = stack.length === 0
+    ? '<em>No airspace at this point</em>'
+    : stack.slice().reverse().map(entry => {
+        const frequency = entry.frequencies.find(f => f.primary) || entry.frequencies[0];
+        return `
+          <div class="stack-entry${entry.active ? '' : ' inactive'}" title="${entry.statusReason}">
+            ${positionMarkers[entry.position]} <strong>${entry.name}</strong>
+            (${entry.className}${entry.type !== 'UNKNOWN' ? `, ${entry.type}` : ''})<br>
+            ${entry.lower.label} – ${entry.upper.label}
+            ${frequency ? `<br>${frequency.value} MHz${frequency.name ? ` ${frequency.name}` : ''}` : ''}
+            ${entry.active ? '' : '<br><em>Inactive</em>'}
+          </div>`;
+      }).join('');
+
+  elevationDiv.innerHTML = `
+    <strong>Elevation Data:</strong><br>
+    Lat: ${latitude.toFixed(6)}°<br>
+    Lon: ${longitude.toFixed(6)}°<br>
+    Height: ${height.toFixed(2)} m
+    <div class="airspace-stack">
+      <strong>Airspace Stack:</strong>
+      ${stackHTML}
+    </div>
+  `;
+}
+
 handler.setInputAction(function (click) {
   console.log('Click detected via Cesium event handler!');
 
+  // Clicks place cross-section points or editor vertices while drawing
+  if (crossSectionPanel && crossSectionPanel.isDrawing) {
+    return;
+  }
+  if (airspaceEditor && airspaceEditor.isDrawing) {
+    return;
+  }
+
   // Use drillPick to get ALL objects at click position
   const allPickedObjects = viewer.scene.drillPick(click.position);
 
@@ -240,15 +340,7 @@ handler.setInputAction(function (click) {
     
     console.log(`Direct pick - Height: ${height.toFixed(2)} meters`);
     
-    const elevationDiv = document.getElementById('elevationInfo');
-    if (elevationDiv) {
-      elevationDiv.innerHTML = `
-        <strong>Elevation Data:</strong><br>
-        Lat: ${latitude.toFixed(6)}°<br>
-        Lon: ${longitude.toFixed(6)}°<br>
-        Height: ${height.toFixed(2)} m
-      `;
-    }
+    showElevationInfo(latitude, longitude, height);
   } else {
     // Fallback to globe intersection
     console.log('Direct pick failed, using globe intersection');
@@ -261,20 +353,12 @@ handler.setInputAction(function (click) {
       const latitude = CesiumMath.toDegrees(cartographic.latitude);
       
       // Sample terrain at this position
-      viewer.terrainProvider.sampleTerrainMostDetailed([cartographic]).then(function(results) {
+      sampleTerrainMostDetailed(viewer.terrainProvider, [cartographic]).then(function(results) {
         if (results && results.length > 0 && results[0].height !== undefined) {
           const height = results[0].height;
           console.log(`Sampled terrain height: ${height.toFixed(2)} meters`);
           
-          const elevationDiv = document.getElementById('elevationInfo');
-          if (elevationDiv) {
-            elevationDiv.innerHTML = `
-              <strong>Elevation Data:</strong><br>
-              Lat: ${latitude.toFixed(6)}°<br>
-              Lon: ${longitude.toFixed(6)}°<br>
-              Height: ${height.toFixed(2)} m
-            `;
-          }
+          showElevationInfo(latitude, longitude, height);
         } else {
           console.log('No terrain height available');
           const elevationDiv = document.getElementById('elevationInfo');
@@ -0,0 +1,578 @@
+// modes-decoder.js
+// Mode-S / ADS-B decoder for raw 1090 MHz frames (AVR hex and Beast binary)
+
+import { AircraftState } from "./aircraft-types.js";
+
+const CRC_GENERATOR = 0x1fff409; // Mode-S parity polynomial (25 bits)
+
+const SUPPORTED_FORMATS = new Set([4, 5, 11, 17, 18, 20, 21]);
+
+const CALLSIGN_CHARSET =
+  "#ABCDEFGHIJKLMNOPQRSTUVWXYZ##### ###############0123456789######";
+
+// Beast frame types and their payload lengths
+const BEAST_FRAMES = {
+  0x31: 2, // Mode A/C
+  0x32: 7, // Mode-S short
+  0x33: 14, // Mode-S long
+  0x34: 14, // receiver status (not a Mode-S frame)
+};
+const BEAST_ESCAPE = 0x1a;
+
+const CPR_SCALE = 131072; // 2^17
+const CPR_ZONES = 15; // NZ, latitude zones per hemisphere quadrant
+const CPR_PAIR_MAX_AGE = 10; // s between even and odd frames for global decoding
+const CPR_LOCAL_MAX_AGE = 600; // s a last position stays usable as reference
+
+/**
+ * Decoder for downlink formats received on 1090 MHz:
+ *   DF17/18 extended squitter: identification (TC 1-4), airborne position
+ *     (TC 9-18 barometric, 20-22 GNSS), airborne velocity (TC 19); surface
+ *     positions (TC 5-8) only mark the aircraft as on the ground
+ *   DF4/20 altitude and DF5/21 identity (squawk) replies, whose address
+ *     is recovered from the parity field
+ *   DF11 all-call replies (address only)
+ *
+ * Input is either AVR text ("*8D4840D6202CC371C32CE0576098;") or Beast
+ * binary as served by dump1090/readsb on ports 30002 and 30005.
+ */
+export class ModeSDecoder {
+  /**
+   * Bytes of one AVR line
+   * @param {string} line - "*HEX;" or "@TTTTTTTTTTTTHEX;" (12-digit MLAT
+   *   timestamp); ":" and "%" variants are accepted the same way
+   * @returns {Uint8Array|null} Frame, null for Mode A/C and other lines
+   */
+  static parseAVR(line) {
+    const match = /^[*:%@]([0-9A-Fa-f]+);?$/.exec(line.trim());
+    if (!match) {
+      return null;
+    }
+    let hex = match[1];
+    if (line.trim()[0] === "@") {
+      hex = hex.slice(12); // MLAT timestamp
+    }
+    if (hex.length !== 14 && hex.length !== 28) {
+      return null;
+    }
+    return Uint8Array.from(hex.match(/../g), (byte) => parseInt(byte, 16));
+  }
+
+  /**
+   * Split Beast binary into frames. Frames are <1a> <type> <6-byte MLAT
+   * timestamp> <signal> <payload>, with any 1a byte inside sent twice.
+   * @param {Uint8Array} bytes - Received bytes
+   * @returns {Object} { frames: [{ type, timestamp, signal, bytes }],
+   *   remaining } where remaining is an incomplete frame at the end, to be
+   *   prepended to the next chunk
+   */
+  static parseBeast(bytes) {
+    const frames = [];
+    let start = 0;
+
+    while (start < bytes.length) {
+      // Resynchronise on a frame start
+      if (bytes[start] !== BEAST_ESCAPE || !(bytes[start + 1] in BEAST_FRAMES)) {
+        if (start + 1 >= bytes.length && bytes[start] === BEAST_ESCAPE) {
+          break; // type byte still to come
+        }
+        start++;
+        continue;
+      }
+
+      const type = bytes[start + 1];
+      const length = 7 + BEAST_FRAMES[type];
+      const frame = new Uint8Array(length);
+      let count = 0;
+      let i = start + 2;
+
+      while (count < length && i < bytes.length) {
+        if (bytes[i] === BEAST_ESCAPE) {
+          if (i + 1 >= bytes.length) {
+            break; // second escape byte still to come
+          }
+          if (bytes[i + 1] !== BEAST_ESCAPE) {
+            break; // unescaped 1a: a new frame starts, this one is cut short
+          }
+          i++;
+        }
+        frame[count++] = bytes[i++];
+      }
+
+      if (count < length) {
+        if (i >= bytes.length || (i + 1 >= bytes.length && bytes[i] === BEAST_ESCAPE)) {
+          return { frames, remaining: bytes.slice(start) };
+        }
+        start = i; // broken frame, continue at the next frame start
+        continue;
+      }
+
+      let timestamp = 0;
+      for (let b = 0; b < 6; b++) {
+        timestamp = timestamp * 256 + frame[b];
+      }
+      frames.push({
+        type: String.fromCharCode(type),
+        timestamp, // 12 MHz counter
+        signal: frame[6],
+        bytes: frame.slice(7),
+      });
+      start = i;
+    }
+
+    return { frames, remaining: bytes.slice(start) };
+  }
+
+  /**
+   * Parity remainder: 0 for a valid extended squitter, the aircraft
+   * address for address/parity replies (DF4/5/20/21)
+   * @param {Uint8Array} bytes - Frame (7 or 14 bytes)
+   * @returns {number} 24-bit remainder
+   */
+  static crc(bytes) {
+    let crc = 0;
+    for (let i = 0; i < bytes.length - 3; i++) {
+      crc ^= bytes[i] << 16;
+      for (let bit = 0; bit < 8; bit++) {
+        crc <<= 1;
+        if (crc & 0x1000000) {
+          crc ^= CRC_GENERATOR;
+        }
+      }
+    }
+    const n = bytes.length;
+    const parity = (bytes[n - 3] << 16) | (bytes[n - 2] << 8) | bytes[n - 1];
+    return (crc ^ parity) & 0xffffff;
+  }
+
+  /**
+   * Read a bit field, numbered from 1 like the ICAO Annex 10 tables
+   * @param {Uint8Array} bytes - Frame
+   * @param {number} first - First bit (1-based)
+   * @param {number} last - Last bit (inclusive)
+   * @returns {number}
+   */
+  static bits(bytes, first, last) {
+    let value = 0;
+    for (let bit = first - 1; bit < last; bit++) {
+      value = value * 2 + ((bytes[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+    return value;
+  }
+
+  /**
+   * Decode one frame
+   * @param {Uint8Array} bytes - 7-byte (short) or 14-byte (long) frame
+   * @returns {Object|null} { df, icao24, ... } with the fields the frame
+   *   carries (feet, knots, ft/min), null for unsupported formats
+   * @throws {Error} For frames with a bad length or failed parity check
+   */
+  static decode(bytes) {
+    const df = bytes[0] >> 3;
+    if (!SUPPORTED_FORMATS.has(df)) {
+      return null;
+    }
+    const expected = df >= 16 ? 14 : 7;
+    if (bytes.length !== expected) {
+      throw new Error(`DF${df} frame must be ${expected} bytes, got ${bytes.length}`);
+    }
+
+    const hex = (value) => value.toString(16).padStart(6, "0");
+    const remainder = ModeSDecoder.crc(bytes);
+
+    switch (df) {
+      case 4:
+      case 20:
+      case 5:
+      case 21: {
+        const fs = ModeSDecoder.bits(bytes, 6, 8);
+        const code = ModeSDecoder.bits(bytes, 20, 32);
+        const message = {
+          df,
+          icao24: hex(remainder), // address/parity: unverified
+          addressVerified: false,
+          onGround: fs === 1 || fs === 3 ? true : fs === 0 || fs === 2 ? false : undefined,
+          spi: fs === 4 || fs === 5,
+        };
+        if (df === 4 || df === 20) {
+          message.altitude = ModeSDecoder.decodeAC13(code);
+        } else {
+          message.squawk = ModeSDecoder.decodeSquawk(code);
+        }
+        return message;
+      }
+
+      case 11:
+        // Remainder is the interrogator code, 0 for acquisition squitters
+        if (remainder > 0x7f) {
+          throw new Error("DF11 parity check failed");
+        }
+        return {
+          df,
+          icao24: hex(ModeSDecoder.bits(bytes, 9, 32)),
+          addressVerified: true,
+        };
+
+      case 17:
+      case 18:
+        if (remainder !== 0) {
+          throw new Error(`DF${df} parity check failed`);
+        }
+        return ModeSDecoder.decodeExtendedSquitter(bytes, df);
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Extended squitter (DF17/18) content by type code
+   */
+  static decodeExtendedSquitter(bytes, df) {
+    const ca = ModeSDecoder.bits(bytes, 6, 8); // CA (DF17) or CF (DF18)
+    let address = ModeSDecoder.bits(bytes, 9, 32).toString(16).padStart(6, "0");
+
+    if (df === 18) {
+      // CF 0/6: ICAO address (ADS-B, ADS-R), 1/5: anonymous address,
+      // 2: fine TIS-B; coarse TIS-B and management messages are skipped
+      if (ca === 1 || ca === 5) {
+        address = `~${address}`; // same marker readsb uses
+      } else if (ca !== 0 && ca !== 2 && ca !== 6) {
+        return null;
+      }
+    }
+
+    const message = { df, icao24: address, addressVerified: true };
+    if (df === 17 && (ca === 4 || ca === 5)) {
+      message.onGround = ca === 4;
+    }
+
+    const tc = ModeSDecoder.bits(bytes, 33, 37);
+    message.tc = tc;
+
+    if (tc >= 1 && tc <= 4) {
+      // Identification: emitter category set (TC 4 = A ... TC 1 = D)
+      const set = "DCBA"[tc - 1];
+      message.category = `${set}${ModeSDecoder.bits(bytes, 38, 40)}`;
+      let callsign = "";
+      for (let i = 0; i < 8; i++) {
+        const first = 41 + i * 6;
+        callsign += CALLSIGN_CHARSET[ModeSDecoder.bits(bytes, first, first + 5)];
+      }
+      message.callsign = callsign.replace(/#/g, "").trim() || undefined;
+    } else if (tc >= 5 && tc <= 8) {
+      message.onGround = true;
+    } else if ((tc >= 9 && tc <= 18) || (tc >= 20 && tc <= 22)) {
+      const code = ModeSDecoder.bits(bytes, 41, 52);
+      if (tc <= 18) {
+        message.altitude = ModeSDecoder.decodeAC12(code);
+      } else if (code !== 0) {
+        message.geoAltitude = code / 0.3048; // GNSS height in meters
+      }
+      message.onGround = false;
+      message.cpr = {
+        odd: ModeSDecoder.bits(bytes, 54, 54) === 1,
+        lat: ModeSDecoder.bits(bytes, 55, 71) / CPR_SCALE,
+        lon: ModeSDecoder.bits(bytes, 72, 88) / CPR_SCALE,
+      };
+    } else if (tc === 19) {
+      Object.assign(message, ModeSDecoder.decodeVelocity(bytes));
+      message.onGround = false;
+    }
+
+    return message;
+  }
+
+  /**
+   * Airborne velocity (TC 19). Subtypes 1/2 give ground speed and track,
+   * 3/4 only heading and airspeed (x4 for the supersonic subtypes 2 and 4).
+   * @returns {Object} { groundSpeed, track, heading, airspeed,
+   *   airspeedType, verticalRate, verticalRateSource, geoDelta }
+   */
+  static decodeVelocity(bytes) {
+    const bits = (first, last) => ModeSDecoder.bits(bytes, first, last);
+    const subtype = bits(38, 40);
+    const factor = subtype === 2 || subtype === 4 ? 4 : 1;
+    const velocity = {};
+
+    if (subtype === 1 || subtype === 2) {
+      const ew = bits(47, 56);
+      const ns = bits(58, 67);
+      if (ew !== 0 && ns !== 0) {
+        const vx = (bits(46, 46) ? -1 : 1) * (ew - 1) * factor; // east
+        const vy = (bits(57, 57) ? -1 : 1) * (ns - 1) * factor; // north
+        velocity.groundSpeed = Math.hypot(vx, vy);
+        velocity.track = ((Math.atan2(vx, vy) * 180) / Math.PI + 360) % 360;
+      }
+    } else if (subtype === 3 || subtype === 4) {
+      if (bits(46, 46)) {
+        velocity.heading = (bits(47, 56) * 360) / 1024;
+      }
+      const airspeed = bits(58, 67);
+      if (airspeed !== 0) {
+        velocity.airspeed = (airspeed - 1) * factor;
+        velocity.airspeedType = bits(57, 57) ? "TAS" : "IAS";
+      }
+    } else {
+      return velocity;
+    }
+
+    const rate = bits(70, 78);
+    if (rate !== 0) {
+      velocity.verticalRate = (bits(69, 69) ? -1 : 1) * (rate - 1) * 64;
+      velocity.verticalRateSource = bits(68, 68) ? "baro" : "gnss";
+    }
+    const delta = bits(82, 88);
+    if (delta !== 0) {
+      // GNSS height minus barometric altitude
+      velocity.geoDelta = (bits(81, 81) ? -1 : 1) * (delta - 1) * 25;
+    }
+    return velocity;
+  }
+
+  /**
+   * 13-bit altitude code of DF4/20 (feet, undefined if not available)
+   */
+  static decodeAC13(code) {
+    if (code === 0 || code & 0x40) {
+      return undefined; // no altitude, or metric (M bit) which nobody sends
+    }
+    if (code & 0x10) {
+      // Q bit: 25 ft steps
+      const n = ((code & 0x1f80) >> 2) | ((code & 0x20) >> 1) | (code & 0x0f);
+      return n * 25 - 1000;
+    }
+    return ModeSDecoder.gillhamToAltitude(ModeSDecoder.decodeID13(code));
+  }
+
+  /**
+   * 12-bit altitude code of airborne position messages (feet)
+   */
+  static decodeAC12(code) {
+    if (code === 0) {
+      return undefined;
+    }
+    if (code & 0x10) {
+      const n = ((code & 0x0fe0) >> 1) | (code & 0x0f);
+      return n * 25 - 1000;
+    }
+    // Gillham: insert M = 0 to get the 13-bit layout
+    const code13 = ((code & 0x0fc0) << 1) | (code & 0x3f);
+    return ModeSDecoder.gillhamToAltitude(ModeSDecoder.decodeID13(code13));
+  }
+
+  /**
+   * Reorder the interleaved C1 A1 C2 A2 C4 A4 X B1 D1 B2 D2 B4 D4 bits of
+   * a 13-bit identity/altitude field to 0xABCD (one octal digit per nibble)
+   */
+  static decodeID13(code) {
+    const map = [
+      [0x1000, 0x0010], // C1
+      [0x0800, 0x1000], // A1
+      [0x0400, 0x0020], // C2
+      [0x0200, 0x2000], // A2
+      [0x0100, 0x0040], // C4
+      [0x0080, 0x4000], // A4
+      [0x0020, 0x0100], // B1
+      [0x0010, 0x0001], // D1
+      [0x0008, 0x0200], // B2
+      [0x0004, 0x0002], // D2
+      [0x0002, 0x0400], // B4
+      [0x0001, 0x0004], // D4
+    ];
+    return map.reduce((abcd, [from, to]) => (code & from ? abcd | to : abcd), 0);
+  }
+
+  /**
+   * Mode A code ("7700") of a DF5/21 identity field
+   */
+  static decodeSquawk(code) {
+    return ModeSDecoder.decodeID13(code).toString(16).padStart(4, "0");
+  }
+
+  /**
+   * Gillham (Mode C) altitude in feet, undefined for invalid codes
+   * @param {number} abcd - Code in 0xABCD layout (see decodeID13)
+   */
+  static gillhamToAltitude(abcd) {
+    if ((abcd & 0xffff8889) !== 0 || (abcd & 0xf0) === 0) {
+      return undefined;
+    }
+
+    // 100 ft steps from the C bits, a reflected code
+    let hundreds = 0;
+    if (abcd & 0x0010) hundreds ^= 7; // C1
+    if (abcd & 0x0020) hundreds ^= 3; // C2
+    if (abcd & 0x0040) hundreds ^= 1; // C4
+    if ((hundreds & 5) === 5) hundreds ^= 2; // 7 -> 5
+    if (hundreds > 5) {
+      return undefined;
+    }
+
+    // 500 ft steps from D2 D4 A1 A2 A4 B1 B2 B4, a Gray code
+    let fiveHundreds = 0;
+    if (abcd & 0x0002) fiveHundreds ^= 0xff; // D2
+    if (abcd & 0x0004) fiveHundreds ^= 0x7f; // D4
+    if (abcd & 0x1000) fiveHundreds ^= 0x3f; // A1
+    if (abcd & 0x2000) fiveHundreds ^= 0x1f; // A2
+    if (abcd & 0x4000) fiveHundreds ^= 0x0f; // A4
+    if (abcd & 0x0100) fiveHundreds ^= 0x07; // B1
+    if (abcd & 0x0200) fiveHundreds ^= 0x03; // B2
+    if (abcd & 0x0400) fiveHundreds ^= 0x01; // B4
+
+    if (fiveHundreds & 1) {
+      hundreds = 6 - hundreds;
+    }
+    const altitude = (fiveHundreds * 5 + hundreds - 13) * 100;
+    return altitude >= -1200 ? altitude : undefined;
+  }
+
+  /**
+   * Number of longitude zones (NL) at a latitude
+   */
+  static cprNL(lat) {
+    const absLat = Math.abs(lat);
+    if (absLat === 0) return 59;
+    if (absLat === 87) return 2;
+    if (absLat > 87) return 1;
+    const a = 1 - Math.cos(Math.PI / (2 * CPR_ZONES));
+    const b = Math.cos((Math.PI / 180) * absLat) ** 2;
+    return Math.floor((2 * Math.PI) / Math.acos(1 - a / b));
+  }
+
+  /**
+   * Global position from an even and an odd frame
+   * @param {Object} even - { lat, lon } CPR fractions (0..1)
+   * @param {Object} odd - { lat, lon }
+   * @param {boolean} oddIsNewer - Which frame the position belongs to
+   * @returns {Object|null} { latitude, longitude }, null when the two
+   *   frames lie in different longitude zones
+   */
+  static decodeCPRGlobal(even, odd, oddIsNewer) {
+    const dLatEven = 360 / (4 * CPR_ZONES);
+    const dLatOdd = 360 / (4 * CPR_ZONES - 1);
+    const mod = (a, b) => ((a % b) + b) % b;
+
+    const j = Math.floor(59 * even.lat - 60 * odd.lat + 0.5);
+    let latEven = dLatEven * (mod(j, 60) + even.lat);
+    let latOdd = dLatOdd * (mod(j, 59) + odd.lat);
+    if (latEven >= 270) latEven -= 360;
+    if (latOdd >= 270) latOdd -= 360;
+
+    const nl = ModeSDecoder.cprNL(latEven);
+    if (nl !== ModeSDecoder.cprNL(latOdd)) {
+      return null;
+    }
+
+    const latitude = oddIsNewer ? latOdd : latEven;
+    const ni = Math.max(nl - (oddIsNewer ? 1 : 0), 1);
+    const m = Math.floor(even.lon * (nl - 1) - odd.lon * nl + 0.5);
+    let longitude = (360 / ni) * (mod(m, ni) + (oddIsNewer ? odd.lon : even.lon));
+    if (longitude >= 180) longitude -= 360;
+
+    return { latitude, longitude };
+  }
+
+  /**
+   * Position from one frame and a reference within 180 NM (the aircraft's
+   * last position or the receiver)
+   * @param {Object} cpr - { odd, lat, lon }
+   * @param {Object} reference - { latitude, longitude }
+   * @returns {Object} { latitude, longitude }
+   */
+  static decodeCPRLocal(cpr, reference) {
+    const i = cpr.odd ? 1 : 0;
+    const mod = (a, b) => ((a % b) + b) % b;
+
+    const dLat = 360 / (4 * CPR_ZONES - i);
+    const j =
+      Math.floor(reference.latitude / dLat) +
+      Math.floor(0.5 + mod(reference.latitude, dLat) / dLat - cpr.lat);
+    const latitude = dLat * (j + cpr.lat);
+
+    const dLon = 360 / Math.max(ModeSDecoder.cprNL(latitude) - i, 1);
+    const m =
+      Math.floor(reference.longitude / dLon) +
+      Math.floor(0.5 + mod(reference.longitude, dLon) / dLon - cpr.lon);
+    let longitude = dLon * (m + cpr.lon);
+    if (longitude >= 180) longitude -= 360;
+
+    return { latitude, longitude };
+  }
+
+  /**
+   * Merge a decoded message into an aircraft record (AircraftState field
+   * names and units). Positions are decoded globally from an even/odd
+   * pair, then locally against the aircraft's last position, or against
+   * the receiver when no pair is available yet.
+   * @param {Object} record - Record to update (keeps CPR frames in `cpr`)
+   * @param {Object} message - Result of decode()
+   * @param {number} now - Receive time (Unix seconds)
+   * @param {Object|null} receiver - { latitude, longitude } of the antenna
+   * @returns {Object} The record
+   */
+  static applyMessage(record, message, now = Date.now() / 1000, receiver = null) {
+    const set = (key, value) => {
+      if (value !== undefined) {
+        record[key] = value;
+      }
+    };
+    const toMeters = (feet) => (feet === undefined ? undefined : feet * 0.3048);
+
+    set("callsign", message.callsign);
+    set("squawk", message.squawk);
+    set("onGround", message.onGround);
+    set("spi", message.spi);
+    if (message.category !== undefined) {
+      record.category = AircraftState.getCategoryFromEmitter(message.category);
+    }
+    set("baroAltitude", toMeters(message.altitude));
+    set("geoAltitude", toMeters(message.geoAltitude));
+
+    // Velocity; airspeed and heading stand in when no ground vector is sent
+    const speed = message.groundSpeed ?? message.airspeed;
+    set("velocity", speed === undefined ? undefined : speed * 0.514444);
+    set("trueTrack", message.track ?? message.heading);
+    set(
+      "verticalRate",
+      message.verticalRate === undefined ? undefined : message.verticalRate * 0.00508
+    );
+    if (message.geoDelta !== undefined && Number.isFinite(record.baroAltitude)) {
+      record.geoAltitude = record.baroAltitude + message.geoDelta * 0.3048;
+    }
+
+    if (message.cpr) {
+      ModeSDecoder.applyPosition(record, message.cpr, now, receiver);
+    }
+
+    record.lastContact = Math.floor(now);
+    return record;
+  }
+
+  static applyPosition(record, cpr, now, receiver) {
+    record.cpr = record.cpr || {};
+    record.cpr[cpr.odd ? "odd" : "even"] = { lat: cpr.lat, lon: cpr.lon, time: now };
+
+    let position = null;
+    const { even, odd } = record.cpr;
+    const hasReference =
+      Number.isFinite(record.latitude) && now - record.timePosition <= CPR_LOCAL_MAX_AGE;
+
+    if (hasReference) {
+      position = ModeSDecoder.decodeCPRLocal(cpr, {
+        latitude: record.latitude,
+        longitude: record.longitude,
+      });
+    } else if (even && odd && Math.abs(even.time - odd.time) <= CPR_PAIR_MAX_AGE) {
+      position = ModeSDecoder.decodeCPRGlobal(even, odd, cpr.odd);
+    } else if (receiver) {
+      position = ModeSDecoder.decodeCPRLocal(cpr, receiver);
+    }
+
+    if (position) {
+      record.latitude = position.latitude;
+      record.longitude = position.longitude;
+      record.timePosition = Math.floor(now);
+    }
+  }
+}
@@ -0,0 +1,129 @@
+// modes-provider.js
+// Decodes raw Mode-S frames (Beast or AVR) streamed from a WebSocket bridge
+
+import { AircraftConfig } from "./aircraft-types.js";
+import { StreamProvider } from "./aircraft-providers.js";
+import { ModeSDecoder } from "./modes-decoder.js";
+
+/**
+ * For receivers that only run a demodulator (dump1090 --net, rtl_adsb,
+ * modesdeco2): bridge its Beast (30005) or AVR (30002) output with e.g.
+ * `websockify 30007 localhost:30005` and decode here. Replies that only
+ * carry an address/parity field (DF4/5/20/21) are used for aircraft
+ * already identified by DF11/17/18, the usual guard against corrupt frames.
+ */
+export class ModeSProvider extends StreamProvider {
+  static SOURCE_KEY = "modes_source";
+  static FORMATS = ["beast", "avr"];
+
+  /**
+   * @param {Object} options - See StreamProvider, plus { format, receiver }
+   */
+  constructor(options = {}) {
+    const config = AircraftConfig.modes;
+    super("modes", "Mode-S raw (Beast/AVR)", {
+      priority: 15,
+      maxAge: config.maxAge,
+      staleAfter: config.staleAfter,
+      reconnectInterval: config.reconnectInterval,
+      ...options,
+    });
+
+    const saved = this.loadSource();
+    this.url = options.url || saved?.url || config.url;
+    this.setFormat(options.format || saved?.format || config.format);
+    this.receiver = options.receiver ?? config.receiver;
+    this.pending = new Uint8Array(0); // incomplete Beast frame
+    this.unknownAddresses = 0; // DF4/5/20/21 for aircraft not yet seen
+  }
+
+  setFormat(format) {
+    if (!ModeSProvider.FORMATS.includes(format)) {
+      throw new Error(`Unknown Mode-S input format: ${format}`);
+    }
+    this.format = format;
+    this.binary = format === "beast";
+    this.pending = new Uint8Array(0);
+  }
+
+  /**
+   * Stream from a different bridge
+   * @param {string} url - WebSocket URL
+   * @param {string} format - "beast" or "avr"
+   */
+  setSource(url, format = this.format) {
+    this.setFormat(format);
+    this.setUrl(url);
+    try {
+      localStorage.setItem(ModeSProvider.SOURCE_KEY, JSON.stringify({ url, format }));
+    } catch (error) {
+      console.warn("Failed to save Mode-S source to localStorage:", error);
+    }
+  }
+
+  loadSource() {
+    try {
+      return JSON.parse(localStorage.getItem(ModeSProvider.SOURCE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  disconnect() {
+    super.disconnect();
+    this.pending = new Uint8Array(0);
+  }
+
+  handleData(data) {
+    if (this.format === "avr") {
+      data.forEach((line) => {
+        const bytes = ModeSDecoder.parseAVR(line);
+        if (bytes) {
+          this.handleFrame(bytes);
+        }
+      });
+      return;
+    }
+
+    const bytes = new Uint8Array(this.pending.length + data.length);
+    bytes.set(this.pending);
+    bytes.set(data, this.pending.length);
+
+    const { frames, remaining } = ModeSDecoder.parseBeast(bytes);
+    this.pending = remaining;
+    frames
+      .filter((frame) => frame.type === "2" || frame.type === "3")
+      .forEach((frame) => this.handleFrame(frame.bytes));
+  }
+
+  handleFrame(bytes) {
+    let message;
+    try {
+      message = ModeSDecoder.decode(bytes);
+    } catch (error) {
+      this.countError();
+      return;
+    }
+    if (!message) {
+      return; // downlink format without aircraft data
+    }
+
+    let record;
+    if (message.addressVerified) {
+      record = this.getRecord(message.icao24);
+    } else {
+      record = this.records.get(message.icao24);
+      if (!record) {
+        this.unknownAddresses++;
+        return;
+      }
+    }
+
+    ModeSDecoder.applyMessage(record, message, Date.now() / 1000, this.receiver);
+    this.countMessage(record, `DF${message.df}`);
+  }
+
+  getStats() {
+    return { ...super.getStats(), unknownAddresses: this.unknownAddresses };
+  }
+}
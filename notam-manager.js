@@ -0,0 +1,195 @@
+// notam-manager.js
+// Keeps loaded NOTAMs, links them to airspaces and answers "activated now?"
+
+import { NotamParser } from "./notam-parser.js";
+import { AirspaceDataProcessor } from "./data-processor.js";
+
+export class NotamManager {
+  constructor() {
+    this.notams = new Map(); // NOTAM id -> parsed NOTAM
+    this.links = new Map(); // airspace id -> [NOTAM]
+    this.linkedNotams = new Set(); // NOTAM ids matched to a published airspace
+  }
+
+  get size() {
+    return this.notams.size;
+  }
+
+  /**
+   * Add the NOTAMs of a bulletin. NOTAMR replaces and NOTAMC cancels the
+   * referenced NOTAM.
+   * @param {string} text - NOTAM text
+   * @returns {Array} NOTAMs of this bulletin that were kept (not
+   *   cancellations, not replaced later in the same bulletin)
+   */
+  load(text) {
+    const parsed = NotamParser.parse(text);
+
+    parsed.forEach((notam) => {
+      if (notam.replaces) {
+        this.notams.delete(notam.replaces);
+      }
+      if (notam.kind !== "C") {
+        this.notams.set(notam.id, notam);
+      }
+    });
+
+    const added = parsed.filter((notam) => this.notams.get(notam.id) === notam);
+
+    console.log(`Loaded ${added.length} NOTAMs (${this.notams.size} total)`);
+    return added;
+  }
+
+  async loadFromUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load NOTAMs: ${response.statusText}`);
+    }
+    return this.load(await response.text());
+  }
+
+  clear() {
+    this.notams.clear();
+    this.links.clear();
+    this.linkedNotams.clear();
+  }
+
+  getNotams() {
+    return [...this.notams.values()];
+  }
+
+  /**
+   * Designator used to find an airspace in NOTAM text: the explicit
+   * designator when the source has one, else a leading designator-like
+   * token of the name ("LJR4 PIVKA" -> "LJR4"), else the whole name
+   * @param {Object} airspace - Processed airspace
+   * @returns {string}
+   */
+  static getDesignator(airspace) {
+    const explicit = airspace.rawProperties?.designator;
+    if (explicit) {
+      return String(explicit).toUpperCase();
+    }
+
+    const name = (airspace.name || "").toUpperCase().trim();
+    const token = name.split(/\s+/)[0];
+    return /^[A-Z]{2,4}\d+[A-Z]?$/.test(token) ? token : name;
+  }
+
+  /**
+   * Match area NOTAMs to airspaces whose designator appears in item E)
+   * @param {Array} airspaces - Processed airspaces (published ones)
+   * @returns {number} Number of linked airspaces
+   */
+  linkAirspaces(airspaces) {
+    this.links.clear();
+    this.linkedNotams.clear();
+
+    const notams = this.getNotams().filter((notam) =>
+      NotamParser.isAreaNotam(notam)
+    );
+    const texts = new Map(
+      notams.map((notam) => [notam, ` ${notam.text.toUpperCase()} `])
+    );
+
+    airspaces.forEach((airspace) => {
+      if (airspace.notam) {
+        return; // temporary volume built from a NOTAM
+      }
+
+      const designator = NotamManager.getDesignator(airspace);
+      if (!designator) {
+        return;
+      }
+      const escaped = designator.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const pattern = new RegExp(`[^A-Z0-9]${escaped.replace(/\s+/g, "\\s+")}[^A-Z0-9]`);
+
+      const matches = notams.filter((notam) => pattern.test(texts.get(notam)));
+      if (matches.length > 0) {
+        this.links.set(airspace.id, matches);
+        matches.forEach((notam) => this.linkedNotams.add(notam.id));
+      }
+    });
+
+    return this.links.size;
+  }
+
+  /**
+   * Temporary volumes for area NOTAMs that did not match a published airspace.
+   * Each carries its NOTAM as `airspace.notam`.
+   * @returns {Array} Processed airspaces
+   */
+  getTemporaryAirspaces() {
+    const features = [];
+    const sources = new Map();
+
+    this.getNotams().forEach((notam) => {
+      if (
+        !NotamParser.isAreaNotam(notam) ||
+        !NotamParser.isActivation(notam) ||
+        this.linkedNotams.has(notam.id)
+      ) {
+        return;
+      }
+
+      const feature = NotamParser.toFeature(notam);
+      if (feature) {
+        features.push(feature);
+        sources.set(feature.id, notam);
+      }
+    });
+
+    return AirspaceDataProcessor.processGeoJSON({ features }).map((airspace) => {
+      airspace.notam = sources.get(airspace.id);
+      return airspace;
+    });
+  }
+
+  /**
+   * NOTAMs linked to an airspace (or the NOTAM a temporary volume came from)
+   * @param {Object} airspace - Processed airspace
+   * @returns {Array}
+   */
+  getAirspaceNotams(airspace) {
+    if (airspace.notam) {
+      return [airspace.notam];
+    }
+    return this.links.get(airspace.id) || [];
+  }
+
+  /**
+   * NOTAM activation state, for AirspaceSchedule's isNotamActive option
+   * @param {Object} airspace - Processed airspace
+   * @param {Date} time - Time to evaluate
+   * @returns {boolean|null} true = activated, false = deactivated by NOTAM
+   *   or a temporary volume outside its NOTAM times, null = no NOTAM
+   */
+  getActivation(airspace, time = new Date()) {
+    const notams = this.getAirspaceNotams(airspace);
+    if (notams.length === 0) {
+      return null;
+    }
+
+    const inForce = notams.filter((notam) => NotamParser.isInForce(notam, time));
+    if (inForce.some((notam) => !NotamParser.isActivation(notam))) {
+      return false;
+    }
+    if (inForce.length > 0) {
+      return true;
+    }
+    return airspace.notam ? false : null;
+  }
+
+  /**
+   * @param {Date} time - Time to evaluate
+   * @returns {Object} { total, inForce, linkedAirspaces }
+   */
+  getStatistics(time = new Date()) {
+    const notams = this.getNotams();
+    return {
+      total: notams.length,
+      inForce: notams.filter((notam) => NotamParser.isInForce(notam, time)).length,
+      linkedAirspaces: this.links.size,
+    };
+  }
+}
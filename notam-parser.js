@@ -0,0 +1,393 @@
+// notam-parser.js
+// ICAO-format NOTAM parser (Q-line and items A-G) for airspace activation
+
+import { OpenAirParser } from "./openair-parser.js";
+
+/**
+ * Q-code subjects (2nd and 3rd letters) that describe an airspace volume,
+ * with the openAIP type used for temporary volumes built from the Q-line
+ */
+const AREA_SUBJECTS = {
+  RA: 9, // Airspace reservation -> TSA
+  RD: 2, // Danger area
+  RM: 8, // Military operating area -> TRA
+  RO: 1, // Overflying of ... restricted
+  RP: 3, // Prohibited area
+  RR: 1, // Restricted area
+  RT: 1, // Temporary restricted area
+};
+
+// Navigation warnings (W..) all become warning areas
+const WARNING_TYPE = 18;
+
+// Q-code conditions (4th and 5th letters) that switch an area off
+const DEACTIVATING_CONDITIONS = new Set(["CD", "CN", "LC"]);
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP",
+  "OCT", "NOV", "DEC"];
+const WEEKDAYS = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"]; // getUTCDay order
+
+const NM_TO_METERS = 1852;
+
+// Item letters in the order they appear in a NOTAM
+const ITEM_ORDER = ["Q", "A", "B", "C", "D", "E", "F", "G"];
+
+/**
+ * Parser for ICAO NOTAMs as printed in bulletins or briefing packs:
+ *
+ *   A1234/24 NOTAMN
+ *   Q) LJLA/QRRCA/IV/BO/W/000/095/4542N01412E005
+ *   A) LJLA B) 2410211200 C) 2410211600
+ *   D) 1200-1600
+ *   E) LJR4 PIVKA-ILIRSKA BISTRICA ACTIVATED
+ *   F) GND G) FL095
+ */
+export class NotamParser {
+  static HEADER_PATTERN =
+    /\(?\b([A-Z]\d{4}\/\d{2})\s*-?\s*NOTAM([NRC])(?:\s+([A-Z]\d{4}\/\d{2}))?/g;
+
+  /**
+   * Parse every NOTAM in a bulletin
+   * @param {string} text - One or more NOTAMs
+   * @returns {Array} Parsed NOTAMs (see parseNotam)
+   */
+  static parse(text) {
+    if (typeof text !== "string") {
+      throw new Error("Invalid NOTAM data");
+    }
+
+    const normalized = text.replace(/\r\n?/g, "\n");
+    const headers = [...normalized.matchAll(this.HEADER_PATTERN)];
+    const notams = [];
+
+    headers.forEach((header, i) => {
+      const end = i + 1 < headers.length ? headers[i + 1].index : normalized.length;
+      const body = normalized.slice(header.index + header[0].length, end);
+
+      try {
+        notams.push(this.parseNotam(header, body));
+      } catch (error) {
+        console.warn(`NOTAM ${header[1]} ignored (${error.message})`);
+      }
+    });
+
+    return notams;
+  }
+
+  /**
+   * @param {Array} header - HEADER_PATTERN match
+   * @param {string} body - Text after the header
+   * @returns {Object} { id, kind, replaces, q, locations, start, end,
+   *   estimatedEnd, schedule, scheduleText, text, lowerLimit, upperLimit }
+   */
+  static parseNotam(header, body) {
+    const items = this.splitItems(body);
+    if (!items.Q) {
+      throw new Error("missing Q) line");
+    }
+
+    const q = this.parseQLine(items.Q);
+    const start = this.parseDateTime(items.B);
+    if (!start) {
+      throw new Error("missing or invalid B) start time");
+    }
+
+    const endText = (items.C || "").toUpperCase();
+    const end = /PERM/.test(endText) ? null : this.parseDateTime(endText);
+
+    return {
+      id: header[1],
+      kind: header[2], // N = new, R = replaces, C = cancels
+      replaces: header[3] || null,
+      q,
+      locations: (items.A || "").split(/\s+/).filter(Boolean),
+      start,
+      end,
+      estimatedEnd: /EST/.test(endText),
+      schedule: this.parseSchedule(items.D),
+      scheduleText: items.D || "",
+      text: items.E || "",
+      lowerLimit: this.parseLimit(items.F),
+      upperLimit: this.parseLimit(items.G),
+    };
+  }
+
+  /**
+   * Split the NOTAM body into items by their "X)" markers, searched in
+   * order so letters inside the E) text are not mistaken for items
+   * @returns {Object} Item letter -> trimmed text
+   */
+  static splitItems(body) {
+    const markers = [];
+    let from = 0;
+
+    ITEM_ORDER.forEach((letter) => {
+      const pattern = new RegExp(`(^|\\s)${letter}\\)`, "g");
+      pattern.lastIndex = from;
+      const match = pattern.exec(body);
+      if (match) {
+        const index = match.index + match[1].length;
+        markers.push({ letter, index, start: index + 2 });
+        from = index + 2;
+      }
+    });
+
+    const items = {};
+    markers.forEach((marker, i) => {
+      const end = i + 1 < markers.length ? markers[i + 1].index : body.length;
+      items[marker.letter] = body
+        .slice(marker.start, end)
+        .replace(/\)\s*$/, "") // closing bracket of the NOTAM
+        .replace(/\s+/g, " ")
+        .trim();
+    });
+    return items;
+  }
+
+  /**
+   * Q) FIR/QCODE/TRAFFIC/PURPOSE/SCOPE/LOWER/UPPER/COORDINATES
+   * @returns {Object} { fir, code, subject, condition, traffic, purpose,
+   *   scope, lowerFlightLevel, upperFlightLevel, center, radiusNm }
+   */
+  static parseQLine(text) {
+    const fields = text.replace(/\s+/g, "").split("/");
+    if (fields.length < 8 || !/^Q[A-Z]{4}$/.test(fields[1])) {
+      throw new Error(`invalid Q) line "${text}"`);
+    }
+
+    const [fir, code, traffic, purpose, scope, lower, upper, coordinates] = fields;
+    const area = coordinates.match(/^(\d{2})(\d{2})([NS])(\d{3})(\d{2})([EW])(\d{3})?/);
+    let center = null;
+    if (area) {
+      const latitude = (parseInt(area[1], 10) + parseInt(area[2], 10) / 60) *
+        (area[3] === "S" ? -1 : 1);
+      const longitude = (parseInt(area[4], 10) + parseInt(area[5], 10) / 60) *
+        (area[6] === "W" ? -1 : 1);
+      center = [longitude, latitude];
+    }
+
+    return {
+      fir,
+      code,
+      subject: code.slice(1, 3),
+      condition: code.slice(3, 5),
+      traffic,
+      purpose,
+      scope,
+      lowerFlightLevel: parseInt(lower, 10) || 0,
+      upperFlightLevel: parseInt(upper, 10) || 999,
+      center,
+      radiusNm: area && area[7] ? parseInt(area[7], 10) : null,
+    };
+  }
+
+  /**
+   * YYMMDDHHMM (UTC)
+   * @returns {Date|null}
+   */
+  static parseDateTime(text) {
+    const match = /(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/.exec(text || "");
+    if (!match) {
+      return null;
+    }
+
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    return new Date(Date.UTC(2000 + year, month - 1, day, hour, minute));
+  }
+
+  /**
+   * F)/G) limits in openAIP form; null when absent or not understood
+   */
+  static parseLimit(text) {
+    if (!text) {
+      return null;
+    }
+
+    const value = text
+      .toUpperCase()
+      .replace(/\bAMSL\b/, "MSL")
+      .replace(/(\d)\s*(FT|M)\b/, "$1 $2");
+    try {
+      return OpenAirParser.parseAltitude(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Item D) daily schedule. Understands time windows ("0800-1600", "H24")
+   * optionally grouped under dates ("OCT 21 23-25 0800-1200") or weekdays
+   * ("MON-FRI 0800-1600"); anything else returns null, meaning active for
+   * the whole B)-C) period.
+   * @returns {Array|null} [{ dates: Set of "MM-DD" | null,
+   *   weekdays: Set of 0-6 | null, windows: [{ start, end }] }]
+   */
+  static parseSchedule(text) {
+    if (!text) {
+      return null;
+    }
+
+    const periods = [];
+    let month = null;
+    let current = { dates: null, weekdays: null, windows: [] };
+
+    // A day after some windows starts the next period
+    const nextPeriod = () => {
+      if (current.windows.length > 0) {
+        periods.push(current);
+        current = { dates: null, weekdays: null, windows: [] };
+      }
+    };
+    const addDate = (day) => {
+      if (month === null) {
+        throw new Error("day without month");
+      }
+      nextPeriod();
+      current.dates = current.dates || new Set();
+      current.dates.add(`${String(month + 1).padStart(2, "0")}-${String(day).padStart(2, "0")}`);
+    };
+    const addWeekdays = (first, last) => {
+      nextPeriod();
+      current.weekdays = current.weekdays || new Set();
+      for (let day = first; ; day = (day + 1) % 7) {
+        current.weekdays.add(day);
+        if (day === last) break;
+      }
+    };
+
+    try {
+      text
+        .toUpperCase()
+        .replace(/,/g, " ")
+        .split(/\s+/)
+        .filter(Boolean)
+        .forEach((token) => {
+          const time = /^(\d{2})(\d{2})-(\d{2})(\d{2})$/.exec(token);
+          const days = /^(\d{1,2})(?:-(\d{1,2}))?$/.exec(token);
+          const weekdays = /^([A-Z]{3})(?:-([A-Z]{3}))?$/.exec(token);
+
+          if (MONTHS.includes(token)) {
+            month = MONTHS.indexOf(token);
+          } else if (time) {
+            current.windows.push({
+              start: parseInt(time[1], 10) * 60 + parseInt(time[2], 10),
+              end: parseInt(time[3], 10) * 60 + parseInt(time[4], 10),
+            });
+          } else if (token === "H24") {
+            current.windows.push({ start: 0, end: 1440 });
+          } else if (days) {
+            const first = parseInt(days[1], 10);
+            const last = days[2] ? parseInt(days[2], 10) : first;
+            for (let day = first; day <= last; day++) {
+              addDate(day);
+            }
+          } else if (weekdays && WEEKDAYS.includes(weekdays[1]) &&
+            (!weekdays[2] || WEEKDAYS.includes(weekdays[2]))) {
+            addWeekdays(
+              WEEKDAYS.indexOf(weekdays[1]),
+              WEEKDAYS.indexOf(weekdays[2] || weekdays[1])
+            );
+          } else if (token !== "DAILY" && token !== "AND") {
+            throw new Error(`unsupported schedule token ${token}`);
+          }
+        });
+    } catch (error) {
+      console.warn(`NOTAM schedule "${text}" not understood (${error.message})`);
+      return null;
+    }
+
+    if (current.windows.length > 0) {
+      periods.push(current);
+    }
+    return periods.length > 0 ? periods : null;
+  }
+
+  /**
+   * Whether the NOTAM is in force at the given time (B)-C) period and D)
+   * schedule; windows ending before they start run past midnight)
+   * @param {Object} notam - Parsed NOTAM
+   * @param {Date} time - Time to evaluate
+   * @returns {boolean}
+   */
+  static isInForce(notam, time) {
+    if (time < notam.start || (notam.end && time >= notam.end)) {
+      return false;
+    }
+    if (!notam.schedule) {
+      return true;
+    }
+
+    const today = time;
+    const yesterday = new Date(time.getTime() - 86400000);
+    const minutes = time.getUTCHours() * 60 + time.getUTCMinutes();
+
+    return notam.schedule.some(({ dates, weekdays, windows }) =>
+      windows.some(({ start, end }) => {
+        const onDay = (date) =>
+          (!dates || dates.has(date.toISOString().slice(5, 10))) &&
+          (!weekdays || weekdays.has(date.getUTCDay()));
+        if (end > start) {
+          return onDay(today) && minutes >= start && minutes < end;
+        }
+        return (
+          (onDay(today) && minutes >= start) ||
+          (onDay(yesterday) && minutes < end)
+        );
+      })
+    );
+  }
+
+  static isAreaNotam(notam) {
+    return (
+      notam.q.subject in AREA_SUBJECTS || notam.q.subject.startsWith("W")
+    );
+  }
+
+  // Activation unless the Q-code condition says the area is switched off
+  static isActivation(notam) {
+    return !DEACTIVATING_CONDITIONS.has(notam.q.condition);
+  }
+
+  /**
+   * Temporary airspace volume from the Q-line circle, as an openAIP-style
+   * GeoJSON feature. Limits come from F)/G), else from the Q-line levels.
+   * @param {Object} notam - Parsed NOTAM
+   * @returns {Object|null} Feature, or null without a usable circle
+   */
+  static toFeature(notam) {
+    const { q } = notam;
+    // 999 NM means "whole FIR"; such NOTAMs have no meaningful volume
+    if (!q.center || !q.radiusNm || q.radiusNm >= 999) {
+      return null;
+    }
+
+    const ring = [];
+    for (let angle = 0; angle < 360; angle += OpenAirParser.ARC_STEP_DEGREES) {
+      ring.push(OpenAirParser.destination(q.center, q.radiusNm * NM_TO_METERS, angle));
+    }
+    ring.push([...ring[0]]);
+
+    const lowerLimit = notam.lowerLimit ||
+      (q.lowerFlightLevel === 0
+        ? { value: 0, unit: 1, referenceDatum: 0 }
+        : { value: q.lowerFlightLevel, unit: 6, referenceDatum: 2 });
+    const upperLimit = notam.upperLimit ||
+      { value: q.upperFlightLevel, unit: 6, referenceDatum: 2 };
+    const summary = notam.text.split(/[.\n]/)[0].slice(0, 40).trim();
+
+    return {
+      type: "Feature",
+      id: `notam_${notam.id.replace("/", "_")}`,
+      properties: {
+        name: `${notam.id} ${summary}`.trim(),
+        type: AREA_SUBJECTS[q.subject] ?? WARNING_TYPE,
+        icaoClass: 8,
+        country: "",
+        lowerLimit,
+        upperLimit,
+        byNotam: true,
+      },
+      geometry: { type: "Polygon", coordinates: [ring] },
+    };
+  }
+}
@@ -0,0 +1,413 @@
+// openair-parser.js
+// OpenAIR airspace file parser producing openAIP-style GeoJSON features
+
+/**
+ * OpenAIR class (AC record) to openAIP icaoClass / type codes,
+ * matching the coding used by the GeoJSON airspace exports
+ */
+const OPENAIR_CLASSES = {
+  A: { icaoClass: 0, type: 0 },
+  B: { icaoClass: 1, type: 0 },
+  C: { icaoClass: 2, type: 0 },
+  D: { icaoClass: 3, type: 0 },
+  E: { icaoClass: 4, type: 0 },
+  F: { icaoClass: 5, type: 0 },
+  G: { icaoClass: 6, type: 0 },
+  R: { icaoClass: 8, type: 1 }, // Restricted
+  Q: { icaoClass: 8, type: 2 }, // Danger
+  P: { icaoClass: 8, type: 3 }, // Prohibited
+  CTR: { icaoClass: 3, type: 4 },
+  TMZ: { icaoClass: 6, type: 5 },
+  RMZ: { icaoClass: 6, type: 6 },
+  GP: { icaoClass: 8, type: 3 }, // Glider prohibited
+  W: { icaoClass: 8, type: 18 }, // Wave window
+};
+
+/**
+ * Extended OpenAIR type names (AY record) to openAIP type codes
+ */
+const OPENAIR_TYPES = {
+  RESTRICTED: 1,
+  DANGER: 2,
+  PROHIBITED: 3,
+  CTR: 4,
+  TMZ: 5,
+  RMZ: 6,
+  TMA: 7,
+  TRA: 8,
+  TSA: 9,
+  FIR: 10,
+  UIR: 11,
+  ATZ: 13,
+  CTA: 26,
+};
+
+const NM_TO_METERS = 1852;
+
+/**
+ * Parser for OpenAIR text files (AC/AN/AL/AH records with DP/DA/DB/DC
+ * and V X=/V D= geometry)
+ */
+export class OpenAirParser {
+  static EARTH_RADIUS = 6371008.8;
+  static ARC_STEP_DEGREES = 2; // Angular resolution for arcs and circles
+
+  /**
+   * Parse OpenAIR text into a GeoJSON FeatureCollection
+   * @param {string} text - OpenAIR file contents
+   * @returns {Object} GeoJSON FeatureCollection with openAIP-style properties
+   */
+  static parse(text) {
+    if (typeof text !== "string") {
+      throw new Error("Invalid OpenAIR data");
+    }
+
+    const features = [];
+    let current = null;
+    let state = this.createGeometryState();
+
+    const flush = () => {
+      if (current) {
+        const feature = this.buildFeature(current, features.length + 1);
+        if (feature) {
+          features.push(feature);
+        } else {
+          console.warn(
+            `Skipping OpenAIR airspace ${current.name || "(unnamed)"}: no usable geometry`
+          );
+        }
+      }
+      current = null;
+      state = this.createGeometryState();
+    };
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.replace(/\s*\*.*$/, "").trim();
+      if (!line) return;
+
+      const match = line.match(/^([A-Z]{1,2})\s*(.*)$/i);
+      if (!match) return;
+
+      const record = match[1].toUpperCase();
+      const value = match[2].trim();
+
+      try {
+        if (record === "AC") {
+          flush();
+          current = this.createAirspace(value);
+          return;
+        }
+
+        if (!current) return;
+
+        this.applyRecord(current, state, record, value);
+      } catch (error) {
+        console.warn(`OpenAIR line ${index + 1} ignored (${error.message}): ${rawLine}`);
+      }
+    });
+
+    flush();
+
+    return { type: "FeatureCollection", features };
+  }
+
+  static createGeometryState() {
+    return { center: null, clockwise: true };
+  }
+
+  static createAirspace(acValue) {
+    const airspaceClass = acValue.toUpperCase();
+    const codes = OPENAIR_CLASSES[airspaceClass] || { icaoClass: 8, type: 0 };
+
+    return {
+      openAirClass: airspaceClass,
+      icaoClass: codes.icaoClass,
+      type: codes.type,
+      name: null,
+      designator: null,
+      lowerLimit: null,
+      upperLimit: null,
+      frequencies: [],
+      points: [],
+    };
+  }
+
+  static applyRecord(airspace, state, record, value) {
+    switch (record) {
+      case "AN":
+        airspace.name = value;
+        break;
+      case "AI":
+        airspace.designator = value;
+        break;
+      case "AY": {
+        const type = OPENAIR_TYPES[value.toUpperCase()];
+        if (type !== undefined) airspace.type = type;
+        break;
+      }
+      case "AL":
+        airspace.lowerLimit = this.parseAltitude(value);
+        break;
+      case "AH":
+        airspace.upperLimit = this.parseAltitude(value);
+        break;
+      case "AF":
+        airspace.frequencies.push({ value: value, unit: 2, primary: true, name: airspace.name });
+        break;
+      case "AG":
+        airspace.frequencies.forEach((freq) => (freq.name = value));
+        break;
+      case "V":
+        this.applyVariable(state, value);
+        break;
+      case "DP":
+        airspace.points.push(this.parseCoordinate(value));
+        break;
+      case "DA":
+        airspace.points.push(...this.arcFromAngles(state, value));
+        break;
+      case "DB":
+        airspace.points.push(...this.arcFromPoints(state, value));
+        break;
+      case "DC":
+        airspace.points.push(...this.circle(state, value));
+        break;
+      default:
+        // SP/SB styling, AT label positions and other records are not needed
+        break;
+    }
+  }
+
+  static applyVariable(state, value) {
+    const match = value.match(/^([A-Z])\s*=\s*(.+)$/i);
+    if (!match) {
+      throw new Error("malformed variable");
+    }
+
+    const name = match[1].toUpperCase();
+    if (name === "X") {
+      state.center = this.parseCoordinate(match[2]);
+    } else if (name === "D") {
+      state.clockwise = match[2].trim() !== "-";
+    }
+  }
+
+  /**
+   * Parse an OpenAIR coordinate such as "46:12:30 N 014:30:00 E",
+   * "46:12.5N 14:30.0E" or "46.2083 N 14.5 E"
+   * @returns {number[]} [longitude, latitude]
+   */
+  static parseCoordinate(text) {
+    const match = text.match(
+      /([\d.]+)(?::([\d.]+))?(?::([\d.]+))?\s*([NS])\s*,?\s*([\d.]+)(?::([\d.]+))?(?::([\d.]+))?\s*([EW])/i
+    );
+    if (!match) {
+      throw new Error(`invalid coordinate "${text}"`);
+    }
+
+    const toDecimal = (deg, min, sec, hemisphere) => {
+      const value =
+        parseFloat(deg) + (parseFloat(min) || 0) / 60 + (parseFloat(sec) || 0) / 3600;
+      return /[SW]/i.test(hemisphere) ? -value : value;
+    };
+
+    const latitude = toDecimal(match[1], match[2], match[3], match[4]);
+    const longitude = toDecimal(match[5], match[6], match[7], match[8]);
+    return [longitude, latitude];
+  }
+
+  /**
+   * Parse an OpenAIR altitude into an openAIP-style limit object
+   * (unit 0 = m, 1 = ft, 6 = FL; referenceDatum 0 = GND, 1 = MSL, 2 = STD)
+   */
+  static parseAltitude(text) {
+    const value = text.toUpperCase().replace(/\s+/g, " ").trim();
+
+    if (/^(SFC|GND|SURFACE)$/.test(value)) {
+      return { value: 0, unit: 1, referenceDatum: 0 };
+    }
+
+    if (/^(UNL|UNLIM|UNLIMITED)/.test(value)) {
+      return { value: 999, unit: 6, referenceDatum: 2 };
+    }
+
+    const flightLevel = value.match(/^FL\s*(\d+)/);
+    if (flightLevel) {
+      return { value: parseInt(flightLevel[1], 10), unit: 6, referenceDatum: 2 };
+    }
+
+    const numeric = value.match(/^(\d+(?:\.\d+)?)\s*(FT|F|M)?\s*(.*)$/);
+    if (!numeric) {
+      throw new Error(`invalid altitude "${text}"`);
+    }
+
+    const unit = numeric[2] === "M" ? 0 : 1;
+    const reference = numeric[3];
+    const referenceDatum = /AGL|GND|SFC/.test(reference) ? 0 : /STD/.test(reference) ? 2 : 1;
+
+    return { value: parseFloat(numeric[1]), unit, referenceDatum };
+  }
+
+  /**
+   * DA radius, startAngle, endAngle - arc around V X= (radius in NM, bearings in degrees)
+   */
+  static arcFromAngles(state, value) {
+    const center = this.requireCenter(state);
+    const [radius, start, end] = value.split(",").map((part) => parseFloat(part));
+    if ([radius, start, end].some((part) => isNaN(part))) {
+      throw new Error("invalid DA arc");
+    }
+
+    return this.generateArc(center, radius * NM_TO_METERS, start, end, state.clockwise);
+  }
+
+  /**
+   * DB coordinate1, coordinate2 - arc around V X= from the first to the second point
+   */
+  static arcFromPoints(state, value) {
+    const center = this.requireCenter(state);
+    const parts = value.split(",");
+    if (parts.length < 2) {
+      throw new Error("invalid DB arc");
+    }
+
+    const from = this.parseCoordinate(parts[0]);
+    const to = this.parseCoordinate(parts.slice(1).join(","));
+    const radius = this.distance(center, from);
+    const start = this.bearing(center, from);
+    const end = this.bearing(center, to);
+
+    // Use the exact end points so adjoining DP records line up
+    const arc = this.generateArc(center, radius, start, end, state.clockwise);
+    return [from, ...arc.slice(1, -1), to];
+  }
+
+  /**
+   * DC radius - full circle around V X= (radius in NM)
+   */
+  static circle(state, value) {
+    const center = this.requireCenter(state);
+    const radius = parseFloat(value);
+    if (isNaN(radius)) {
+      throw new Error("invalid DC radius");
+    }
+
+    const points = [];
+    for (let angle = 0; angle < 360; angle += this.ARC_STEP_DEGREES) {
+      points.push(this.destination(center, radius * NM_TO_METERS, angle));
+    }
+    return points;
+  }
+
+  static requireCenter(state) {
+    if (!state.center) {
+      throw new Error("arc without V X= center");
+    }
+    return state.center;
+  }
+
+  static generateArc(center, radius, startBearing, endBearing, clockwise) {
+    let sweep = clockwise
+      ? (endBearing - startBearing + 360) % 360
+      : -((startBearing - endBearing + 360) % 360);
+    if (sweep === 0) sweep = clockwise ? 360 : -360;
+
+    const steps = Math.max(1, Math.ceil(Math.abs(sweep) / this.ARC_STEP_DEGREES));
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      points.push(this.destination(center, radius, startBearing + (sweep * i) / steps));
+    }
+    return points;
+  }
+
+  /**
+   * Great-circle destination point
+   * @param {number[]} origin - [longitude, latitude]
+   * @param {number} distance - Distance in meters
+   * @param {number} bearing - Initial bearing in degrees from true north
+   * @returns {number[]} [longitude, latitude]
+   */
+  static destination(origin, distance, bearing) {
+    const toRad = Math.PI / 180;
+    const φ1 = origin[1] * toRad;
+    const λ1 = origin[0] * toRad;
+    const θ = bearing * toRad;
+    const δ = distance / this.EARTH_RADIUS;
+
+    const φ2 = Math.asin(
+      Math.sin(φ1) * Math.cos(δ) + Math.cos(φ1) * Math.sin(δ) * Math.cos(θ)
+    );
+    const λ2 =
+      λ1 +
+      Math.atan2(
+        Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
+        Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2)
+      );
+
+    return [(((λ2 / toRad) + 540) % 360) - 180, φ2 / toRad];
+  }
+
+  /**
+   * Great-circle distance in meters between two [longitude, latitude] points
+   */
+  static distance(from, to) {
+    const toRad = Math.PI / 180;
+    const Δφ = (to[1] - from[1]) * toRad;
+    const Δλ = (to[0] - from[0]) * toRad;
+    const a =
+      Math.sin(Δφ / 2) ** 2 +
+      Math.cos(from[1] * toRad) * Math.cos(to[1] * toRad) * Math.sin(Δλ / 2) ** 2;
+    return 2 * this.EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Initial great-circle bearing in degrees between two [longitude, latitude] points
+   */
+  static bearing(from, to) {
+    const toRad = Math.PI / 180;
+    const φ1 = from[1] * toRad;
+    const φ2 = to[1] * toRad;
+    const Δλ = (to[0] - from[0]) * toRad;
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    return ((Math.atan2(y, x) / toRad) + 360) % 360;
+  }
+
+  static buildFeature(airspace, index) {
+    // Drop consecutive duplicates where a DP repeats an arc end point
+    const ring = airspace.points.filter(
+      (point, i, points) =>
+        i === 0 || point[0] !== points[i - 1][0] || point[1] !== points[i - 1][1]
+    );
+    if (ring.length < 3) {
+      return null;
+    }
+
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      ring.push([first[0], first[1]]);
+    }
+
+    const name = airspace.name || `OpenAIR ${airspace.openAirClass} ${index}`;
+
+    return {
+      type: "Feature",
+      id: airspace.designator || `openair_${index}`,
+      properties: {
+        name: name,
+        type: airspace.type,
+        icaoClass: airspace.icaoClass,
+        openAirClass: airspace.openAirClass,
+        lowerLimit: airspace.lowerLimit || { value: 0, unit: 1, referenceDatum: 0 },
+        upperLimit: airspace.upperLimit || { value: 999, unit: 6, referenceDatum: 2 },
+        frequencies: airspace.frequencies,
+        source: "openair",
+      },
+      geometry: {
+        type: "Polygon",
+        coordinates: [ring],
+      },
+    };
+  }
+}
@@ -0,0 +1,166 @@
+// readsb-provider.js
+// Local ADS-B receiver: polls a readsb / dump1090 / tar1090 aircraft.json
+
+import { AircraftState, AircraftConfig } from "./aircraft-types.js";
+import { AircraftProvider } from "./aircraft-providers.js";
+
+const FEET_TO_METERS = 0.3048;
+const KNOTS_TO_MPS = 0.514444;
+const FPM_TO_MPS = 0.00508;
+
+/**
+ * Reads the aircraft.json a local receiver writes every second. There is
+ * no quota, so the tracker polls it at the receiver's rate. A loaded file
+ * replaces the URL for offline use.
+ */
+export class ReadsbProvider extends AircraftProvider {
+  static URL_KEY = "readsb_url";
+
+  /**
+   * @param {Object} options - { url, priority, enabled, maxAge }
+   */
+  constructor(options = {}) {
+    // Own receiver beats the network feeds for the same aircraft
+    super("readsb", "Local receiver (readsb)", { priority: 20, ...options });
+    const config = AircraftConfig.readsb;
+
+    this.url = options.url || this.loadUrl() || config.url;
+    this.timeout = config.timeout;
+    this.maxAge = options.maxAge ?? config.maxAge;
+    this.file = null; // { name, data } when reading a loaded file
+
+    Object.assign(this.capabilities, {
+      minInterval: config.updateInterval,
+      updateInterval: config.updateInterval,
+    });
+  }
+
+  async fetch(bbox) {
+    const data = this.file ? this.file.data : await this.request();
+    return AircraftProvider.filterByBounds(ReadsbProvider.parse(data, this.maxAge), bbox);
+  }
+
+  async request() {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(this.url, {
+        signal: controller.signal,
+        cache: "no-store",
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      return await response.json();
+    } catch (error) {
+      if (error.name === "AbortError") {
+        throw new Error(`Receiver timeout after ${this.timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Poll a different aircraft.json URL (remembered in the browser)
+   * @param {string} url - e.g. http://raspberrypi.local/tar1090/data/aircraft.json
+   */
+  setUrl(url) {
+    this.url = url;
+    this.file = null;
+    try {
+      localStorage.setItem(ReadsbProvider.URL_KEY, url);
+    } catch (error) {
+      console.warn("Failed to save receiver URL to localStorage:", error);
+    }
+  }
+
+  loadUrl() {
+    try {
+      return localStorage.getItem(ReadsbProvider.URL_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Serve a saved aircraft.json instead of polling the receiver
+   * @param {string} text - File contents
+   * @param {string} name - File name
+   * @throws {Error} When the file is not an aircraft.json
+   */
+  loadFile(text, name = "aircraft.json") {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data.aircraft)) {
+      throw new Error(`${name} has no "aircraft" list`);
+    }
+    this.file = { name, data };
+  }
+
+  clearFile() {
+    this.file = null;
+  }
+
+  getHealth() {
+    const health = super.getHealth();
+    health.source = this.file ? this.file.name : this.url;
+    return health;
+  }
+
+  /**
+   * Convert an aircraft.json document to aircraft states. seen / seen_pos
+   * are ages, applied to the time of reading rather than the file's `now`,
+   * so a recorded or replayed file (and a receiver with a skewed clock)
+   * still gives current aircraft.
+   * @param {Object} data - { now, aircraft: [...] }
+   * @param {number} maxAge - Drop aircraft not heard for this many seconds
+   * @param {number} now - Time of reading (Unix seconds)
+   * @returns {AircraftState[]}
+   */
+  static parse(data, maxAge = AircraftConfig.readsb.maxAge, now = Date.now() / 1000) {
+    return (data?.aircraft || [])
+      .filter((entry) => entry.hex && (entry.seen ?? 0) <= maxAge)
+      .map((entry) => ReadsbProvider.toAircraftState(entry, now));
+  }
+
+  /**
+   * Map one aircraft.json entry (feet, knots, ft/min) to OpenSky units
+   * @param {Object} entry - readsb aircraft object
+   * @param {number} now - Time of reading (Unix seconds)
+   * @returns {AircraftState}
+   */
+  static toAircraftState(entry, now) {
+    // readsb uses alt_baro / gs / baro_rate, older dump1090 altitude / speed / vert_rate
+    const altBaro = entry.alt_baro ?? entry.altitude;
+    const onGround = altBaro === "ground";
+    const toMeters = (feet) => (Number.isFinite(feet) ? feet * FEET_TO_METERS : null);
+    const speed = entry.gs ?? entry.speed;
+    const rate = entry.baro_rate ?? entry.geom_rate ?? entry.vert_rate;
+    const hasPosition = Number.isFinite(entry.lat) && Number.isFinite(entry.lon);
+
+    const mlat = entry.type === "mlat" || (entry.mlat || []).includes("lat");
+
+    return new AircraftState([
+      entry.hex.toLowerCase(), // "~" marks non-ICAO (TIS-B) addresses
+      entry.flight || null,
+      "Unknown", // not in the receiver data
+      hasPosition ? Math.round(now - (entry.seen_pos ?? entry.seen ?? 0)) : null,
+      Math.round(now - (entry.seen ?? 0)),
+      hasPosition ? entry.lon : null,
+      hasPosition ? entry.lat : null,
+      onGround ? null : toMeters(altBaro),
+      onGround,
+      Number.isFinite(speed) ? speed * KNOTS_TO_MPS : null,
+      entry.track ?? null,
+      Number.isFinite(rate) ? rate * FPM_TO_MPS : null,
+      null,
+      toMeters(entry.alt_geom),
+      entry.squawk ?? null,
+      Boolean(entry.spi),
+      mlat ? 2 : 0,
+      AircraftState.getCategoryFromEmitter(entry.category),
+    ]);
+  }
+}
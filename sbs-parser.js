@@ -0,0 +1,131 @@
+// sbs-parser.js
+// SBS-1 BaseStation CSV parser (port 30003 "MSG" lines)
+
+const FEET_TO_METERS = 0.3048;
+const KNOTS_TO_MPS = 0.514444;
+const FPM_TO_MPS = 0.00508;
+
+// Field positions in a MSG line
+const FIELD = {
+  TYPE: 1,
+  HEX: 4,
+  CALLSIGN: 10,
+  ALTITUDE: 11, // ft
+  GROUND_SPEED: 12, // kt
+  TRACK: 13,
+  LATITUDE: 14,
+  LONGITUDE: 15,
+  VERTICAL_RATE: 16, // ft/min
+  SQUAWK: 17,
+  ALERT: 18,
+  EMERGENCY: 19,
+  SPI: 20,
+  ON_GROUND: 21,
+};
+
+/**
+ * Parser for the BaseStation format most feeders (dump1090, readsb,
+ * Radarcape) serve on TCP port 30003:
+ *
+ *   MSG,3,1,1,4CA1FA,1,2024/10/21,12:00:00.000,2024/10/21,12:00:00.000,,37000,,,46.1234,14.4567,,,0,0,0,0
+ *
+ * Each transmission type carries only some fields, so the message is
+ * merged into a per-aircraft record:
+ *   1 identification (callsign), 2 surface position, 3 airborne position,
+ *   4 airborne velocity, 5 surveillance altitude, 6 surveillance ID
+ *   (squawk), 7 air-to-air, 8 all-call reply
+ */
+export class SBSParser {
+  /**
+   * Parse one line
+   * @param {string} line - CSV line
+   * @returns {Object|null} { type, icao24, callsign, altitude, groundSpeed,
+   *   track, latitude, longitude, verticalRate, squawk, alert, emergency,
+   *   spi, onGround }; fields the message does not carry are undefined.
+   *   null for other record kinds (SEL, ID, AIR, STA, CLK).
+   * @throws {Error} For malformed MSG lines
+   */
+  static parseLine(line) {
+    const fields = line.trim().split(",");
+    if (fields[0] !== "MSG") {
+      return null;
+    }
+
+    const type = Number(fields[FIELD.TYPE]);
+    if (!Number.isInteger(type) || type < 1 || type > 8) {
+      throw new Error(`Unknown transmission type: ${fields[FIELD.TYPE]}`);
+    }
+    const hex = fields[FIELD.HEX]?.trim() || "";
+    if (!/^[0-9A-Fa-f]{6}$/.test(hex)) {
+      throw new Error(`Invalid hex ident: ${hex || "(empty)"}`);
+    }
+
+    const text = (index) => fields[index]?.trim() || undefined;
+    const number = (index) => {
+      const value = text(index);
+      return value === undefined || !Number.isFinite(Number(value)) ? undefined : Number(value);
+    };
+    // Flags are -1 (set) or 0; some feeders send 1
+    const flag = (index) => {
+      const value = text(index);
+      return value === undefined ? undefined : value !== "0";
+    };
+
+    return {
+      type,
+      icao24: hex.toLowerCase(),
+      callsign: text(FIELD.CALLSIGN),
+      altitude: number(FIELD.ALTITUDE),
+      groundSpeed: number(FIELD.GROUND_SPEED),
+      track: number(FIELD.TRACK),
+      latitude: number(FIELD.LATITUDE),
+      longitude: number(FIELD.LONGITUDE),
+      verticalRate: number(FIELD.VERTICAL_RATE),
+      squawk: text(FIELD.SQUAWK),
+      alert: flag(FIELD.ALERT),
+      emergency: flag(FIELD.EMERGENCY),
+      spi: flag(FIELD.SPI),
+      onGround: type === 2 ? true : flag(FIELD.ON_GROUND),
+    };
+  }
+
+  /**
+   * Merge a message into an aircraft record (AircraftState field names and
+   * units); fields the message does not carry keep their previous value
+   * @param {Object} record - Record to update
+   * @param {Object} message - Result of parseLine()
+   * @param {number} now - Receive time (Unix seconds)
+   * @returns {Object} The record
+   */
+  static applyMessage(record, message, now = Date.now() / 1000) {
+    const set = (key, value) => {
+      if (value !== undefined) {
+        record[key] = value;
+      }
+    };
+
+    set("callsign", message.callsign);
+    set("squawk", message.squawk);
+    set("spi", message.spi);
+    set("onGround", message.onGround);
+    set("trueTrack", message.track);
+
+    if (message.altitude !== undefined) {
+      record.baroAltitude = message.altitude * FEET_TO_METERS;
+    }
+    if (message.groundSpeed !== undefined) {
+      record.velocity = message.groundSpeed * KNOTS_TO_MPS;
+    }
+    if (message.verticalRate !== undefined) {
+      record.verticalRate = message.verticalRate * FPM_TO_MPS;
+    }
+    if (message.latitude !== undefined && message.longitude !== undefined) {
+      record.latitude = message.latitude;
+      record.longitude = message.longitude;
+      record.timePosition = Math.floor(now);
+    }
+
+    record.lastContact = Math.floor(now);
+    return record;
+  }
+}
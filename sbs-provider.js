@@ -0,0 +1,63 @@
+// sbs-provider.js
+// Streams SBS-1 BaseStation messages from a WebSocket bridge
+
+import { AircraftConfig } from "./aircraft-types.js";
+import { StreamProvider } from "./aircraft-providers.js";
+import { SBSParser } from "./sbs-parser.js";
+
+/**
+ * Browsers cannot open the feeder's TCP port 30003 directly; a bridge such
+ * as `websockify 30006 localhost:30003` forwards it as WebSocket frames.
+ * Messages are merged per icao24 and pushed to the tracker as they arrive.
+ */
+export class SBSProvider extends StreamProvider {
+  static URL_KEY = "sbs_url";
+
+  /**
+   * @param {Object} options - See StreamProvider
+   */
+  constructor(options = {}) {
+    const config = AircraftConfig.sbs;
+    super("sbs", "SBS-1 stream (port 30003)", {
+      priority: 15,
+      maxAge: config.maxAge,
+      staleAfter: config.staleAfter,
+      reconnectInterval: config.reconnectInterval,
+      ...options,
+    });
+    this.url = options.url || this.loadUrl() || config.url;
+  }
+
+  handleData(lines) {
+    lines.forEach((line) => {
+      try {
+        const message = SBSParser.parseLine(line);
+        if (!message) {
+          return;
+        }
+        const record = this.getRecord(message.icao24);
+        SBSParser.applyMessage(record, message);
+        this.countMessage(record, `MSG,${message.type}`);
+      } catch (error) {
+        this.countError();
+      }
+    });
+  }
+
+  setUrl(url) {
+    super.setUrl(url);
+    try {
+      localStorage.setItem(SBSProvider.URL_KEY, url);
+    } catch (error) {
+      console.warn("Failed to save SBS stream URL to localStorage:", error);
+    }
+  }
+
+  loadUrl() {
+    try {
+      return localStorage.getItem(SBSProvider.URL_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+}
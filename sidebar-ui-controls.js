@@ -3,6 +3,11 @@
 
 import { AirspaceClassifier } from "./airspace-classifier.js";
 import { AircraftConfig } from "./aircraft-types.js";
+import { AirspaceDataProcessor } from "./data-processor.js";
+import { AirspaceDiff } from "./airspace-diff.js";
+import { ThemeManager } from "./theme-manager.js";
+import { AirspaceEditor } from "./airspace-editor.js";
+import { AirspaceExporter } from "./airspace-exporter.js";
 
 export class SidebarUIControls {
   constructor(airspaceVisualizer, aircraftTracker, windParticleManager = null) {
@@ -19,6 +24,8 @@ export class SidebarUIControls {
     this.airspaceControls = null;
     this.aircraftControls = null;
     this.weatherControls = null;
+    this.crossSectionPanel = null;
+    this.airspaceEditor = null;
 
     // DOM elements
     this.sidebar = null;
@@ -30,6 +37,9 @@ export class SidebarUIControls {
     this.realTimeUpdateTimer = null;
 
     this.initialize();
+
+    // Legend and class swatches follow the active style theme
+    ThemeManager.onThemeChange((theme) => this.refreshThemedElements(theme));
   }
 
   initialize() {
@@ -182,6 +192,11 @@ export class SidebarUIControls {
                     </div>
                     <input type="range" id="sidebarAltitudeSlider"
                            min="0" max="20000" step="100" value="20000" class="altitude-slider">
+                    <div class="altitude-display">
+                        <span>From </span><span class="altitude-min-value">0ft (0m)</span>
+                    </div>
+                    <input type="range" id="sidebarMinAltitudeSlider"
+                           min="0" max="20000" step="100" value="0" class="altitude-slider">
                     <div class="range-labels">
                         <span>0ft (0m)</span>
                         <span>65,617ft (20km)</span>
@@ -189,6 +204,23 @@ export class SidebarUIControls {
                 </div>
             </div>
 
+            <div class="control-section">
+                <div class="section-header">
+                    <h4>Airspace Filters</h4>
+                </div>
+                <select id="sidebarStatusFilter" class="control-select">
+                    <option value="all">All airspaces</option>
+                    <option value="active">Active only</option>
+                    <option value="inactive">Inactive only</option>
+                </select>
+                <div class="filter-group" id="sidebarClassFilters">
+                    ${this.generateClassFilterHTML()}
+                </div>
+                <div class="filter-group" id="sidebarTypeFilters">
+                    ${this.generateTypeFilterHTML()}
+                </div>
+            </div>
+
             <div class="control-section">
                 <div class="section-header">
                     <h4>Display Options</h4>
@@ -203,6 +235,64 @@ export class SidebarUIControls {
                     <span class="checkmark"></span>
                     <span class="label-text">Show Airspace Labels</span>
                 </label>
+                <label class="checkbox-control" title="Hide labels that would overlap a more important one">
+                    <input type="checkbox" id="sidebarDeclutterLabels" checked>
+                    <span class="checkmark"></span>
+                    <span class="label-text">Declutter Labels</span>
+                </label>
+                <label class="checkbox-control" title="Show upper and lower limits under each airspace name">
+                    <input type="checkbox" id="sidebarLabelLimits">
+                    <span class="checkmark"></span>
+                    <span class="label-text">Vertical Limits on Labels</span>
+                </label>
+                <label class="checkbox-control" title="Draw all airspaces as batched primitives; faster filtering for large datasets">
+                    <input type="checkbox" id="sidebarBatchedRendering">
+                    <span class="checkmark"></span>
+                    <span class="label-text">Batched Rendering</span>
+                </label>
+                <div class="range-inputs">
+                    <span>Style theme</span>
+                    <select id="sidebarThemeSelect" class="control-select">
+                        ${ThemeManager.THEMES.map(
+                          (theme) =>
+                            `<option value="${theme.id}">${theme.name}</option>`
+                        ).join("")}
+                    </select>
+                </div>
+                <label class="btn outline small" for="sidebarThemeFile">Load theme file…</label>
+                <input type="file" id="sidebarThemeFile" accept=".json" style="display: none;">
+                <div id="sidebarThemeStatus" class="theme-status"></div>
+            </div>
+
+            <div class="control-section">
+                <div class="section-header">
+                    <h4>Cross-Section</h4>
+                </div>
+                <div class="action-buttons">
+                    <button id="sidebarDrawCrossSection" class="btn primary small">Draw line</button>
+                    <button id="sidebarClearCrossSection" class="btn secondary small">Clear</button>
+                </div>
+            </div>
+
+            <div class="control-section">
+                <div class="section-header">
+                    <h4>Pressure Settings</h4>
+                </div>
+                <div class="range-inputs">
+                    <span>QNH (hPa)</span>
+                    <input type="number" id="sidebarQnh" value="${
+                      AirspaceDataProcessor.pressureSettings.qnh
+                    }" min="900" max="1100" step="1">
+                </div>
+                <div class="range-inputs">
+                    <span>Transition alt. (ft)</span>
+                    <input type="number" id="sidebarTransitionAltitude" value="${
+                      AirspaceDataProcessor.pressureSettings.transitionAltitude
+                    }" min="1000" max="20000" step="500">
+                </div>
+                <div class="range-labels">
+                    <span id="sidebarTransitionLevel">Transition level: FL${AirspaceDataProcessor.getTransitionLevel()}</span>
+                </div>
             </div>
 
             <div class="control-section">
@@ -227,6 +317,123 @@ export class SidebarUIControls {
                 </div>
             </div>
 
+            <div class="control-section">
+                <div class="section-header">
+                    <h4>Datasets</h4>
+                </div>
+                <div id="sidebarDatasetList" class="airspace-details">
+                    <p>No dataset loaded</p>
+                </div>
+                <div class="range-inputs">
+                    <span>Effective</span>
+                    <input type="date" id="sidebarDatasetDate">
+                </div>
+                <div class="action-buttons">
+                    <label class="btn outline small" for="sidebarDatasetFile">Load dataset…</label>
+                </div>
+                <input type="file" id="sidebarDatasetFile" accept=".geojson,.json,.txt,.openair,.xml,.aixm" style="display: none;">
+                <div id="sidebarDatasetStatus" class="theme-status"></div>
+            </div>
+
+            <div class="control-section">
+                <div class="section-header">
+                    <h4>Data Validation</h4>
+                </div>
+                <div id="sidebarValidationReport">
+                    <p>No dataset loaded</p>
+                </div>
+                <button id="sidebarDownloadValidation" class="btn outline small" disabled>Download report</button>
+            </div>
+
+            <div class="control-section">
+                <div class="section-header">
+                    <h4>Dataset Changes</h4>
+                </div>
+                <div class="range-inputs">
+                    <span>Dataset</span>
+                    <select id="sidebarDiffLayer" class="control-select"></select>
+                </div>
+                <label class="btn outline small" for="sidebarDiffFile">Compare with previous cycle…</label>
+                <input type="file" id="sidebarDiffFile" accept=".geojson,.json" style="display: none;">
+                <button id="sidebarClearDiff" class="btn secondary small" style="display: none;">Clear</button>
+                <div id="sidebarDiffReport"></div>
+            </div>
+
+            <div class="control-section">
+                <div class="section-header">
+                    <h4>NOTAMs</h4>
+                </div>
+                <textarea id="sidebarNotamText" class="notam-input" placeholder="Paste ICAO NOTAMs (Q) and A)-G) items)"></textarea>
+                <div class="action-buttons">
+                    <button id="sidebarApplyNotams" class="btn primary small">Apply</button>
+                    <label class="btn outline small" for="sidebarNotamFile">Load file…</label>
+                    <button id="sidebarClearNotams" class="btn secondary small">Clear</button>
+                </div>
+                <input type="file" id="sidebarNotamFile" accept=".txt,.notam" style="display: none;">
+                <div id="sidebarNotamStatus" class="theme-status"></div>
+            </div>
+
+            <div class="control-section">
+                <div class="section-header">
+                    <h4>Custom Airspaces</h4>
+                </div>
+                <div class="range-inputs">
+                    <span>Name</span>
+                    <input type="text" id="sidebarCustomName" value="Custom area">
+                </div>
+                <div class="range-inputs">
+                    <span>Type</span>
+                    <select id="sidebarCustomType" class="control-select">
+                        ${Object.entries(AirspaceClassifier.AIRSPACE_TYPES)
+                          .map(
+                            ([type, info]) =>
+                              `<option value="${type}"${type === "8" ? " selected" : ""}>${info.name}</option>`
+                          )
+                          .join("")}
+                    </select>
+                    <span>Class</span>
+                    <select id="sidebarCustomClass" class="control-select">
+                        ${Object.entries(AirspaceClassifier.ICAO_CLASS_COLORS)
+                          .map(
+                            ([icaoClass, info]) =>
+                              `<option value="${icaoClass}"${icaoClass === "8" ? " selected" : ""}>${info.name}</option>`
+                          )
+                          .join("")}
+                    </select>
+                </div>
+                ${this.generateLimitInputHTML("Floor", "sidebarCustomFloor", 0, "ft AGL")}
+                ${this.generateLimitInputHTML("Ceiling", "sidebarCustomCeiling", 3000, "ft MSL")}
+                <div class="action-buttons">
+                    <button id="sidebarDrawCustomPolygon" class="btn primary small">Draw polygon</button>
+                    <button id="sidebarDrawCustomCircle" class="btn primary small">Draw circle</button>
+                </div>
+                <div id="sidebarCustomStatus" class="theme-status"></div>
+                <div id="sidebarCustomList" class="airspace-details"></div>
+                <div class="action-buttons">
+                    <button id="sidebarExportCustom" class="btn outline small">Export GeoJSON</button>
+                    <label class="btn outline small" for="sidebarImportCustom">Import…</label>
+                </div>
+                <input type="file" id="sidebarImportCustom" accept=".geojson,.json" style="display: none;">
+            </div>
+
+            <div class="control-section">
+                <div class="section-header">
+                    <h4>Export</h4>
+                </div>
+                <div class="range-inputs">
+                    <span>Format</span>
+                    <select id="sidebarExportFormat" class="control-select">
+                        <option value="kmz">KMZ (Google Earth)</option>
+                        <option value="kml">KML</option>
+                        <option value="geojson">GeoJSON</option>
+                    </select>
+                </div>
+                <div class="action-buttons">
+                    <button id="sidebarExportAirspaces" class="btn primary small">Export visible airspaces</button>
+                </div>
+                <div id="sidebarExportStatus" class="theme-status"></div>
+            </div>
+
             <div class="control-section">
                 <div class="section-header">
                     <h4>Statistics</h4>
@@ -266,11 +473,49 @@ export class SidebarUIControls {
                 <div class="section-header">
                     <h4>Data Source</h4>
                 </div>
-                <div class="checkbox-group">
-                    <label>
-                        <input type="checkbox" id="sidebarDemoMode">
-                        Demo Mode (Dummy Data)
-                    </label>
+                <div id="sidebarProviderList" class="airspace-details"></div>
+                <div class="range-inputs">
+                    <span>Client ID</span>
+                    <input type="text" id="sidebarOpenSkyClientId" autocomplete="off">
+                </div>
+                <div class="range-inputs">
+                    <span>Secret</span>
+                    <input type="password" id="sidebarOpenSkyClientSecret" autocomplete="off">
+                </div>
+                <div class="action-buttons">
+                    <button id="sidebarOpenSkySignIn" class="btn primary small">Use OpenSky account</button>
+                    <button id="sidebarOpenSkySignOut" class="btn secondary small">Anonymous</button>
+                </div>
+                <div id="sidebarOpenSkyStatus" class="theme-status"></div>
+                <div class="range-inputs">
+                    <span>Receiver</span>
+                    <input type="text" id="sidebarReadsbUrl" placeholder="http://…/data/aircraft.json">
+                </div>
+                <div class="action-buttons">
+                    <button id="sidebarReadsbApply" class="btn secondary small">Use URL</button>
+                    <label class="btn outline small" for="sidebarReadsbFile">Load aircraft.json…</label>
+                </div>
+                <input type="file" id="sidebarReadsbFile" accept=".json" style="display: none;">
+                <div class="range-inputs">
+                    <span>SBS stream</span>
+                    <input type="text" id="sidebarSBSUrl" placeholder="ws://localhost:30006">
+                </div>
+                <div class="action-buttons">
+                    <button id="sidebarSBSConnect" class="btn secondary small">Connect</button>
+                </div>
+                <div class="range-inputs">
+                    <span>Mode-S raw</span>
+                    <input type="text" id="sidebarModeSUrl" placeholder="ws://localhost:30007">
+                </div>
+                <div class="range-inputs">
+                    <span>Format</span>
+                    <select id="sidebarModeSFormat" class="control-select">
+                        <option value="beast">Beast (port 30005)</option>
+                        <option value="avr">AVR hex (port 30002)</option>
+                    </select>
+                </div>
+                <div class="action-buttons">
+                    <button id="sidebarModeSConnect" class="btn secondary small">Connect</button>
                 </div>
             </div>
 
@@ -356,6 +601,11 @@ export class SidebarUIControls {
     const labelToggle = this.sidebar.querySelector("#sidebarShowLabels");
     const legendToggle = this.sidebar.querySelector("#sidebarLegendToggle");
 
+    const minAltitudeSlider = this.sidebar.querySelector(
+      "#sidebarMinAltitudeSlider"
+    );
+    const minAltitudeValue = this.sidebar.querySelector(".altitude-min-value");
+
     if (altitudeSlider && altitudeValue) {
       altitudeSlider.addEventListener("input", (e) => {
         const value = parseInt(e.target.value);
@@ -370,6 +620,31 @@ export class SidebarUIControls {
       });
     }
 
+    // Lower end of the altitude band (kept at or below the maximum)
+    if (minAltitudeSlider && minAltitudeValue) {
+      minAltitudeSlider.oninput = (e) => {
+        const maxValue = altitudeSlider ? parseInt(altitudeSlider.value) : 20000;
+        const value = Math.min(parseInt(e.target.value), maxValue);
+        e.target.value = value;
+        minAltitudeValue.textContent = this.formatAltitudeDisplay(value);
+        if (this.airspaceVisualizer) {
+          this.airspaceVisualizer.setFilters({ minAltitude: value });
+          this.updateAirspaceStats();
+        }
+      };
+    }
+
+    // Class / type / status filters combine with the altitude band
+    const statusFilter = this.sidebar.querySelector("#sidebarStatusFilter");
+    if (statusFilter) {
+      statusFilter.onchange = () => this.applyAirspaceFilters();
+    }
+    this.sidebar
+      .querySelectorAll("#sidebarClassFilters input, #sidebarTypeFilters input")
+      .forEach((input) => {
+        input.onchange = () => this.applyAirspaceFilters();
+      });
+
     if (labelToggle) {
       labelToggle.addEventListener("change", (e) => {
         console.log("Label toggle changed:", e.target.checked);
@@ -404,6 +679,215 @@ export class SidebarUIControls {
       });
     }
 
+    // Style theme picker: built-in themes or a JSON file
+    const themeSelect = this.sidebar.querySelector("#sidebarThemeSelect");
+    if (themeSelect) {
+      themeSelect.onchange = (e) => {
+        if (e.target.value) {
+          this.applyTheme(e.target.value);
+        }
+      };
+    }
+    const themeFile = this.sidebar.querySelector("#sidebarThemeFile");
+    if (themeFile) {
+      themeFile.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+          await this.applyTheme(JSON.parse(await file.text()));
+        } catch (error) {
+          this.showThemeStatus(`Invalid theme file: ${error.message}`);
+        }
+        e.target.value = "";
+      };
+    }
+
+    // Entity vs batched primitive render path
+    const batchedToggle = this.sidebar.querySelector("#sidebarBatchedRendering");
+    if (batchedToggle) {
+      if (this.airspaceVisualizer) {
+        batchedToggle.checked =
+          this.airspaceVisualizer.renderMode === "primitive";
+      }
+      batchedToggle.onchange = (e) => {
+        if (this.airspaceVisualizer) {
+          this.airspaceVisualizer.setRenderMode(
+            e.target.checked ? "primitive" : "entity"
+          );
+          this.updateAirspaceStats();
+        }
+      };
+    }
+
+    const declutterToggle = this.sidebar.querySelector("#sidebarDeclutterLabels");
+    if (declutterToggle) {
+      if (this.airspaceVisualizer) {
+        declutterToggle.checked = this.airspaceVisualizer.labelDeclutterer.enabled;
+      }
+      declutterToggle.onchange = (e) => {
+        if (this.airspaceVisualizer) {
+          this.airspaceVisualizer.setLabelDeclutter(e.target.checked);
+        }
+      };
+    }
+
+    const labelLimitsToggle = this.sidebar.querySelector("#sidebarLabelLimits");
+    if (labelLimitsToggle) {
+      if (this.airspaceVisualizer) {
+        labelLimitsToggle.checked = this.airspaceVisualizer.showLabelLimits;
+      }
+      labelLimitsToggle.onchange = (e) => {
+        if (this.airspaceVisualizer) {
+          this.airspaceVisualizer.setShowLabelLimits(e.target.checked);
+        }
+      };
+    }
+
+    // QNH / transition altitude place flight-level limits in the 3D view
+    const qnhInput = this.sidebar.querySelector("#sidebarQnh");
+    const transitionInput = this.sidebar.querySelector(
+      "#sidebarTransitionAltitude"
+    );
+    [qnhInput, transitionInput].forEach((input) => {
+      if (!input) return;
+      input.onchange = () => {
+        const qnh = parseFloat(qnhInput.value);
+        const transitionAltitude = parseFloat(transitionInput.value);
+        if (!Number.isFinite(qnh) || !Number.isFinite(transitionAltitude)) {
+          return;
+        }
+        this.updatePressureSettings({ qnh, transitionAltitude });
+      };
+    });
+
+    // Dataset diff against an older GeoJSON file
+    const diffFile = this.sidebar.querySelector("#sidebarDiffFile");
+    const clearDiff = this.sidebar.querySelector("#sidebarClearDiff");
+    if (diffFile) {
+      diffFile.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file || !this.airspaceVisualizer) return;
+
+        try {
+          const previousGeoJson = JSON.parse(await file.text());
+          const layerId =
+            this.sidebar.querySelector("#sidebarDiffLayer")?.value || null;
+          const report = this.airspaceVisualizer.compareWithGeoJSON(
+            previousGeoJson,
+            layerId
+          );
+          this.showDiffReport(report, file.name);
+        } catch (error) {
+          console.error("Failed to compare airspace datasets:", error);
+          this.showDiffReport(null, file.name, error);
+        }
+        e.target.value = "";
+      };
+    }
+    if (clearDiff) {
+      clearDiff.onclick = () => {
+        this.airspaceVisualizer?.clearDiff();
+        this.showDiffReport(null);
+      };
+    }
+
+    const downloadValidation = this.sidebar.querySelector(
+      "#sidebarDownloadValidation"
+    );
+    if (downloadValidation) {
+      downloadValidation.onclick = () => this.downloadValidationReport();
+    }
+
+    const drawCrossSection = this.sidebar.querySelector(
+      "#sidebarDrawCrossSection"
+    );
+    const clearCrossSection = this.sidebar.querySelector(
+      "#sidebarClearCrossSection"
+    );
+    if (drawCrossSection) {
+      drawCrossSection.onclick = () => this.crossSectionPanel?.startDrawing();
+    }
+    if (clearCrossSection) {
+      clearCrossSection.onclick = () => this.crossSectionPanel?.clear();
+    }
+
+    // NOTAM bulletins, pasted or from a text file
+    const notamText = this.sidebar.querySelector("#sidebarNotamText");
+    const applyNotams = this.sidebar.querySelector("#sidebarApplyNotams");
+    const notamFile = this.sidebar.querySelector("#sidebarNotamFile");
+    const clearNotams = this.sidebar.querySelector("#sidebarClearNotams");
+    if (applyNotams && notamText) {
+      applyNotams.onclick = () => {
+        if (notamText.value.trim()) {
+          this.loadNotams(notamText.value);
+          notamText.value = "";
+        }
+      };
+    }
+    if (notamFile) {
+      notamFile.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (file) {
+          this.loadNotams(await file.text(), file.name);
+        }
+        e.target.value = "";
+      };
+    }
+    if (clearNotams) {
+      clearNotams.onclick = () => {
+        this.airspaceVisualizer?.clearNotams();
+        this.showNotamStatus();
+        this.updateAirspaceStats();
+      };
+    }
+
+    // Custom airspace editor
+    const drawCustomPolygon = this.sidebar.querySelector("#sidebarDrawCustomPolygon");
+    const drawCustomCircle = this.sidebar.querySelector("#sidebarDrawCustomCircle");
+    const exportCustom = this.sidebar.querySelector("#sidebarExportCustom");
+    const importCustom = this.sidebar.querySelector("#sidebarImportCustom");
+    if (drawCustomPolygon) {
+      drawCustomPolygon.onclick = () => this.startCustomDrawing("polygon");
+    }
+    if (drawCustomCircle) {
+      drawCustomCircle.onclick = () => this.startCustomDrawing("circle");
+    }
+    if (exportCustom) {
+      exportCustom.onclick = () => this.airspaceEditor?.exportGeoJSON();
+    }
+    if (importCustom) {
+      importCustom.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file || !this.airspaceEditor) return;
+        try {
+          const count = this.airspaceEditor.importGeoJSON(
+            JSON.parse(await file.text())
+          );
+          this.showCustomStatus(`Imported ${count} airspaces from ${file.name}`);
+        } catch (error) {
+          this.showCustomStatus(`Could not import ${file.name}: ${error.message}`);
+        }
+        e.target.value = "";
+      };
+    }
+
+    // Export of the airspaces currently shown
+    const exportAirspaces = this.sidebar.querySelector("#sidebarExportAirspaces");
+    if (exportAirspaces) {
+      exportAirspaces.onclick = () => this.exportVisibleAirspaces();
+    }
+
+    // Additional airspace datasets, one layer per file
+    const datasetFile = this.sidebar.querySelector("#sidebarDatasetFile");
+    if (datasetFile) {
+      datasetFile.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file || !this.airspaceVisualizer) return;
+        this.loadDatasetFile(file);
+        e.target.value = "";
+      };
+    }
+
     if (legendToggle) {
       legendToggle.addEventListener("click", () => {
         this.toggleLegend();
@@ -477,6 +961,232 @@ export class SidebarUIControls {
     this.setupTabEventListeners();
   }
 
+  generateClassFilterHTML() {
+    return AirspaceClassifier.getLegendData()
+      .map(
+        (item) => `
+                    <label class="checkbox-control">
+                        <input type="checkbox" data-class="${item.class}" checked>
+                        <span class="checkmark"></span>
+                        <span class="label-text">Class ${item.name}</span>
+                    </label>`
+      )
+      .join("");
+  }
+
+  // Types present in the loaded data
+  generateTypeFilterHTML() {
+    const types = [
+      ...new Set(
+        (this.airspaceVisualizer?.airspaces || []).map((airspace) => airspace.type)
+      ),
+    ].sort((a, b) => a - b);
+
+    return types
+      .map(
+        (type) => `
+                    <label class="checkbox-control">
+                        <input type="checkbox" data-type="${type}" checked>
+                        <span class="checkmark"></span>
+                        <span class="label-text">${
+                          AirspaceClassifier.getTypeInfo(type).name
+                        } (${type})</span>
+                    </label>`
+      )
+      .join("");
+  }
+
+  applyAirspaceFilters() {
+    if (!this.airspaceVisualizer) return;
+
+    const collect = (selector, attribute) => {
+      const inputs = [...this.sidebar.querySelectorAll(selector)];
+      // null = no restriction, so airspaces with unlisted values still show
+      if (inputs.every((input) => input.checked)) return null;
+      return inputs
+        .filter((input) => input.checked)
+        .map((input) => Number(input.dataset[attribute]));
+    };
+
+    this.airspaceVisualizer.setFilters({
+      classes: collect("#sidebarClassFilters input", "class"),
+      types: collect("#sidebarTypeFilters input", "type"),
+      status: this.sidebar.querySelector("#sidebarStatusFilter")?.value || "all",
+    });
+    this.updateAirspaceStats();
+  }
+
+  /**
+   * Apply a built-in theme id or a parsed theme object
+   * @param {string|Object} source - Theme id or theme JSON
+   */
+  async applyTheme(source) {
+    try {
+      if (typeof source === "string") {
+        await ThemeManager.loadBuiltInTheme(source);
+      } else {
+        await ThemeManager.loadTheme(source);
+      }
+    } catch (error) {
+      console.error("Failed to apply style theme:", error);
+      this.showThemeStatus(`Theme error: ${error.message}`);
+    }
+  }
+
+  showThemeStatus(text) {
+    const status = this.sidebar.querySelector("#sidebarThemeStatus");
+    if (status) {
+      status.textContent = text;
+    }
+  }
+
+  // Re-generate colour swatches after a theme change, keeping filter choices
+  refreshThemedElements(theme) {
+    const themeSelect = this.sidebar.querySelector("#sidebarThemeSelect");
+    if (themeSelect) {
+      let option = [...themeSelect.options].find((o) => o.value === theme.id);
+      if (!option || !ThemeManager.THEMES.some((t) => t.id === theme.id)) {
+        // Loaded from a file: list it as a custom entry
+        themeSelect.querySelector("option[data-custom]")?.remove();
+        option = document.createElement("option");
+        option.value = "";
+        option.dataset.custom = "true";
+        option.textContent = `${theme.name} (file)`;
+        themeSelect.appendChild(option);
+      }
+      themeSelect.value = option.value;
+      option.selected = true;
+    }
+    this.showThemeStatus(theme.description || "");
+
+    const legend = this.sidebar.querySelector("#sidebarLegendContent");
+    if (legend) {
+      legend.innerHTML = this.generateLegendHTML();
+    }
+
+    const classFilters = this.sidebar.querySelector("#sidebarClassFilters");
+    if (classFilters) {
+      const unchecked = new Set(
+        [...classFilters.querySelectorAll("input")]
+          .filter((input) => !input.checked)
+          .map((input) => input.dataset.class)
+      );
+      classFilters.innerHTML = this.generateClassFilterHTML();
+      classFilters.querySelectorAll("input").forEach((input) => {
+        input.checked = !unchecked.has(input.dataset.class);
+        input.onchange = () => this.applyAirspaceFilters();
+      });
+    }
+  }
+
+  setCrossSectionPanel(crossSectionPanel) {
+    this.crossSectionPanel = crossSectionPanel;
+  }
+
+  setAirspaceEditor(airspaceEditor) {
+    this.airspaceEditor = airspaceEditor;
+    airspaceEditor.onStatus((text) => this.showCustomStatus(text));
+    airspaceEditor.onChange(() => {
+      this.showCustomAirspaces();
+      this.updateAirspaceStats();
+    });
+    this.showCustomAirspaces();
+  }
+
+  generateLimitInputHTML(label, id, value, reference) {
+    return `
+                <div class="range-inputs">
+                    <span>${label}</span>
+                    <input type="number" id="${id}" value="${value}" min="0" step="100">
+                    <select id="${id}Reference" class="control-select">
+                        ${Object.keys(AirspaceEditor.LIMIT_REFERENCES)
+                          .map(
+                            (key) =>
+                              `<option value="${key}"${key === reference ? " selected" : ""}>${key}</option>`
+                          )
+                          .join("")}
+                    </select>
+                </div>`;
+  }
+
+  // Read the editor form into airspace properties
+  getCustomAirspaceProperties() {
+    const value = (id) => this.sidebar.querySelector(`#${id}`)?.value;
+    const limit = (id) => ({
+      value: parseFloat(value(id)),
+      ...AirspaceEditor.LIMIT_REFERENCES[value(`${id}Reference`)],
+    });
+
+    return {
+      name: (value("sidebarCustomName") || "").trim(),
+      type: Number(value("sidebarCustomType")),
+      icaoClass: Number(value("sidebarCustomClass")),
+      lowerLimit: limit("sidebarCustomFloor"),
+      upperLimit: limit("sidebarCustomCeiling"),
+    };
+  }
+
+  startCustomDrawing(mode) {
+    if (!this.airspaceEditor) return;
+
+    try {
+      this.airspaceEditor.startDrawing(mode, this.getCustomAirspaceProperties());
+    } catch (error) {
+      this.showCustomStatus(error.message);
+    }
+  }
+
+  exportVisibleAirspaces() {
+    const status = this.sidebar.querySelector("#sidebarExportStatus");
+    const format = this.sidebar.querySelector("#sidebarExportFormat")?.value;
+    const airspaces = this.airspaceVisualizer?.getVisibleAirspaces() || [];
+
+    if (airspaces.length === 0) {
+      status.textContent = "No visible airspaces to export";
+      return;
+    }
+
+    try {
+      const fileName = AirspaceExporter.exportAirspaces(airspaces, format);
+      status.textContent = `Exported ${airspaces.length} airspaces to ${fileName}`;
+    } catch (error) {
+      status.textContent = `Export failed: ${error.message}`;
+    }
+  }
+
+  showCustomStatus(text) {
+    const status = this.sidebar.querySelector("#sidebarCustomStatus");
+    if (status) status.textContent = text;
+  }
+
+  showCustomAirspaces() {
+    const list = this.sidebar.querySelector("#sidebarCustomList");
+    if (!list || !this.airspaceEditor) return;
+
+    list.innerHTML = this.airspaceEditor.getAirspaces()
+      .map(
+        (airspace) => `
+                    <div class="detail-item">
+                        <span class="detail-label">${airspace.name}</span>
+                        <span class="detail-value">${AirspaceDataProcessor.formatLowerLimit(
+                          airspace
+                        )} – ${AirspaceDataProcessor.formatUpperLimit(airspace)}
+                            <button class="btn secondary small" data-focus="${airspace.id}" title="Show">⌖</button>
+                            <button class="btn secondary small" data-remove="${airspace.id}" title="Delete">✕</button>
+                        </span>
+                    </div>`
+      )
+      .join("");
+
+    list.querySelectorAll("[data-focus]").forEach((button) => {
+      button.onclick = () =>
+        this.airspaceVisualizer?.focusOnAirspace(button.dataset.focus);
+    });
+    list.querySelectorAll("[data-remove]").forEach((button) => {
+      button.onclick = () => this.airspaceEditor.removeAirspace(button.dataset.remove);
+    });
+  }
+
   setAircraftControls(aircraftControls) {
     this.aircraftControls = aircraftControls;
     this.setupAircraftAdapters();
@@ -497,6 +1207,8 @@ export class SidebarUIControls {
 
     // Update initial statistics
     this.updateAirspaceStats();
+    this.showValidationReport();
+    this.showDatasets();
   }
 
   setupAircraftAdapters() {
@@ -509,6 +1221,8 @@ export class SidebarUIControls {
           console.log('Aircraft event received:', event.type, event);
           if (event.type === "data_updated") {
             this.updateAircraftStats(event.stats);
+            this.showOpenSkyStatus(); // the token is fetched with the data
+            this.showProviders();
           } else if (event.type === "aircraft_selected") {
             console.log('Aircraft selected event, calling showAircraftInfo');
             this.showAircraftInfo(event.aircraft);
@@ -524,13 +1238,212 @@ export class SidebarUIControls {
         });
       }
 
-      // Demo mode toggle handler
-      const demoModeCheckbox = document.getElementById('sidebarDemoMode');
-      if (demoModeCheckbox && typeof this.aircraftTracker.setDemoMode === "function") {
-        demoModeCheckbox.addEventListener('change', (e) => {
-          this.aircraftTracker.setDemoMode(e.target.checked);
-        });
+      // OpenSky API client (OAuth2 client credentials)
+      const apiService = this.aircraftTracker.apiService;
+      const signIn = this.sidebar.querySelector("#sidebarOpenSkySignIn");
+      const signOut = this.sidebar.querySelector("#sidebarOpenSkySignOut");
+      if (apiService && signIn && signOut) {
+        signIn.onclick = async () => {
+          const clientId = this.sidebar
+            .querySelector("#sidebarOpenSkyClientId")
+            .value.trim();
+          const secretInput = this.sidebar.querySelector(
+            "#sidebarOpenSkyClientSecret"
+          );
+          if (!clientId || !secretInput.value) {
+            this.showOpenSkyStatus("Enter the API client ID and secret");
+            return;
+          }
+
+          apiService.setCredentials(
+            { clientId, clientSecret: secretInput.value },
+            true
+          );
+          secretInput.value = "";
+          try {
+            await apiService.getAccessToken();
+          } catch (error) {
+            // authError is shown below; requests continue anonymously
+          }
+          this.showOpenSkyStatus();
+        };
+        signOut.onclick = () => {
+          apiService.clearCredentials();
+          this.showOpenSkyStatus();
+        };
+        this.showOpenSkyStatus();
+      }
+
+      // Local receiver: aircraft.json URL or a saved file
+      const readsb = this.aircraftTracker.providers?.getProvider("readsb");
+      const readsbUrl = this.sidebar.querySelector("#sidebarReadsbUrl");
+      const readsbApply = this.sidebar.querySelector("#sidebarReadsbApply");
+      const readsbFile = this.sidebar.querySelector("#sidebarReadsbFile");
+      if (readsb && readsbUrl && readsbApply && readsbFile) {
+        readsbUrl.value = readsb.url;
+        readsbApply.onclick = () => {
+          const url = readsbUrl.value.trim();
+          if (!url) return;
+          readsb.setUrl(url);
+          this.aircraftTracker.setProviderEnabled("readsb", true);
+          this.showProviders();
+        };
+        readsbFile.onchange = async (e) => {
+          const file = e.target.files[0];
+          if (!file) return;
+          try {
+            readsb.loadFile(await file.text(), file.name);
+            this.aircraftTracker.setProviderEnabled("readsb", true);
+          } catch (error) {
+            readsb.recordError(error);
+          }
+          this.showProviders();
+          e.target.value = "";
+        };
+      }
+
+      // SBS-1 stream through a WebSocket bridge
+      const sbs = this.aircraftTracker.providers?.getProvider("sbs");
+      const sbsUrl = this.sidebar.querySelector("#sidebarSBSUrl");
+      const sbsConnect = this.sidebar.querySelector("#sidebarSBSConnect");
+      if (sbs && sbsUrl && sbsConnect) {
+        sbsUrl.value = sbs.url;
+        sbsConnect.onclick = () => {
+          const url = sbsUrl.value.trim();
+          if (!url) return;
+          sbs.setUrl(url);
+          this.aircraftTracker.setProviderEnabled("sbs", true);
+          this.showProviders();
+        };
+      }
+
+      // Raw Mode-S frames decoded in the browser
+      const modes = this.aircraftTracker.providers?.getProvider("modes");
+      const modesUrl = this.sidebar.querySelector("#sidebarModeSUrl");
+      const modesFormat = this.sidebar.querySelector("#sidebarModeSFormat");
+      const modesConnect = this.sidebar.querySelector("#sidebarModeSConnect");
+      if (modes && modesUrl && modesFormat && modesConnect) {
+        modesUrl.value = modes.url;
+        modesFormat.value = modes.format;
+        modesConnect.onclick = () => {
+          const url = modesUrl.value.trim();
+          if (!url) return;
+          modes.setSource(url, modesFormat.value);
+          this.aircraftTracker.setProviderEnabled("modes", true);
+          this.showProviders();
+        };
       }
+
+      this.showProviders();
+    }
+  }
+
+  // Aircraft data providers: enable, priority (higher wins) and health.
+  // Rows are built when the provider set changes; data events (about once a
+  // second with stream providers) only refresh them, so the checkbox and
+  // priority input keep focus while the user edits them.
+  showProviders() {
+    const list = this.sidebar.querySelector("#sidebarProviderList");
+    const providers = this.aircraftTracker?.providers?.getHealth() || [];
+    if (!list) return;
+
+    if (providers.length === 0) {
+      list.innerHTML = "<p>No data provider available</p>";
+      delete list.dataset.providers;
+      return;
+    }
+
+    const ids = providers.map((provider) => provider.id).join(",");
+    if (list.dataset.providers !== ids) {
+      this.createProviderRows(list, providers);
+      list.dataset.providers = ids;
+    }
+
+    providers.forEach((provider, index) => {
+      this.updateProviderRow(list.children[index], provider);
+    });
+  }
+
+  createProviderRows(list, providers) {
+    list.innerHTML = providers
+      .map(
+        () => `
+                    <div class="detail-item">
+                        <label class="checkbox-control">
+                            <input type="checkbox" data-provider>
+                            <span class="checkmark"></span>
+                            <span class="label-text"></span>
+                        </label>
+                        <span class="detail-value"><span class="provider-health"></span>
+                            <input type="number" class="provider-priority" data-provider-priority step="1" title="Priority (higher wins for the same aircraft)">
+                        </span>
+                    </div>`
+      )
+      .join("");
+
+    providers.forEach((provider, index) => {
+      const row = list.children[index];
+      const checkbox = row.querySelector("[data-provider]");
+      const priorityInput = row.querySelector("[data-provider-priority]");
+      checkbox.dataset.provider = provider.id;
+      priorityInput.dataset.providerPriority = provider.id;
+
+      checkbox.onchange = () => {
+        this.aircraftTracker.setProviderEnabled(provider.id, checkbox.checked);
+        this.showProviders();
+      };
+      priorityInput.onchange = () => {
+        const priority = parseInt(priorityInput.value, 10);
+        if (Number.isFinite(priority)) {
+          this.aircraftTracker.setProviderPriority(provider.id, priority);
+        }
+        this.showProviders();
+      };
+    });
+  }
+
+  // Source URLs and error messages are user or network text: textContent only
+  updateProviderRow(row, provider) {
+    const health = [
+      provider.capabilities.live ? "live" : "simulated",
+      provider.enabled && provider.status,
+      provider.lastSuccess && `${provider.lastCount} aircraft`,
+      provider.enabled && provider.stats && `${provider.stats.messageRate} msg/s`,
+      provider.stats?.stale > 0 && `${provider.stats.stale} stale`,
+      provider.message,
+    ].filter(Boolean);
+
+    row.title = provider.source || "";
+    row.querySelector(".label-text").textContent = provider.name;
+    row.querySelector(".provider-health").textContent = health.join(" · ");
+    row.querySelector("[data-provider]").checked = provider.enabled;
+
+    const priorityInput = row.querySelector("[data-provider-priority]");
+    if (document.activeElement !== priorityInput) {
+      priorityInput.value = provider.priority;
+    }
+  }
+
+  showOpenSkyStatus(message = null) {
+    const status = this.sidebar.querySelector("#sidebarOpenSkyStatus");
+    const stats = this.aircraftTracker?.apiService?.getUsageStats();
+    if (!status || !stats) return;
+
+    if (message) {
+      status.textContent = message;
+    } else if (stats.authError) {
+      status.textContent = `${stats.authError} – using anonymous access`;
+    } else if (stats.hasCredentials) {
+      status.textContent = `${stats.authenticated ? "Signed in" : "Client"} ${
+        stats.clientId
+      } (${stats.dailyLimit} requests/day)`;
+    } else {
+      status.textContent = `Anonymous (${stats.dailyLimit} requests/day)`;
+    }
+
+    const clientIdInput = this.sidebar.querySelector("#sidebarOpenSkyClientId");
+    if (clientIdInput && stats.clientId && !clientIdInput.value) {
+      clientIdInput.value = stats.clientId;
     }
   }
 
@@ -634,22 +1547,28 @@ export class SidebarUIControls {
                         <span class="detail-label">Country:</span>
                         <span class="detail-value">${airspace.country}</span>
                     </div>
+                    ${this.getAirspaceDatasetHTML(airspace)}
+                    ${this.getAirspaceStatusHTML(airspace)}
                     <div class="detail-item">
                         <span class="detail-label">Lower Limit:</span>
                         <span class="detail-value altitude-hover" title="${this.formatAltitudeTooltip(
-                          airspace.lowerAltitude
+                          airspace.lowerAltitude,
+                          airspace.lowerFlightLevel
                         )}">${this.formatAltitudeLimit(
         airspace.lowerAltitude,
-        airspace.isLowerAGL
+        airspace.isLowerAGL,
+        airspace.lowerFlightLevel
       )}</span>
                     </div>
                     <div class="detail-item">
                         <span class="detail-label">Upper Limit:</span>
                         <span class="detail-value altitude-hover" title="${this.formatAltitudeTooltip(
-                          airspace.upperAltitude
+                          airspace.upperAltitude,
+                          airspace.upperFlightLevel
                         )}">${this.formatAltitudeLimit(
         airspace.upperAltitude,
-        airspace.isUpperAGL
+        airspace.isUpperAGL,
+        airspace.upperFlightLevel
       )}</span>
                     </div>
                     <div class="detail-actions">
@@ -671,6 +1590,339 @@ export class SidebarUIControls {
     }
   }
 
+  async loadDatasetFile(file) {
+    const status = this.sidebar.querySelector("#sidebarDatasetStatus");
+    const effectiveDate =
+      this.sidebar.querySelector("#sidebarDatasetDate")?.value || null;
+
+    try {
+      const layer = this.airspaceVisualizer.loadAirspaceText(
+        await file.text(),
+        file.name,
+        { effectiveDate }
+      );
+      status.textContent = `Loaded ${layer.airspaces.length} airspaces from ${file.name}`;
+    } catch (error) {
+      console.error("Failed to load airspace dataset:", error);
+      status.textContent = `Could not load ${file.name}: ${error.message}`;
+    }
+    this.refreshDatasetViews();
+  }
+
+  // Everything that depends on which datasets are loaded or shown
+  refreshDatasetViews() {
+    this.showDatasets();
+    this.refreshTypeFilters();
+    this.updateAirspaceStats();
+    this.showValidationReport();
+  }
+
+  // Provenance of the dataset an airspace came from
+  getAirspaceDatasetHTML(airspace) {
+    const layer = this.airspaceVisualizer?.layerManager?.getLayer(airspace.layerId);
+    if (!layer) return "";
+
+    const effective = layer.effectiveDate
+      ? ` (effective ${new Date(layer.effectiveDate).toISOString().slice(0, 10)})`
+      : "";
+    return `
+                    <div class="detail-item">
+                        <span class="detail-label">Dataset:</span>
+                        <span class="detail-value" title="${layer.source}">${layer.name}${effective}</span>
+                    </div>`;
+  }
+
+  showDatasets() {
+    const list = this.sidebar.querySelector("#sidebarDatasetList");
+    const layers = this.airspaceVisualizer?.getLayers?.() || [];
+    if (!list) return;
+
+    const diffLayer = this.sidebar.querySelector("#sidebarDiffLayer");
+    if (diffLayer) {
+      const selected = diffLayer.value;
+      diffLayer.innerHTML = layers
+        .map((layer) => `<option value="${layer.id}">${layer.name}</option>`)
+        .join("");
+      if (layers.some((layer) => layer.id === selected)) {
+        diffLayer.value = selected;
+      } else if (layers.length > 0) {
+        diffLayer.value = layers.at(-1).id;
+      }
+    }
+
+    if (layers.length === 0) {
+      list.innerHTML = "<p>No dataset loaded</p>";
+      return;
+    }
+
+    const formatDate = (date) =>
+      date ? new Date(date).toISOString().slice(0, 10) : null;
+
+    list.innerHTML = layers
+      .map((layer) => {
+        const provenance = [
+          `${layer.count} airspaces`,
+          layer.format.toUpperCase(),
+          formatDate(layer.effectiveDate) &&
+            `effective ${formatDate(layer.effectiveDate)}`,
+          formatDate(layer.updatedAt) && `updated ${formatDate(layer.updatedAt)}`,
+          layer.duplicates > 0 && `${layer.duplicates} shared boundaries hidden`,
+        ].filter(Boolean);
+
+        return `
+                    <div class="detail-item" title="${layer.source}">
+                        <label class="checkbox-control">
+                            <input type="checkbox" data-layer="${layer.id}"${
+                              layer.visible ? " checked" : ""
+                            }>
+                            <span class="checkmark"></span>
+                            <span class="label-text">${layer.name}</span>
+                        </label>
+                        <span class="detail-value">${provenance.join(" · ")}
+                            <button class="btn secondary small" data-remove-layer="${
+                              layer.id
+                            }" title="Unload">✕</button>
+                        </span>
+                    </div>`;
+      })
+      .join("");
+
+    list.querySelectorAll("[data-layer]").forEach((input) => {
+      input.onchange = () => {
+        this.airspaceVisualizer.setLayerVisible(input.dataset.layer, input.checked);
+        this.refreshDatasetViews();
+      };
+    });
+    list.querySelectorAll("[data-remove-layer]").forEach((button) => {
+      button.onclick = () => {
+        this.airspaceVisualizer.removeAirspaceLayer(button.dataset.removeLayer);
+        this.refreshDatasetViews();
+      };
+    });
+  }
+
+  // Types change with the loaded datasets; keep the user's unchecked ones
+  refreshTypeFilters() {
+    const typeFilters = this.sidebar.querySelector("#sidebarTypeFilters");
+    if (!typeFilters) return;
+
+    const unchecked = new Set(
+      [...typeFilters.querySelectorAll("input")]
+        .filter((input) => !input.checked)
+        .map((input) => input.dataset.type)
+    );
+    typeFilters.innerHTML = this.generateTypeFilterHTML();
+    typeFilters.querySelectorAll("input").forEach((input) => {
+      input.checked = !unchecked.has(input.dataset.type);
+      input.onchange = () => this.applyAirspaceFilters();
+    });
+    // An explicit type list would hide the types a new dataset brought in
+    if (unchecked.size > 0) {
+      this.applyAirspaceFilters();
+    }
+  }
+
+  showValidationReport() {
+    const container = this.sidebar.querySelector("#sidebarValidationReport");
+    const downloadButton = this.sidebar.querySelector(
+      "#sidebarDownloadValidation"
+    );
+    const report = this.airspaceVisualizer?.getValidationReport?.();
+    if (!container) return;
+
+    if (downloadButton) downloadButton.disabled = !report;
+    if (!report) {
+      container.innerHTML = "<p>No dataset loaded</p>";
+      return;
+    }
+
+    const severityColors = {
+      error: "#f44336",
+      warning: "#ff9800",
+      info: "#2196F3",
+    };
+
+    container.innerHTML = `
+                <div class="stats-grid">
+                    <div class="stat-item">
+                        <span class="stat-label">Errors</span>
+                        <span class="stat-value">${report.summary.error}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Warnings</span>
+                        <span class="stat-value">${report.summary.warning}</span>
+                    </div>
+                </div>
+                <div class="airspace-details">
+                    ${
+                      report.issues.length === 0
+                        ? "<p>No issues found</p>"
+                        : report.issues
+                            .map(
+                              (issue) => `
+                    <div class="detail-item" title="${issue.code}">
+                        <span class="detail-label" style="color: ${
+                          severityColors[issue.severity]
+                        }">${issue.name || `Feature ${issue.featureIndex}`}</span>
+                        <span class="detail-value">${issue.message}</span>
+                    </div>`
+                            )
+                            .join("")
+                    }
+                </div>`;
+  }
+
+  downloadValidationReport() {
+    const report = this.airspaceVisualizer?.getValidationReport?.();
+    if (!report) return;
+
+    const blob = new Blob([JSON.stringify(report, null, 2)], {
+      type: "application/json",
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "airspace-validation-report.json";
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  showDiffReport(report, fileName = "", error = null) {
+    const container = this.sidebar.querySelector("#sidebarDiffReport");
+    const clearButton = this.sidebar.querySelector("#sidebarClearDiff");
+    if (!container) return;
+
+    if (clearButton) clearButton.style.display = report ? "" : "none";
+
+    if (error) {
+      container.innerHTML = `<p class="status-value error">Could not compare ${fileName}: ${error.message}</p>`;
+      return;
+    }
+    if (!report) {
+      container.innerHTML = "";
+      return;
+    }
+
+    const { added, removed, modified, summary } = report;
+    const swatch = (change) =>
+      `<span class="diff-swatch" style="background-color: ${AirspaceDiff.CHANGE_COLORS[change]}"></span>`;
+    const formatArea = ({ delta, percent }) =>
+      `${delta >= 0 ? "+" : ""}${(delta / 1e6).toFixed(2)} km²${
+        percent !== null ? ` (${percent.toFixed(1)}%)` : ""
+      }`;
+
+    container.innerHTML = `
+                <p>Compared with ${fileName}</p>
+                <div class="stats-grid">
+                    <div class="stat-item">
+                        <span class="stat-label">${swatch("added")} Added</span>
+                        <span class="stat-value">${summary.added}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">${swatch("removed")} Removed</span>
+                        <span class="stat-value">${summary.removed}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">${swatch("modified")} Modified</span>
+                        <span class="stat-value">${summary.modified}</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-label">Unchanged</span>
+                        <span class="stat-value">${summary.unchanged}</span>
+                    </div>
+                </div>
+                <div class="airspace-details">
+                    ${added
+                      .map(
+                        (airspace) => `
+                    <div class="detail-item">
+                        <span class="detail-label">${swatch("added")} ${airspace.name}</span>
+                        <span class="detail-value">added</span>
+                    </div>`
+                      )
+                      .join("")}
+                    ${removed
+                      .map(
+                        (airspace) => `
+                    <div class="detail-item">
+                        <span class="detail-label">${swatch("removed")} ${airspace.name}</span>
+                        <span class="detail-value">removed</span>
+                    </div>`
+                      )
+                      .join("")}
+                    ${modified
+                      .map(
+                        ({ airspace, changes, areaDelta }) => `
+                    <div class="detail-item" title="${changes
+                      .map(
+                        (change) => `${change.field}: ${change.from} → ${change.to}`
+                      )
+                      .join("&#10;")}">
+                        <span class="detail-label">${swatch("modified")} ${airspace.name}</span>
+                        <span class="detail-value">${changes
+                          .map((change) => change.field)
+                          .join(", ")}${
+                          changes.some((change) => change.field === "geometry")
+                            ? ` ${formatArea(areaDelta)}`
+                            : ""
+                        }</span>
+                    </div>`
+                      )
+                      .join("")}
+                </div>`;
+  }
+
+  loadNotams(text, source = "pasted text") {
+    if (!this.airspaceVisualizer) return;
+
+    try {
+      const added = this.airspaceVisualizer.loadNotams(text);
+      this.showNotamStatus(`${added.length} NOTAMs from ${source}`);
+    } catch (error) {
+      console.error("Failed to load NOTAMs:", error);
+      this.showNotamStatus(`Could not read NOTAMs: ${error.message}`);
+    }
+    this.updateAirspaceStats();
+  }
+
+  showNotamStatus(message = "") {
+    const status = this.sidebar.querySelector("#sidebarNotamStatus");
+    if (!status || !this.airspaceVisualizer) return;
+
+    const stats = this.airspaceVisualizer.getNotamStatistics();
+    status.textContent = stats.total
+      ? `${message ? `${message}. ` : ""}${stats.total} loaded, ${stats.inForce} in force, ${stats.linkedAirspaces} airspaces linked, ${stats.temporary} temporary areas`
+      : message;
+  }
+
+  getAirspaceStatusHTML(airspace) {
+    if (
+      !this.airspaceVisualizer ||
+      typeof this.airspaceVisualizer.getAirspaceStatus !== "function"
+    ) {
+      return "";
+    }
+
+    const status = this.airspaceVisualizer.getAirspaceStatus(airspace);
+    const notams = this.airspaceVisualizer.getAirspaceNotams?.(airspace) || [];
+    return `
+                    <div class="detail-item">
+                        <span class="detail-label">Status:</span>
+                        <span class="detail-value" title="${status.reason}">${
+      status.active ? "Active" : "Inactive"
+    }</span>
+                    </div>${notams
+                      .map(
+                        (notam) => `
+                    <div class="detail-item" title="${notam.text.replace(/"/g, "&quot;")}">
+                        <span class="detail-label">NOTAM:</span>
+                        <span class="detail-value">${notam.id}${
+                          notam.scheduleText ? ` (${notam.scheduleText})` : ""
+                        }</span>
+                    </div>`
+                      )
+                      .join("")}`;
+  }
+
   showAircraftInfo(aircraft) {
     console.log('Showing aircraft info for:', aircraft);
     // Find the aircraft info placeholder specifically, not the airspace one
@@ -740,7 +1992,7 @@ export class SidebarUIControls {
       // Use the actual AirspaceClassifier data
       const legendData = AirspaceClassifier.getLegendData();
 
-      return legendData
+      const classItems = legendData
         .map(
           (item) => `
                 <div class="legend-item">
@@ -752,6 +2004,23 @@ export class SidebarUIControls {
             `
         )
         .join("");
+
+      // Wall patterns identify special-use types independently of colour
+      const patternItems = AirspaceClassifier.getPatternLegendData()
+        .map(
+          (item) => `
+                <div class="legend-item">
+                    <div class="legend-pattern ${item.pattern}"></div>
+                    <div class="legend-text">
+                        <div class="legend-name">${item.types.join(", ")}</div>
+                        <div class="legend-description">${item.pattern} walls, dashed limits</div>
+                    </div>
+                </div>
+            `
+        )
+        .join("");
+
+      return classItems + patternItems;
     } catch (error) {
       // Fallback legend if AirspaceClassifier is not available
       console.warn(
@@ -912,44 +2181,18 @@ export class SidebarUIControls {
   }
 
   getAirspaceClassColor(icaoClass) {
-    // Get the color for the airspace class indicator
-    try {
-      // Try to use AirspaceClassifier to get the proper class color
-      const classInfo = AirspaceClassifier.getClassificationInfo(icaoClass);
-      if (classInfo && classInfo.color) {
-        // Convert Cesium Color to hex string
-        return AirspaceClassifier.colorToHex(classInfo.color);
-      }
-    } catch (error) {
-      console.warn(
-        "AirspaceClassifier not available for color mapping:",
-        error
-      );
-    }
-
-    // Fallback color mapping for common classes (based on AirspaceClassifier mapping)
-    const colorMap = {
-      1: "#FF8C00", // Class B - Orange (255, 140, 0)
-      2: "#FFFF00", // Class C - Yellow (255, 255, 0)
-      3: "#00FF00", // Class D - Green (0, 255, 0)
-      4: "#0000FF", // Class E - Blue (0, 0, 255)
-      5: "#FF00FF", // Class F - Magenta (255, 0, 255)
-      6: "#808080", // Class G - Gray (128, 128, 128)
-      7: "#C8C8C8", // Unknown - Light Gray (200, 200, 200)
-      8: "#FF0000", // Danger - Red (255, 0, 0)
-      A: "#FF0000",
-      B: "#FF8C00",
-      C: "#FFFF00",
-      D: "#00FF00",
-      E: "#0000FF",
-      F: "#FF00FF",
-      G: "#808080",
-    };
-
-    return colorMap[icaoClass] || "#4CAF50"; // Default green if unknown
+    // Class indicator colour from the active style theme
+    return AirspaceClassifier.colorToHex(
+      AirspaceClassifier.getClassificationInfo(icaoClass).color
+    );
   }
 
-  formatAltitudeLimit(altitude, isAGL) {
+  formatAltitudeLimit(altitude, isAGL, flightLevel = null) {
+    // Flight levels are shown as published (e.g. "FL95")
+    if (flightLevel !== null && flightLevel !== undefined) {
+      return AirspaceDataProcessor.formatAltitude(altitude, isAGL, flightLevel);
+    }
+
     // Format altitude limits in feet (aviation standard)
     if (altitude === null || altitude === undefined) {
       return "N/A";
@@ -964,12 +2207,20 @@ export class SidebarUIControls {
     return `${altitudeFeet.toLocaleString()}ft ${reference}`;
   }
 
-  formatAltitudeTooltip(altitude) {
+  formatAltitudeTooltip(altitude, flightLevel = null) {
     // Format tooltip with metric units
     if (altitude === null || altitude === undefined) {
       return "No altitude data available";
     }
 
+    if (flightLevel !== null && flightLevel !== undefined) {
+      const { qnh } = AirspaceDataProcessor.pressureSettings;
+      const altitudeFeet = Math.round(altitude * 3.28084);
+      return `FL${flightLevel} ≈ ${altitudeFeet.toLocaleString()}ft MSL (${Math.round(
+        altitude
+      )}m) at QNH ${qnh} hPa`;
+    }
+
     let metricStr;
     if (altitude >= 1000) {
       metricStr = `${(altitude / 1000).toFixed(1)}km`;
@@ -981,6 +2232,22 @@ export class SidebarUIControls {
     return `${altitudeFeet.toLocaleString()}ft (${metricStr})`;
   }
 
+  updatePressureSettings(settings) {
+    if (this.airspaceVisualizer?.setPressureSettings) {
+      this.airspaceVisualizer.setPressureSettings(settings);
+    } else {
+      AirspaceDataProcessor.setPressureSettings(settings);
+    }
+
+    const transitionLevel = this.sidebar.querySelector(
+      "#sidebarTransitionLevel"
+    );
+    if (transitionLevel) {
+      transitionLevel.textContent = `Transition level: FL${AirspaceDataProcessor.getTransitionLevel()}`;
+    }
+    this.updateAirspaceStats();
+  }
+
   // Hide original controls
   hideOriginalControls() {
     const originalControls = document.querySelectorAll(".airspace-control");
@@ -0,0 +1,218 @@
+// theme-manager.js
+// Loads JSON style themes and applies them to airspace and aircraft styling
+
+import { Color } from "cesium";
+import { AirspaceClassifier } from "./airspace-classifier.js";
+import { AircraftClassifier } from "./aircraft-classifier.js";
+import { AircraftCategories } from "./aircraft-types.js";
+
+export class ThemeManager {
+  static THEMES = [
+    { id: "classic", name: "Classic", url: "./data/themes/classic.json" },
+    { id: "icao-vfr", name: "ICAO VFR chart", url: "./data/themes/icao-vfr.json" },
+    {
+      id: "high-contrast",
+      name: "High contrast",
+      url: "./data/themes/high-contrast.json",
+    },
+  ];
+
+  static STORAGE_KEY = "styleTheme";
+
+  // Built-in styling, restored for anything a theme leaves out
+  static defaults = {
+    classes: AirspaceClassifier.ICAO_CLASS_COLORS,
+    style: AirspaceClassifier.STYLE,
+    aircraftColors: Object.fromEntries(
+      Object.values(AircraftCategories).map((category) => [
+        category.id,
+        category.color,
+      ])
+    ),
+    aircraftLabel: AircraftClassifier.LABEL_COLORS,
+  };
+
+  static currentTheme = null;
+  static listeners = [];
+
+  /**
+   * Load a built-in theme by id
+   * @param {string} themeId - One of THEMES
+   * @returns {Promise<Object>} The applied theme
+   */
+  static async loadBuiltInTheme(themeId) {
+    const entry = this.THEMES.find((theme) => theme.id === themeId);
+    if (!entry) {
+      throw new Error(`Unknown style theme: ${themeId}`);
+    }
+    return this.loadTheme(entry.url);
+  }
+
+  /**
+   * Load a theme from a URL (or an already parsed object) and apply it
+   * @param {string|Object} source - Theme URL or theme object
+   * @returns {Promise<Object>} The applied theme
+   */
+  static async loadTheme(source) {
+    let theme = source;
+    if (typeof source === "string") {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`Failed to load style theme: ${response.statusText}`);
+      }
+      theme = await response.json();
+    }
+
+    return this.applyTheme(theme);
+  }
+
+  /**
+   * Apply a parsed theme and notify listeners so views re-style
+   * @param {Object} theme - { id, name, airspace: { classes, types, label,
+   *   fillOpacity, inactiveFillOpacity, outlineOpacity },
+   *   aircraft: { categories, label } }
+   * @returns {Object} The applied theme
+   */
+  static applyTheme(theme) {
+    if (!theme || typeof theme !== "object" || !theme.name) {
+      throw new Error("Style theme must be an object with a name");
+    }
+
+    const airspace = theme.airspace || {};
+    const aircraft = theme.aircraft || {};
+
+    // Parse everything first so an invalid theme changes nothing
+    const classes = this.parseClasses(airspace.classes || {});
+    const typeStyles = this.parseTypeStyles(airspace.types || {});
+    const style = this.parseAirspaceStyle(airspace);
+    const aircraftColors = { ...this.defaults.aircraftColors };
+    Object.entries(aircraft.categories || {}).forEach(([id, color]) => {
+      this.parseColor(color, `aircraft category ${id}`);
+      aircraftColors[id] = color;
+    });
+    const aircraftLabel = {
+      fillColor: this.parseOptionalColor(
+        aircraft.label?.fillColor,
+        this.defaults.aircraftLabel.fillColor
+      ),
+      outlineColor: this.parseOptionalColor(
+        aircraft.label?.outlineColor,
+        this.defaults.aircraftLabel.outlineColor
+      ),
+    };
+
+    AirspaceClassifier.ICAO_CLASS_COLORS = classes;
+    AirspaceClassifier.TYPE_STYLES = typeStyles;
+    AirspaceClassifier.STYLE = style;
+    AircraftClassifier.LABEL_COLORS = aircraftLabel;
+    Object.values(AircraftCategories).forEach((category) => {
+      category.color = aircraftColors[category.id] || category.color;
+    });
+
+    this.currentTheme = theme;
+    this.saveThemeId(theme.id);
+    this.listeners.forEach((listener) => listener(theme));
+    return theme;
+  }
+
+  // Classes listed by the theme replace the defaults; unlisted ones stay
+  static parseClasses(themeClasses) {
+    const classes = {};
+    Object.entries(this.defaults.classes).forEach(([key, info]) => {
+      classes[key] = { ...info };
+    });
+
+    Object.entries(themeClasses).forEach(([key, entry]) => {
+      const base = classes[key] || { name: key, description: "" };
+      classes[key] = {
+        name: entry.name || base.name,
+        description: entry.description || base.description,
+        color: this.parseColor(entry.fill, `class ${key} fill`),
+        outlineColor: entry.outline
+          ? this.parseColor(entry.outline, `class ${key} outline`)
+          : undefined,
+      };
+    });
+
+    return classes;
+  }
+
+  static parseTypeStyles(themeTypes) {
+    const typeStyles = {};
+    Object.entries(themeTypes).forEach(([type, entry]) => {
+      typeStyles[type] = {
+        fill: entry.fill ? this.parseColor(entry.fill, `type ${type} fill`) : undefined,
+        outline: entry.outline
+          ? this.parseColor(entry.outline, `type ${type} outline`)
+          : undefined,
+        fillOpacity: entry.fillOpacity,
+      };
+    });
+    return typeStyles;
+  }
+
+  static parseAirspaceStyle(airspace) {
+    const defaults = this.defaults.style;
+    const label = airspace.label || {};
+
+    return {
+      fillOpacity: airspace.fillOpacity ?? defaults.fillOpacity,
+      inactiveFillOpacity:
+        airspace.inactiveFillOpacity ?? defaults.inactiveFillOpacity,
+      outlineOpacity: airspace.outlineOpacity ?? defaults.outlineOpacity,
+      label: {
+        font: label.font || defaults.label.font,
+        fillColor: this.parseOptionalColor(label.fillColor, defaults.label.fillColor),
+        outlineColor: this.parseOptionalColor(
+          label.outlineColor,
+          defaults.label.outlineColor
+        ),
+        outlineWidth: label.outlineWidth ?? defaults.label.outlineWidth,
+      },
+    };
+  }
+
+  static parseColor(value, context) {
+    const color =
+      typeof value === "string" ? Color.fromCssColorString(value) : undefined;
+    if (!color) {
+      throw new Error(`Invalid colour for ${context}: ${value}`);
+    }
+    return color;
+  }
+
+  static parseOptionalColor(value, fallback) {
+    return value === undefined ? fallback : this.parseColor(value, "label");
+  }
+
+  /**
+   * Register a callback run after every theme change
+   * @param {Function} listener - Receives the applied theme
+   */
+  static onThemeChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  static getCurrentTheme() {
+    return this.currentTheme;
+  }
+
+  // Only built-in themes are remembered; loaded files are one-offs
+  static saveThemeId(themeId) {
+    try {
+      if (this.THEMES.some((theme) => theme.id === themeId)) {
+        localStorage.setItem(this.STORAGE_KEY, themeId);
+      }
+    } catch (error) {
+      console.warn("Failed to save style theme:", error);
+    }
+  }
+
+  static getSavedThemeId() {
+    try {
+      return localStorage.getItem(this.STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+}
@@ -219,15 +219,9 @@ export class AirspaceUIControls {
                 <div class="detail-section">
                     <strong>Altitude Limits:</strong>
                     <br>
-                    Lower: ${AirspaceDataProcessor.formatAltitude(
-                      airspace.lowerAltitude,
-                      airspace.isLowerAGL
-                    )}
+                    Lower: ${AirspaceDataProcessor.formatLowerLimit(airspace)}
                     <br>
-                    Upper: ${AirspaceDataProcessor.formatAltitude(
-                      airspace.upperAltitude,
-                      airspace.isUpperAGL
-                    )}
+                    Upper: ${AirspaceDataProcessor.formatUpperLimit(airspace)}
                 </div>
                 
                 ${